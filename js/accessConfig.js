@@ -0,0 +1,35 @@
+/**
+ * accessConfig.js
+ * Role-based access control configuration
+ * 
+ * Maps app roles (the `roles` claim of the ID token) and security group object IDs
+ * (the `groups` claim) onto the permissions that guard the application's capabilities.
+ * Roles are matched case-insensitively; group IDs are matched exactly.
+ */
+
+/**
+ * Permissions that can be granted to a user.
+ * Capabilities in accessControl.js declare which of these they require.
+ */
+export const PERMISSIONS = {
+    // Read the delta files of all users through the admin endpoint
+    readDeltas: "deltas.read",
+    // Create or update files through the admin endpoint
+    writeDeltas: "deltas.write"
+};
+
+/**
+ * Permissions per app role, as defined under 'App roles' in the app registration
+ */
+export const rolePermissions = {
+    admin: [PERMISSIONS.readDeltas],
+    superadmin: [PERMISSIONS.readDeltas, PERMISSIONS.writeDeltas]
+};
+
+/**
+ * Permissions per security group object ID.
+ * Requires the app registration to emit the `groups` claim (Token configuration > Add groups claim).
+ */
+export const groupPermissions = {
+    // "00000000-0000-0000-0000-000000000000": [PERMISSIONS.readDeltas]
+};
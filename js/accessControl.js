@@ -0,0 +1,90 @@
+/**
+ * accessControl.js
+ * Role-based access control module
+ * 
+ * This module decides which capabilities a user may use, based on the roles and
+ * groups in their ID token claims and the policy configured in accessConfig.js.
+ * Every guarded capability declares the permission it needs; both the UI and the
+ * handlers in app.js check the same capability before acting.
+ */
+
+import { PERMISSIONS, rolePermissions, groupPermissions } from './accessConfig.js';
+
+/**
+ * Guarded capabilities and the permission each one requires.
+ * Add new (write) actions here with the permission they need, then check them with canPerform.
+ */
+export const CAPABILITIES = {
+    listDeltas: {
+        permission: PERMISSIONS.readDeltas,
+        description: "list delta files"
+    },
+    viewDelta: {
+        permission: PERMISSIONS.readDeltas,
+        description: "view delta files"
+    }
+};
+
+// Capabilities that make up the admin section
+const ADMIN_CAPABILITIES = [CAPABILITIES.listDeltas, CAPABILITIES.viewDelta];
+
+/**
+ * Get all permissions granted to a user through their roles and groups
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @returns {Set<string>} The granted permissions
+ */
+export function getPermissions(idTokenClaims) {
+    const permissions = new Set();
+
+    if (!idTokenClaims) {
+        return permissions;
+    }
+
+    // Role names are configured in lower case and compared case-insensitively
+    const roles = Array.isArray(idTokenClaims.roles) ? idTokenClaims.roles : [];
+    roles.forEach(role => {
+        const granted = rolePermissions[role.toLowerCase()] || [];
+        granted.forEach(permission => permissions.add(permission));
+    });
+
+    const groups = Array.isArray(idTokenClaims.groups) ? idTokenClaims.groups : [];
+    groups.forEach(groupId => {
+        const granted = groupPermissions[groupId] || [];
+        granted.forEach(permission => permissions.add(permission));
+    });
+
+    // With too many groups Entra ID leaves them out of the token and refers to Graph instead
+    if (idTokenClaims._claim_names && idTokenClaims._claim_names.groups) {
+        console.warn("Group overage in ID token: group-based permissions cannot be evaluated");
+    }
+
+    return permissions;
+}
+
+/**
+ * Check whether a user may use a capability
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @param {Object} capability - One of CAPABILITIES
+ * @returns {boolean} True if the user holds the permission the capability requires
+ */
+export function canPerform(idTokenClaims, capability) {
+    return getPermissions(idTokenClaims).has(capability.permission);
+}
+
+/**
+ * Check whether a user may use at least one of the admin capabilities
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @returns {boolean} True if the admin section should be available to the user
+ */
+export function hasAdminAccess(idTokenClaims) {
+    return ADMIN_CAPABILITIES.some(capability => canPerform(idTokenClaims, capability));
+}
+
+/**
+ * Build the message shown when a user attempts a capability they are not allowed to use
+ * @param {Object} capability - One of CAPABILITIES
+ * @returns {string} The error message
+ */
+export function getAccessDeniedMessage(capability) {
+    return `You are not authorized to ${capability.description}`;
+}
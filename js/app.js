@@ -10,12 +10,33 @@
 import * as auth from './auth.js';
 import * as ui from './ui.js';
 import * as dataService from './dataService.js';
+import * as accessControl from './accessControl.js';
+import * as idleTimer from './idleTimer.js';
+import * as runtimeConfig from './runtimeConfig.js';
+import * as appState from './appState.js';
+import * as resourceStore from './resourceStore.js';
+import * as httpClient from './httpClient.js';
+import { APP_STATES } from './appState.js';
+import { RESOURCES } from './resourceStore.js';
+import { draftConfig, outboxConfig } from './dataConfig.js';
 
-// Constants for application state
-const APP_STATE = {
-  initialized: false,
-  authenticated: false
-};
+// homeAccountId of the account whose data is on screen
+let displayedAccountId = null;
+
+// Profile load in progress, shared by sign-in notifications for the same account: {accountId, promise}
+let profileLoad = null;
+
+// Editor text the user was warned about because of unknown fields; saving it again keeps them
+let unknownFieldsWarnedText = null;
+
+// Pending autosave of the user data draft (a timeout ID), while the user is typing
+let draftTimer = null;
+
+// Scheduled retry of the save waiting in the outbox: the timeout ID and the delay it was scheduled with
+let outboxRetry = { timer: null, delayMs: 0 };
+
+// MSAL error code for an interactive sign-in the user cancelled (closed the popup)
+const USER_CANCELLED_ERROR = 'user_cancelled';
 
 // Constants for event timing
 const TIMING = {
@@ -27,46 +48,82 @@ const TIMING = {
  * Initialize the application
  */
 async function initializeApp() {
-  // Add MSAL script to the page if not present
-  await ensureMsalLoaded();
+  // From here on the page is rendered from the application state
+  appState.subscribe(ui.renderAppState);
+  resourceStore.subscribe(RESOURCES.pool, ui.renderPoolData);
+  resourceStore.subscribe(RESOURCES.deltaList, (resource) => ui.renderDeltaList(resource, handleViewDeltaFile));
 
-  // Initialize the authentication module
-  APP_STATE.initialized = auth.initializeAuth();
+  // Load the configuration of this environment; nothing can work without it
+  try {
+    await runtimeConfig.loadRuntimeConfig();
+  } catch (error) {
+    console.error("Failed to load the environment configuration:", error);
+    appState.transition(APP_STATES.error, { message: error.message, details: error.details || [] });
+    return;
+  }
 
-  if (!APP_STATE.initialized) {
-    ui.showError("Failed to initialize authentication system");
+  // Add MSAL script to the page if not present (only the Entra ID provider needs it)
+  if (auth.requiresMsalLibrary() && !await ensureMsalLoaded()) {
+    appState.transition(APP_STATES.libraryFailed, { message: "Failed to load authentication library" });
+    return;
+  }
+
+  // Initialize the authentication module
+  if (!auth.initializeAuth()) {
+    appState.transition(APP_STATES.libraryFailed, { message: "Failed to initialize authentication system" });
     return;
   }
 
   // Set up UI with auth callbacks and admin functionality
-  ui.initializeUI(handleSignIn, handleSignOut, handleFetchData, handleFetchUserData, handleSaveUserData, handleFetchDeltaList, handleViewDeltaFile);
+  ui.initializeUI(handleSignIn, handleSignOut, handleFetchData, handleFetchUserData, handleSaveUserData, handleFetchDeltaList, handleViewDeltaFile, handleSwitchAccount, handleLoadProfileDetails, handlePrefillUserData, handleUserDataEdited, handleCompareUserData, handleShowProfileHistory, handleImportProfile);
 
-  // Check for authentication event
-  // Add MSAL login success listener, broadcast from auth.js
-  window.addEventListener('msalLoginSuccess', async (event) => {
-    console.log('MSAL Login Success Event:', event.detail);
-    // Update UI or perform actions after successful login
+  // Sign-in success, broadcast by the identity provider (also for interactive token renewal);
+  // updateUserState ignores repeated notifications for the account that is already signed in
+  window.addEventListener('msalLoginSuccess', (event) => {
     const { account } = event.detail.payload;
     if (account) {
       console.log(`User ${account.username} logged in successfully`);
-      console.log("Successful authentication response received");
-      await updateUserState();
+      updateUserState();
     }
-  })
-  
-  //   // Check if user is already signed in
-  await checkExistingAuth();
-  // }
+  });
+
+  // Follow sign-in, sign-out and token refresh in the application's other tabs
+  window.addEventListener(auth.SESSION_EVENT, handleSessionChange);
+
+  // Nobody is waiting for the answers once the page is left, but the draft must not be lost
+  window.addEventListener('pagehide', () => {
+    flushDraft();
+    dataService.cancelPendingRequests("leaving the page");
+  });
+
+  // Send a save queued while offline as soon as the connection is back, and try again when
+  // the user returns to the tab (timers are throttled in background tabs)
+  window.addEventListener('online', replayQueuedSave);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      replayQueuedSave();
+    }
+  });
+
+  // Process the response when returning from a redirect sign-in; the msalLoginSuccess
+  // listener above takes care of updating the user state in that case
+  const redirectResponse = await auth.handleRedirect();
+
+  // Check if user is already signed in
+  if (!redirectResponse) {
+    await checkExistingAuth();
+  }
 }
 
 
 /**
  * Ensure MSAL script is loaded before proceeding
+ * @returns {Promise<boolean>} True if MSAL.js is available
  */
 async function ensureMsalLoaded() {
   // Check if MSAL is already available
   if (window.msal) {
-    return;
+    return true;
   }
 
   return new Promise((resolve) => {
@@ -79,14 +136,13 @@ async function ensureMsalLoaded() {
     // Handle script load event
     msalScript.onload = () => {
       console.log("MSAL.js loaded successfully");
-      resolve();
+      resolve(true);
     };
 
     // Handle script error
     msalScript.onerror = () => {
       console.error("Failed to load MSAL.js");
-      ui.showError("Failed to load authentication library");
-      resolve(); // Resolve anyway to allow error handling
+      resolve(false);
     };
 
     // Add the script to the document head
@@ -102,130 +158,420 @@ async function checkExistingAuth() {
   if (account) {
     console.log("Found existing account", account.username);
     await updateUserState();
+  } else if (auth.getAllAccounts().length > 1) {
+    // Several cached accounts and none chosen yet: let the user pick one
+    appState.transition(APP_STATES.unauthenticated);
+    ui.showAccountPicker(auth.getAllAccounts(), handleSelectAccount);
   } else {
     // No account found, show unauthenticated state
-    APP_STATE.authenticated = false;
-    ui.showUnauthenticatedState();
+    appState.transition(APP_STATES.unauthenticated);
   }
 }
 
 /**
- * Update the user state and UI based on authentication
+ * Check that the signed-in user may use a capability, showing an error in the admin section if not
+ * @param {Object} capability - One of accessControl.CAPABILITIES
+ * @returns {boolean} True if the user may proceed
  */
+function ensureCapability(capability) {
+  if (!accessControl.canPerform(auth.getIdTokenClaims(), capability)) {
+    ui.showDeltaError(accessControl.getAccessDeniedMessage(capability));
+    return false;
+  }
+
+  return true;
+}
+
 /**
- * Show or hide admin section based on user claims
- * @param {Object} idTokenClaims - The user's ID token claims
+ * Load the profile of the active account and move to the authenticated (or admin) state
+ * 
+ * Sign-in notifications can arrive more than once for one sign-in (login and token events,
+ * other tabs). While the profile of an account loads, further calls for that account share
+ * the same load, and calls for the account that is already signed in do nothing.
+ * @returns {Promise<void>} Resolves when the user state is up to date
  */
-function updateAdminAccess(idTokenClaims) {
-  // Constants for admin roles checking
-  const ADMIN_ROLES = {
-    admin: 'admin',
-    superAdmin: 'superadmin'
-  };
+function updateUserState() {
+  const account = auth.getAccount();
+  if (!account) {
+    appState.transition(APP_STATES.unauthenticated);
+    return Promise.resolve();
+  }
 
-  // Default is to hide admin section
-  let showAdminSection = false;
-
-  if (idTokenClaims) {
-    // Check if user has roles claim and if they have admin role
-    // Note: Adjust based on your token structure - roles might be in groups, roles, or other claims
-    if (idTokenClaims.roles && Array.isArray(idTokenClaims.roles)) {
-      // Check for admin role in roles array
-      showAdminSection = idTokenClaims.roles.some(role =>
-        role.toLowerCase() === ADMIN_ROLES.admin ||
-        role.toLowerCase() === ADMIN_ROLES.superAdmin
-      );
-    }
+  if (profileLoad && profileLoad.accountId === account.homeAccountId) {
+    return profileLoad.promise;
+  }
 
-    // For demo purposes, we'll show admin section to all authenticated users
-    // In production, you would strictly enforce role-based access
-    showAdminSection = true;
+  if (appState.isSignedIn() && appState.getState().context.account.homeAccountId === account.homeAccountId) {
+    return Promise.resolve();
   }
 
-  // Update UI to show/hide admin section
-  ui.toggleAdminSection(showAdminSection);
+  const promise = loadUserProfile(account)
+    .finally(() => {
+      profileLoad = null;
+    });
+  profileLoad = { accountId: account.homeAccountId, promise: promise };
+  return promise;
 }
 
-async function updateUserState() {
+/**
+ * Load the profile of an account and show the signed-in user
+ * @param {Object} account - The active account
+ */
+async function loadUserProfile(account) {
+  appState.transition(APP_STATES.loadingProfile, { account });
+
+  // Data on screen belongs to the previous account when another account signed in
+  if (displayedAccountId !== null && displayedAccountId !== account.homeAccountId) {
+    ui.clearDataDisplay();
+  }
+
+  let userDetails;
   try {
-    // Get user details from Microsoft Graph API
-    const userDetails = await auth.getUserDetails();
+    // Get user details from the identity provider (Microsoft Graph API for Entra ID)
+    userDetails = await auth.getProfile();
+  } catch (error) {
+    console.error("Error updating user state:", error);
+    idleTimer.stopIdleTimer();
+    appState.transition(APP_STATES.error, { message: error.message || "Failed to load your profile" });
+    return;
+  }
+
+  // The user may have signed out or switched accounts while the profile was loading
+  const activeAccount = auth.getAccount();
+  if (!activeAccount || activeAccount.homeAccountId !== account.homeAccountId) {
+    return;
+  }
 
-    if (userDetails) {
-      APP_STATE.authenticated = true;
+  if (!userDetails) {
+    // The account is known, but no token for it could be acquired without interaction
+    idleTimer.stopIdleTimer();
+    appState.transition(APP_STATES.sessionExpired, { account });
+    return;
+  }
+
+  displayedAccountId = account.homeAccountId;
+
+  // Roles and groups in the ID token decide whether the admin section is available (see accessConfig.js)
+  const idTokenClaims = auth.getIdTokenClaims();
+  const signedInState = accessControl.hasAdminAccess(idTokenClaims) ? APP_STATES.admin : APP_STATES.authenticated;
+  appState.transition(signedInState, {
+    account: account,
+    profile: userDetails,
+    claims: idTokenClaims,
+    providerName: auth.getProviderName()
+  });
 
-      // Get ID token claims for display
-      const idTokenClaims = auth.getIdTokenClaims();
+  // Show directory details if they can be loaded without prompting for consent
+  loadProfileDetails(false);
 
-      // Update UI with user details and token claims
-      ui.showAuthenticatedUser(userDetails, idTokenClaims);
+  // Send a save that was queued while offline or before the session ended, then offer the
+  // draft of edits that were never saved
+  replayQueuedSave().then(offerDraft);
 
-      // Update admin section visibility based on user claims
-      updateAdminAccess(idTokenClaims);
-    } else {
-      APP_STATE.authenticated = false;
-      ui.showUnauthenticatedState();
+  // Sign out automatically after the configured idle period
+  idleTimer.startIdleTimer({ onWarning: handleIdleWarning, onTimeout: handleIdleTimeout, onActive: ui.hideIdleWarning });
+}
+
+/**
+ * Load the extended directory profile and show it next to the welcome message
+ * @param {boolean} allowInteraction - Whether the user may be prompted for consent
+ */
+async function loadProfileDetails(allowInteraction) {
+  try {
+    const directoryProfile = await auth.getExtendedProfile({ allowInteraction });
+    if (directoryProfile) {
+      ui.displayProfileDetails(directoryProfile);
     }
   } catch (error) {
-    console.error("Error updating user state:", error);
-    APP_STATE.authenticated = false;
-    ui.showUnauthenticatedState();
+    console.error("Error loading directory profile:", error);
+    if (allowInteraction) {
+      ui.showError(`Could not load directory details: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Handle show directory details button click
+ */
+function handleLoadProfileDetails() {
+  if (!appState.isSignedIn()) {
+    return;
+  }
+  loadProfileDetails(true);
+}
+
+/**
+ * Handle prefill from directory button click
+ * 
+ * Empty fields of the user data in the editor are filled from the directory profile;
+ * the result is shown as unsaved edits for the user to review and save.
+ */
+async function handlePrefillUserData() {
+  const userDataTextarea = document.getElementById('api-user-data');
+
+  if (!appState.isSignedIn()) {
+    ui.showDataError("You must be authenticated to prefill user data");
+    return;
+  }
+
+  try {
+    let userData = {};
+    const userDataText = userDataTextarea.value.trim();
+    if (userDataText) {
+      try {
+        userData = JSON.parse(userDataText);
+      } catch (parseError) {
+        throw new Error("Invalid JSON data. Please fix the user data before prefilling it.");
+      }
+    }
+
+    const profile = await auth.getProfile();
+    const directoryProfile = await auth.getExtendedProfile({ allowInteraction: true });
+    if (directoryProfile) {
+      ui.displayProfileDetails(directoryProfile);
+    }
+
+    const { data, filledFields } = dataService.prefillUserData(userData, profile, directoryProfile);
+    ui.displayPrefilledUserData(data, filledFields);
+  } catch (error) {
+    console.error("Error prefilling user data:", error);
+    ui.showDataError(error.message || "Failed to prefill user data");
+  }
+}
+
+/**
+ * React to a session change made in another tab
+ * @param {CustomEvent} event - The authSessionChanged event from auth.js
+ */
+async function handleSessionChange(event) {
+  const { type } = event.detail;
+  console.log('Session changed in another tab:', type);
+
+  switch (type) {
+    case auth.SESSION_EVENT_TYPES.signOut:
+      // auth.js already dropped the account in this tab; keep the pending edits, then drop its data and UI as well
+      flushDraft();
+      endSession("You signed out in another tab.");
+      break;
+
+    case auth.SESSION_EVENT_TYPES.signIn:
+      await updateUserState();
+      break;
+
+    case auth.SESSION_EVENT_TYPES.tokenRefresh:
+      // The session is alive elsewhere; only a tab that lost its authenticated state needs to catch up
+      if (!appState.isSignedIn()) {
+        await updateUserState();
+      }
+      break;
   }
 }
 
+/**
+ * Show the idle warning with the time left before automatic sign-out
+ * @param {number} secondsLeft - Seconds until the user is signed out
+ */
+function handleIdleWarning(secondsLeft) {
+  ui.showIdleWarning(secondsLeft, idleTimer.resetIdleTimer);
+}
+
+/**
+ * Sign the user out after the idle period ran out
+ */
+function handleIdleTimeout() {
+  ui.hideIdleWarning();
+  console.log("Signing out after inactivity");
+  signOut("You were signed out after a period of inactivity.");
+}
+
+/**
+ * Check whether the authentication system is ready for sign-in and sign-out
+ * @returns {boolean} True once the identity provider has been initialized
+ */
+function isAuthReady() {
+  return !appState.isIn(APP_STATES.loadingLibrary, APP_STATES.libraryFailed);
+}
+
 /**
  * Handle sign-in button click
  */
-function handleSignIn() {
-  if (!APP_STATE.initialized) {
+async function handleSignIn() {
+  if (!isAuthReady()) {
     ui.showError("Authentication system not initialized");
     return;
   }
 
+  appState.transition(APP_STATES.authenticating);
   try {
-    auth.signIn();
+    await auth.signIn();
   } catch (error) {
     console.error("Sign in error:", error);
-    ui.showError("Failed to sign in");
+    await handleInteractiveSignInFailure(error, "Failed to sign in");
+  }
+}
+
+/**
+ * Handle switch account button click
+ * Offers the other cached accounts, or signs in with another account when there are none
+ */
+async function handleSwitchAccount() {
+  if (!isAuthReady()) {
+    ui.showError("Authentication system not initialized");
+    return;
+  }
+
+  const accounts = auth.getAllAccounts();
+  if (accounts.length > 1) {
+    ui.showAccountPicker(accounts, handleSelectAccount);
+    return;
+  }
+
+  appState.transition(APP_STATES.authenticating);
+  try {
+    await auth.switchAccount();
+  } catch (error) {
+    console.error("Switch account error:", error);
+    await handleInteractiveSignInFailure(error, "Failed to switch account");
+  }
+}
+
+/**
+ * Leave the authenticating state after an interactive sign-in was cancelled or failed
+ * @param {Error} error - The error from the identity provider
+ * @param {string} failureMessage - Message to show when sign-in failed
+ */
+async function handleInteractiveSignInFailure(error, failureMessage) {
+  // Still signed in with the account from before, e.g. when switching accounts was cancelled
+  if (auth.getAccount()) {
+    await updateUserState();
+    return;
+  }
+
+  if (error && error.errorCode === USER_CANCELLED_ERROR) {
+    appState.transition(APP_STATES.unauthenticated, { message: "Sign-in was cancelled." });
+  } else {
+    appState.transition(APP_STATES.error, { message: failureMessage });
   }
 }
 
+/**
+ * Handle choosing an account in the account picker
+ * @param {Object} account - The chosen cached account
+ */
+async function handleSelectAccount(account) {
+  auth.setActiveAccount(account);
+
+  // Nothing fetched for the previous account may show up under the new one
+  dataService.clearDataCache();
+  ui.clearDataDisplay();
+
+  await updateUserState();
+}
+
 /**
  * Handle sign-out button click
  */
 function handleSignOut() {
-  if (!APP_STATE.initialized) {
+  signOut();
+}
+
+/**
+ * Sign the active account out
+ * @param {string} [reason] - Why the user was signed out, shown on the signed-out page
+ */
+async function signOut(reason) {
+  if (!isAuthReady()) {
     return;
   }
 
+  // Save the draft first: it is kept for the account that is still active now
+  flushDraft();
+
   try {
-    auth.signOut();
-    APP_STATE.authenticated = false;
-    ui.showUnauthenticatedState();
+    // auth.js falls back to signing out in this tab when the identity provider cannot be reached
+    await auth.signOut();
+    endSession(reason);
   } catch (error) {
     console.error("Sign out error:", error);
     ui.showError("Failed to sign out");
   }
 }
 
+/**
+ * Drop everything that belongs to the signed-out account and show the signed-out page
+ * @param {string} [reason] - Why the session ended
+ */
+function endSession(reason) {
+  cancelQueuedSaveRetry();
+  idleTimer.stopIdleTimer();
+  ui.hideIdleWarning();
+  dataService.cancelPendingRequests("signed out");
+  dataService.clearDataCache();
+  dataService.clearPersistentCache(displayedAccountId);
+  ui.clearDataDisplay();
+  displayedAccountId = null;
+  appState.transition(APP_STATES.unauthenticated, reason ? { message: reason } : {});
+}
+
+/**
+ * Move to the session-expired state after the API rejected the session, keeping unsaved edits
+ * @param {string} message - Why the session ended, shown on the signed-out page
+ */
+function expireSession(message) {
+  if (!appState.isSignedIn()) {
+    return;
+  }
+
+  // The draft is kept for the account, and offered again after signing in, as is a queued save
+  flushDraft();
+  cancelQueuedSaveRetry();
+
+  idleTimer.stopIdleTimer();
+  ui.hideIdleWarning();
+  dataService.cancelPendingRequests("session expired");
+  appState.transition(APP_STATES.sessionExpired, { account: appState.getState().context.account, message });
+}
+
+/**
+ * Report a failed API request
+ * 
+ * Cancelled requests are not reported (the user signed out or left the page), and an
+ * expired session moves the application to the session-expired state.
+ * @param {Error} error - The error from dataService
+ * @param {string} failureMessage - What failed, e.g. "Failed to fetch data"
+ * @param {function(string): void} showMessage - Shows the message in the right section of the page
+ */
+function handleRequestError(error, failureMessage, showMessage) {
+  if (error instanceof httpClient.CancelledError) {
+    console.log(`${failureMessage}: request cancelled`);
+    return;
+  }
+
+  console.error(`${failureMessage}:`, error);
+  if (error instanceof httpClient.AuthError && error.sessionExpired) {
+    expireSession(error.message);
+    return;
+  }
+
+  showMessage(`${failureMessage}: ${error.message}`);
+}
+
 /**
  * Handle fetch data button click
  */
 async function handleFetchData() {
-  if (!APP_STATE.authenticated) {
+  if (!appState.isSignedIn()) {
     ui.showDataError("You must be authenticated to fetch data");
     return;
   }
 
   try {
-    // Get data from the API
-    const data = await dataService.getData();
-
-    // Display the data in the UI
-    ui.displayData(data);
+    // Get data from the API; ui.renderPoolData shows the last known data first and updates it when the API answers
+    await dataService.getData(false, {
+      onRevalidationFailed: (error) => handleRequestError(error, "Failed to update the speaker pool data", ui.showDataError)
+    });
   } catch (error) {
-    console.error("Error fetching data:", error);
-    ui.showDataError(error.message || "Failed to fetch data");
+    handleRequestError(error, "Failed to fetch data", ui.showDataError);
   }
 }
 
@@ -233,7 +579,7 @@ async function handleFetchData() {
  * Handle fetch user data button click
  */
 async function handleFetchUserData() {
-  if (!APP_STATE.authenticated) {
+  if (!appState.isSignedIn()) {
     ui.showDataError("You must be authenticated to fetch user data");
     return;
   }
@@ -245,8 +591,7 @@ async function handleFetchUserData() {
     // Display the user data in the UI
     ui.displayUserData(userdata);
   } catch (error) {
-    console.error("Error fetching user data:", error);
-    ui.showDataError(error.message || "Failed to fetch user data");
+    handleRequestError(error, "Failed to fetch user data", ui.showDataError);
   }
 }
 
@@ -260,7 +605,7 @@ async function handleSaveUserData() {
     userDataTextarea: document.getElementById('api-user-data')
   };
 
-  if (!APP_STATE.authenticated) {
+  if (!appState.isSignedIn()) {
     ui.showDataError("You must be authenticated to save user data");
     return;
   }
@@ -277,42 +622,386 @@ async function handleSaveUserData() {
       throw new Error("Invalid JSON data. Please ensure data is in correct format.");
     }
 
-    // Save data to the API
-    await dataService.saveUserData(userData);
+    // Save data to the API; it is not sent when it does not match the profile schema, and it is
+    // rejected when the profile was changed elsewhere since it was fetched
+    const result = await dataService.saveUserData(userData, {
+      sourceText: userDataText,
+      allowUnknownFields: userDataText === unknownFieldsWarnedText
+    });
+    if (result.validation) {
+      ui.showValidationIssues(result.validation);
+      if (!result.validation.valid) {
+        ui.showDataError(`The profile was not saved: it has ${result.validation.errors.length} error(s). Fix them and save again.`);
+      } else {
+        // Only unknown fields: saving the same text again keeps them
+        unknownFieldsWarnedText = userDataText;
+        ui.showDataStatus("The profile has fields that are not part of a speaker profile. Remove them, or save again to keep them anyway.", "warning");
+      }
+      return;
+    }
+    if (result.queued) {
+      // The outbox keeps the edits, so they no longer count as unsaved
+      ui.markUserDataSaved();
+      ui.showPendingSaves(dataService.getOutboxStatus().pendingCount);
+      if (result.sessionExpired) {
+        expireSession("Your session has expired. Sign in again to save your queued changes.");
+        return;
+      }
+      scheduleQueuedSaveRetry();
+      ui.showDataStatus("Your changes could not be sent now. They are queued and will be saved as soon as the API can be reached.", "warning");
+      return;
+    }
+    if (!result.success) {
+      ui.showPendingSaves(0);
+      ui.showDataError("Your profile was changed elsewhere. Reconcile the changes below, then save again.");
+      ui.showMergeConflict(result.conflict, (serverFields) => handleResolveConflict(result.conflict, serverFields));
+      return;
+    }
+    ui.markUserDataSaved();
+    ui.showPendingSaves(0);
+
+    // The draft has been saved
+    clearTimeout(draftTimer);
+    draftTimer = null;
+    dataService.discardDraft();
+    ui.hideDraftOffer();
 
     // Show success message
     ui.showDataStatus("User data saved successfully", "success");
   } catch (error) {
-    console.error("Error saving user data:", error);
-    ui.showDataError(error.message || "Failed to save user data");
+    // A queued save the failed edits were made on top of has left the outbox
+    ui.showPendingSaves(dataService.getOutboxStatus().pendingCount);
+    handleRequestError(error, "Failed to save user data", ui.showDataError);
   }
 }
 
+/**
+ * Autosave a draft of the user data once the user stops typing
+ */
+function handleUserDataEdited() {
+  clearTimeout(draftTimer);
+  draftTimer = setTimeout(saveDraft, draftConfig.autosaveDelayMs);
+}
 
 /**
- * Handle fetch delta list button click (admin function)
+ * Save the editor content as the draft of the account whose data is on screen
+ * 
+ * The account is passed explicitly, because a sign-out in another tab has already
+ * dropped the active account when the pending draft is flushed.
  */
-async function handleFetchDeltaList() {
-  if (!APP_STATE.authenticated) {
-    ui.showDeltaError("You must be authenticated to access admin functions");
+function saveDraft() {
+  clearTimeout(draftTimer);
+  draftTimer = null;
+
+  const text = ui.getUserDataText();
+  if (text.trim() !== '') {
+    dataService.storeDraft(text, displayedAccountId);
+  }
+}
+
+/**
+ * Save the draft right away if an autosave is pending, e.g. before signing out
+ */
+function flushDraft() {
+  if (draftTimer !== null) {
+    saveDraft();
+  }
+}
+
+/**
+ * Offer to restore the draft of the signed-in account when it differs from the saved profile
+ * 
+ * The user data is fetched to compare the draft with; a draft that matches it is not offered.
+ */
+async function offerDraft() {
+  const draft = dataService.getDraft();
+  if (!draft || !appState.isSignedIn()) {
+    return;
+  }
+
+  let userdata;
+  try {
+    userdata = await dataService.getUserData();
+  } catch (error) {
+    handleRequestError(error, "Failed to fetch user data to compare with your draft", ui.showDataError);
+    return;
+  }
+
+  // The user may have started editing while the data was fetched
+  if (ui.getUnsavedUserDataEdits() === null) {
+    ui.displayUserData(userdata);
+  }
+
+  const comparison = dataService.compareDraft(draft.text, userdata);
+  if (comparison.valid && comparison.changedFields.length === 0) {
+    return;
+  }
+  ui.showDraftOffer(draft.savedAt, comparison,
+    () => ui.restoreUserDataEdits(draft.text, draft.savedAt),
+    () => dataService.discardDraft());
+}
+
+/**
+ * Send the save waiting in the outbox, if any, and report the outcome
+ * 
+ * A queued save that conflicts with changes made elsewhere is put back in the editor
+ * and reconciled like a conflict on save.
+ */
+async function replayQueuedSave() {
+  if (!appState.isSignedIn()) {
+    return;
+  }
+
+  const accountId = displayedAccountId;
+  try {
+    const result = await dataService.replayOutbox();
+    if (displayedAccountId !== accountId) {
+      // Another account was signed in meanwhile; the result belongs to the previous one
+      return;
+    }
+
+    ui.showPendingSaves(dataService.getOutboxStatus().pendingCount);
+    if (result && result.queued) {
+      if (result.sessionExpired) {
+        expireSession("Your session has expired. Sign in again to save your queued changes.");
+      } else {
+        scheduleQueuedSaveRetry();
+      }
+      return;
+    }
+
+    cancelQueuedSaveRetry();
+    if (!result) {
+      return;
+    }
+
+    if (result.failed) {
+      ui.restoreUserDataEdits(JSON.stringify(result.data, null, 2), new Date().toISOString());
+      ui.showDataError(`Your queued changes were not saved: ${result.reason} They are back in the editor; correct them and save again.`);
+      return;
+    }
+
+    if (!result.success) {
+      const { conflict } = result;
+      ui.restoreUserDataEdits(JSON.stringify(conflict.local, null, 2), new Date().toISOString());
+      ui.showDataError("Your queued changes were not saved: the profile was changed elsewhere. Reconcile the changes below, then save again.");
+      ui.showMergeConflict(conflict, (serverFields) => handleResolveConflict(conflict, serverFields));
+      return;
+    }
+    ui.showDataStatus("Your queued profile changes were saved", "success");
+  } catch (error) {
+    handleRequestError(error, "Failed to send the queued profile changes", ui.showDataError);
+  }
+}
+
+/**
+ * Send the queued save again after a delay that doubles with every failed attempt
+ * 
+ * A retry that is already scheduled is kept. The 'online' event and returning to the tab
+ * send the save right away as well.
+ */
+function scheduleQueuedSaveRetry() {
+  if (outboxRetry.timer !== null) {
+    return;
+  }
+
+  const delayMs = outboxRetry.delayMs === 0
+    ? outboxConfig.initialRetryDelayMs
+    : Math.min(outboxRetry.delayMs * 2, outboxConfig.maxRetryDelayMs);
+  console.log(`Sending the queued save again in ${Math.round(delayMs / 1000)} s`);
+  outboxRetry = {
+    timer: setTimeout(() => {
+      outboxRetry.timer = null;
+      replayQueuedSave();
+    }, delayMs),
+    delayMs: delayMs
+  };
+}
+
+/**
+ * Stop retrying the queued save, once it was sent or the session ended
+ */
+function cancelQueuedSaveRetry() {
+  clearTimeout(outboxRetry.timer);
+  outboxRetry = { timer: null, delayMs: 0 };
+}
+
+/**
+ * Handle compare with speaker pool button click
+ * Shows how the edited user data differs from the user's record in the speaker pool data
+ */
+async function handleCompareUserData() {
+  if (!appState.isSignedIn()) {
+    ui.showDataError("You must be authenticated to compare your profile");
+    return;
+  }
+
+  let userData;
+  try {
+    userData = JSON.parse(ui.getUserDataText());
+  } catch (parseError) {
+    ui.showDataError("Invalid JSON data. Please ensure data is in correct format.");
+    return;
+  }
+
+  try {
+    const poolData = await dataService.getData();
+    ui.showUserDataDiff(dataService.compareWithSpeakerRecord(poolData, userData));
+  } catch (error) {
+    handleRequestError(error, "Failed to compare with the speaker pool", ui.showDataError);
+  }
+}
+
+/**
+ * Handle history button click: list the saved versions of the user's profile
+ */
+async function handleShowProfileHistory() {
+  if (!appState.isSignedIn()) {
+    ui.showDataError("You must be authenticated to see the history of your profile");
     return;
   }
 
   try {
-    // Get delta file list from API
-    const fileList = await dataService.getDeltaListAsAdmin();
+    const history = await dataService.getProfileHistory();
+    ui.showProfileHistory(history, handleShowVersionChanges, handleRestoreVersion);
+  } catch (error) {
+    handleRequestError(error, "Failed to load the saved versions of your profile", ui.showDataError);
+  }
+}
+
+/**
+ * Show what a saved version of the profile changed compared to the version before it
+ * @param {Object} version - The version, from dataService.getProfileHistory
+ * @param {Object|null} previous - The version before it, or null for the oldest
+ */
+async function handleShowVersionChanges(version, previous) {
+  try {
+    const [data, previousData] = await Promise.all([
+      dataService.getProfileVersion(version.id),
+      previous ? dataService.getProfileVersion(previous.id) : null
+    ]);
+    ui.showProfileVersionChanges(version, previous, dataService.diffProfiles(previousData, data));
+  } catch (error) {
+    handleRequestError(error, "Failed to load the saved version", ui.showDataError);
+  }
+}
+
+/**
+ * Restore a saved version of the profile: put it in the editor and save it like any edit,
+ * so it is validated and cannot overwrite changes made elsewhere unnoticed
+ * @param {Object} version - The version, from dataService.getProfileHistory
+ */
+async function handleRestoreVersion(version) {
+  try {
+    const data = await dataService.getProfileVersion(version.id);
+    ui.hideProfileHistory();
+    ui.restoreUserDataEdits(JSON.stringify(data, null, 2), version.savedAt);
+  } catch (error) {
+    handleRequestError(error, "Failed to load the saved version", ui.showDataError);
+    return;
+  }
+
+  await handleSaveUserData();
+}
+
+/**
+ * Handle a file picked for import: show what importing it would change in the user's profile
+ * 
+ * Nothing is saved; confirming puts the imported data in the editor, to be saved like any edit.
+ * The import is laid over unsaved edits in the editor, so they are kept; edits that are not
+ * valid JSON cannot be, so they are written to the draft and the preview warns about them.
+ * @param {File} file - The JSON, vCard or Markdown file
+ */
+async function handleImportProfile(file) {
+  if (!appState.isSignedIn()) {
+    ui.showDataError("You must be authenticated to import a profile");
+    return;
+  }
 
-    // Display the file list in the UI
-    ui.displayDeltaFilesList(fileList, handleViewDeltaFile);
+  const unsavedEdits = ui.getUnsavedUserDataEdits();
+  let currentData = unsavedEdits !== null ? parseEditedUserData(unsavedEdits) : null;
+  const replacesUnsavedEdits = unsavedEdits !== null && currentData === null;
+  if (replacesUnsavedEdits) {
+    flushDraft();
+  }
 
-    if (fileList.length === 0) {
-      ui.showDeltaStatus("No delta files found", "success");
-    } else {
-      ui.showDeltaStatus(`Found ${fileList.length} delta files`, "success");
+  if (currentData === null) {
+    try {
+      currentData = await dataService.getUserData();
+    } catch (error) {
+      // A new speaker has no profile yet: the import starts from an empty one
+      if (!(error instanceof httpClient.ValidationError && error.status === 404)) {
+        handleRequestError(error, "Failed to load your profile to compare the import with", ui.showDataError);
+        return;
+      }
+      currentData = {};
     }
+  }
+
+  try {
+    const preview = dataService.prepareProfileImport(currentData, file.name, await file.text());
+    const previewedText = ui.getUserDataText();
+    ui.showProfileImport(file.name, preview, () => {
+      // Edits made while the preview was open are not in it; applying it would discard them
+      if (ui.getUserDataText() !== previewedText) {
+        ui.showDataError("Your profile was edited after the import was previewed. Import the file again to include those edits.");
+        return;
+      }
+      ui.displayImportedUserData(preview.data, file.name);
+    }, { basedOnUnsavedEdits: unsavedEdits !== null && !replacesUnsavedEdits, replacesUnsavedEdits });
+  } catch (error) {
+    console.error("Error importing profile:", error);
+    ui.showDataError(error.message || "Failed to import the profile");
+  }
+}
+
+/**
+ * Parse the text of the user data editor as a profile
+ * @param {string} text - The editor content
+ * @returns {Object|null} The profile, or null when the text is not a JSON object
+ */
+function parseEditedUserData(text) {
+  try {
+    const data = JSON.parse(text);
+    return data !== null && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Put the reconciled user data of a save conflict in the editor, for the user to review and save
+ * @param {Object} conflict - The conflict from dataService.saveUserData
+ * @param {string[]} serverFields - Conflicting fields for which the user chose the saved version
+ */
+function handleResolveConflict(conflict, serverFields) {
+  try {
+    const mergedData = dataService.resolveConflict(conflict, serverFields);
+    ui.displayMergedUserData(mergedData, conflict.server);
   } catch (error) {
-    console.error("Error fetching delta file list:", error);
-    ui.showDeltaError(error.message || "Failed to fetch delta file list");
+    console.error("Error resolving save conflict:", error);
+    ui.showDataError(error.message || "Failed to merge the changes");
+  }
+}
+
+/**
+ * Handle fetch delta list button click (admin function)
+ */
+async function handleFetchDeltaList() {
+  if (!appState.isSignedIn()) {
+    ui.showDeltaError("You must be authenticated to access admin functions");
+    return;
+  }
+
+  if (!ensureCapability(accessControl.CAPABILITIES.listDeltas)) {
+    return;
+  }
+
+  try {
+    // Get delta file list from API; ui.renderDeltaList displays it
+    await dataService.getDeltaListAsAdmin();
+  } catch (error) {
+    handleRequestError(error, "Failed to fetch delta file list", ui.showDeltaError);
   }
 }
 
@@ -321,11 +1010,15 @@ async function handleFetchDeltaList() {
  * @param {string} filePath - Path of the delta file to view
  */
 async function handleViewDeltaFile(filePath) {
-  if (!APP_STATE.authenticated) {
+  if (!appState.isSignedIn()) {
     ui.showDeltaError("You must be authenticated to access admin functions");
     return;
   }
 
+  if (!ensureCapability(accessControl.CAPABILITIES.viewDelta)) {
+    return;
+  }
+
   try {
     // Extract file name for display
     const fileName = filePath.split('/').pop() || filePath;
@@ -336,8 +1029,7 @@ async function handleViewDeltaFile(filePath) {
     // Display the file content in the UI
     ui.displayDeltaFileContent(fileData, fileName);
   } catch (error) {
-    console.error(`Error fetching delta file ${filePath}:`, error);
-    ui.showDeltaError(error.message || "Failed to fetch delta file content");
+    handleRequestError(error, `Failed to fetch delta file ${filePath}`, ui.showDeltaError);
   }
 }
 
@@ -0,0 +1,143 @@
+/**
+ * appState.js
+ * Application state machine
+ *
+ * The application is always in exactly one of APP_STATES. app.js moves it between
+ * them with transition(); only the transitions listed in TRANSITIONS are allowed, so
+ * a late or duplicate event (e.g. a second login success while the profile is already
+ * loading) cannot put the application in an inconsistent state. ui.js subscribes and
+ * renders the page from the current state.
+ */
+
+/**
+ * Application states
+ */
+export const APP_STATES = {
+    // Loading the configuration and the authentication library
+    loadingLibrary: 'loading-library',
+    // The authentication library could not be loaded or initialized
+    libraryFailed: 'library-failed',
+    // Nobody is signed in
+    unauthenticated: 'unauthenticated',
+    // An interactive sign-in (popup or redirect) is in progress
+    authenticating: 'authenticating',
+    // An account is signed in and its profile is being loaded
+    loadingProfile: 'loading-profile',
+    // Signed in
+    authenticated: 'authenticated',
+    // Signed in with access to the admin section
+    admin: 'admin',
+    // The account is still known but its tokens can no longer be renewed silently
+    sessionExpired: 'session-expired',
+    // Something went wrong that the user needs to know about
+    error: 'error'
+};
+
+/**
+ * Allowed transitions: the states each state may move to
+ */
+const TRANSITIONS = {
+    [APP_STATES.loadingLibrary]: [APP_STATES.libraryFailed, APP_STATES.unauthenticated, APP_STATES.authenticating, APP_STATES.loadingProfile, APP_STATES.error],
+    [APP_STATES.libraryFailed]: [],
+    [APP_STATES.unauthenticated]: [APP_STATES.authenticating, APP_STATES.loadingProfile, APP_STATES.error],
+    [APP_STATES.authenticating]: [APP_STATES.loadingProfile, APP_STATES.unauthenticated, APP_STATES.error],
+    [APP_STATES.loadingProfile]: [APP_STATES.authenticated, APP_STATES.admin, APP_STATES.unauthenticated, APP_STATES.sessionExpired, APP_STATES.error],
+    [APP_STATES.authenticated]: [APP_STATES.admin, APP_STATES.loadingProfile, APP_STATES.authenticating, APP_STATES.unauthenticated, APP_STATES.sessionExpired],
+    [APP_STATES.admin]: [APP_STATES.authenticated, APP_STATES.loadingProfile, APP_STATES.authenticating, APP_STATES.unauthenticated, APP_STATES.sessionExpired],
+    [APP_STATES.sessionExpired]: [APP_STATES.authenticating, APP_STATES.loadingProfile, APP_STATES.unauthenticated],
+    [APP_STATES.error]: [APP_STATES.authenticating, APP_STATES.loadingProfile, APP_STATES.unauthenticated]
+};
+
+// States in which a user is signed in and may use the application
+const SIGNED_IN_STATES = [APP_STATES.authenticated, APP_STATES.admin];
+
+// The current state and the data that goes with it (account, profile, message, ...)
+let currentState = {
+    name: APP_STATES.loadingLibrary,
+    context: {}
+};
+
+// Functions called with the new state after every transition
+const listeners = new Set();
+
+/**
+ * Get the current state
+ * @returns {{name: string, context: Object}} The state name (one of APP_STATES) and its context
+ */
+export function getState() {
+    return currentState;
+}
+
+/**
+ * Check whether the application is in one of the given states
+ * @param {...string} stateNames - States to check (APP_STATES values)
+ * @returns {boolean} True if the current state is one of them
+ */
+export function isIn(...stateNames) {
+    return stateNames.includes(currentState.name);
+}
+
+/**
+ * Check whether a user is signed in and may use the application
+ * @returns {boolean} True in the authenticated and admin states
+ */
+export function isSignedIn() {
+    return SIGNED_IN_STATES.includes(currentState.name);
+}
+
+/**
+ * Move to another state and notify the subscribers
+ *
+ * Transitions that are not allowed from the current state are ignored, as are transitions
+ * to the current state, which only update its context.
+ * @param {string} stateName - The new state (one of APP_STATES)
+ * @param {Object} [context={}] - Data for the new state, e.g. {account, profile} or {message}
+ * @returns {boolean} True if the state changed
+ */
+export function transition(stateName, context = {}) {
+    const previousState = currentState;
+
+    if (stateName === previousState.name) {
+        currentState = { name: stateName, context: context };
+        notifyListeners(previousState);
+        return false;
+    }
+
+    if (!TRANSITIONS[previousState.name].includes(stateName)) {
+        console.warn(`Ignoring state transition ${previousState.name} -> ${stateName}`);
+        return false;
+    }
+
+    console.log(`State: ${previousState.name} -> ${stateName}`);
+    currentState = { name: stateName, context: context };
+    notifyListeners(previousState);
+    return true;
+}
+
+/**
+ * Subscribe to state changes
+ *
+ * The listener is called right away with the current state, and after every transition.
+ * @param {function({name: string, context: Object}, {name: string, context: Object}): void} listener - Called with the new and the previous state
+ * @returns {function(): void} Function that unsubscribes the listener
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    listener(currentState, currentState);
+
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Call every subscriber with the new state
+ * @param {{name: string, context: Object}} previousState - The state before the transition
+ */
+function notifyListeners(previousState) {
+    listeners.forEach(listener => {
+        try {
+            listener(currentState, previousState);
+        } catch (error) {
+            console.error('Error in state listener:', error);
+        }
+    });
+}
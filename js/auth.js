@@ -1,187 +1,296 @@
 /**
  * auth.js
- * Microsoft Entra ID (Azure AD) authentication module
+ * Authentication module
  * 
- * This module handles authentication with Microsoft Entra ID using MSAL.js
+ * This module is the single entry point for authentication. It delegates to the
+ * identity provider selected in authConfig.js: Microsoft Entra ID through MSAL.js
+ * (providers/msalProvider.js) or any OpenID Connect issuer through the authorization
+ * code flow with PKCE (providers/oidcProvider.js).
  * It exports functions to handle login, logout, and getting the current user
+ * 
+ * Sign-in, sign-out and token refresh are broadcast to the application's other
+ * open tabs (BroadcastChannel, with storage events as fallback). A tab that
+ * receives one updates its own session and announces the change with the
+ * authSessionChanged window event.
+ * 
+ * Every provider implements the same interface:
+ * 
+ * @typedef {Object} IdentityProvider
+ * @property {string} displayName - Name of the identity provider shown to the user
+ * @property {function(): boolean} initialize - Set up the provider; false when it cannot be used
+ * @property {function(): Promise<Object|null>} handleRedirect - Process a sign-in response on page load
+ * @property {function(): Promise<void>|void} signIn - Start interactive sign-in; rejects when it fails or is cancelled
+ * @property {function(): Promise<void>|void} signOut - Sign out the active account, also at the issuer where supported; rejects when that fails
+ * @property {function(): Promise<void>|void} switchAccount - Sign in with another account; rejects when it fails or is cancelled
+ * @property {function(): Object|null} getAccount - The active account
+ * @property {function(): Object[]} getAllAccounts - All signed-in accounts
+ * @property {function(Object): void} setActiveAccount - Make a signed-in account the active one
+ * @property {function({forceRefresh: boolean}=): Promise<string>} getToken - A valid ID token, renewed when needed
+ * @property {function(): string|null} getIdToken - The ID token currently held, without renewal
+ * @property {function({scopes: string[], audience: string, forceRefresh: boolean}): Promise<{accessToken: string, expiresAt: number}>} getAccessToken - An access token for an API
+ * @property {function(): Promise<Object|null>} getProfile - The user's profile (Graph-style property names)
+ * @property {function({allowInteraction: boolean}=): Promise<Object|null>} getExtendedProfile - Photo, manager, department and groups; null when not supported
+ * @property {function(string): Promise<Object|null>} syncSignIn - Silently sign in the account signed in by another tab
+ * @property {function(): void} clearLocalSession - Forget the active account in this tab only, without contacting the provider
  */
 
 // Import authentication configuration
-import { msalConfig, loginRequest } from './authConfig.js';
-
-// Authentication configuration is imported from authConfig.js
+import { identityConfig, IDENTITY_PROVIDERS } from './authConfig.js';
+import { parseJwt, isExpiryReached, LOGIN_SUCCESS_EVENT } from './providers/providerUtils.js';
+import * as msalProvider from './providers/msalProvider.js';
+import * as oidcProvider from './providers/oidcProvider.js';
+import * as fakeProvider from './providers/fakeProvider.js';
+
+// Provider implementations by configuration name
+const PROVIDERS = {
+    [IDENTITY_PROVIDERS.msal]: msalProvider,
+    [IDENTITY_PROVIDERS.oidc]: oidcProvider,
+    [IDENTITY_PROVIDERS.fake]: fakeProvider
+};
 
-// Permission scopes are imported from authConfig.js
+// The active identity provider
+let provider = null;
 
-// MSAL instance for authentication
-let msalInstance = null;
+// Name of the window event that announces a session change made in another tab
+export const SESSION_EVENT = 'authSessionChanged';
 
-// In-memory storage for user details and tokens
-let userSessionData = {
-    userDetails: null,
-    idToken: null,
-    accessToken: null
+// Session changes that are synchronized across tabs
+export const SESSION_EVENT_TYPES = {
+    signIn: 'signIn',
+    signOut: 'signOut',
+    tokenRefresh: 'tokenRefresh'
 };
 
+// BroadcastChannel name for session changes
+const SESSION_CHANNEL_NAME = 'speakerpool.auth';
+
+// localStorage key used to pass session changes when BroadcastChannel is not available
+const SESSION_STORAGE_EVENT_KEY = 'speakerpool.auth.sessionEvent';
+
+// Channel to the other tabs, null when falling back to storage events
+let sessionChannel = null;
+
+// Access tokens for APIs, keyed by account, audience and scopes; entries are {accessToken, expiresAt}
+const accessTokenCache = new Map();
+
 /**
- * Initialize Microsoft Authentication Library
+ * Check whether the configured identity provider needs MSAL.js to be loaded
+ * @returns {boolean} True if MSAL.js must be available before initializeAuth
+ */
+export function requiresMsalLibrary() {
+    return identityConfig.provider === IDENTITY_PROVIDERS.msal;
+}
+
+/**
+ * Initialize the identity provider configured in authConfig.js
+ * @returns {boolean} True if the provider is ready to use
  */
 export function initializeAuth() {
-    // Import MSAL from CDN if not available
-    if (!window.msal) {
-        console.warn("MSAL not found. Make sure to include the MSAL script in your HTML.");
+    const selectedProvider = PROVIDERS[identityConfig.provider];
+    if (!selectedProvider) {
+        console.error(`Unknown identity provider: ${identityConfig.provider}`);
         return false;
     }
 
-    // Using msalConfig imported from authConfig.js
+    if (!selectedProvider.initialize()) {
+        return false;
+    }
 
-    // Create new authentication instance
-    msalInstance = new msal.PublicClientApplication(msalConfig);
+    provider = selectedProvider;
+    setupSessionSync();
+    return true;
+}
 
-    // Add event listener for successful login
-    msalInstance.addEventCallback((message) => {
-        console.log('MSAL Event:', message.eventType);
+/**
+ * Get the name of the identity provider, for display
+ * @returns {string} The provider's display name
+ */
+export function getProviderName() {
+    return provider ? provider.displayName : '';
+}
 
-        if (message.eventType === 'msal:loginSuccess' || message.eventType === 'msal:acquireTokenSuccess') {
-            console.log('Login successful:', message);
-            userSessionData.idToken = message.payload.idToken;
-            userSessionData.idTokenClaims = message.payload.idTokenClaims;
-            const event = new CustomEvent('msalLoginSuccess', { detail: message });
-            window.dispatchEvent(event);
-            // Update UI if needed
-            if (message.payload.account) {
-                showWelcomeMessage(message.payload.account.username);
-            }
-        }
-    });
+/**
+ * Process the response of a redirect sign-in, if the page was loaded as the result of one
+ * 
+ * Must be called once on every page load, after initializeAuth.
+ * @returns {Promise<Object|null>} The authentication result or null when there was no redirect response
+ */
+export async function handleRedirect() {
+    if (!provider) {
+        console.error("Authentication not initialized");
+        return null;
+    }
 
-    return true;
+    return provider.handleRedirect();
 }
 
 /**
- * Handle redirect response after authentication
- * @returns {Promise<void>}
+ * Sign in user interactively
+ * @returns {Promise<void>} Rejects when sign-in fails or is cancelled by the user
  */
-export async function handleResponse(response) {
-    if (response !== null) {
-      //  username = response.account.username;
-      //  showWelcomeMessage(username);
-    } else {
-        selectAccount();
+export async function signIn() {
+    if (!provider) {
+        console.error("Authentication not initialized");
+        return;
     }
+
+    await provider.signIn();
 }
 
 /**
- * Sign in user using redirect flow
+ * Sign in with a different account than the ones currently signed in
+ * @returns {Promise<void>} Rejects when sign-in fails or is cancelled by the user
  */
-export function signIn() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+export async function switchAccount() {
+    if (!provider) {
+        console.error("Authentication not initialized");
         return;
     }
 
-    // Start login process with configuration from authConfig.js
-    msalInstance.loginPopup(loginRequest)
-        .then(handleResponse)
-        .catch(error => {
-            console.error(error);
-        });
+    await provider.switchAccount();
 }
 
 /**
- * Sign out the current user
+ * Sign out the active account
+ *
+ * When the identity provider cannot end the session at the issuer (e.g. its discovery
+ * document cannot be fetched), the account is still signed out in this tab.
+ * @returns {Promise<void>} Resolves once the account is signed out, at least locally
  */
-export function signOut() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+export async function signOut() {
+    if (!provider) {
+        console.error("Authentication not initialized");
         return;
     }
 
-    // Clear in-memory session data
-    userSessionData.userDetails = null;
-    userSessionData.idToken = null;
-    userSessionData.accessToken = null;
-
-    // Find all accounts and remove them
-    const currentAccounts = msalInstance.getAllAccounts();
-    if (currentAccounts.length > 0) {
-        msalInstance.logout({
-            account: currentAccounts[0]
-        });
+    broadcastSessionEvent(SESSION_EVENT_TYPES.signOut, provider.getAccount());
+    accessTokenCache.clear();
+    try {
+        await provider.signOut();
+    } catch (error) {
+        console.error("Failed to sign out at the identity provider; signing out in this tab only:", error);
+        provider.clearLocalSession();
     }
 }
 
 /**
  * Get the currently signed in user account
- * @returns {Object|null} The user account or null if not signed in
+ * @returns {Object|null} The user account or null if not signed in or not yet chosen
  */
 export function getAccount() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+    if (!provider) {
+        console.error("Authentication not initialized");
         return null;
     }
 
-    // Get all accounts from MSAL
-    const currentAccounts = msalInstance.getAllAccounts();
+    return provider.getAccount();
+}
+
+/**
+ * Get all signed-in accounts
+ * @returns {Object[]} The accounts
+ */
+export function getAllAccounts() {
+    if (!provider) {
+        console.error("Authentication not initialized");
+        return [];
+    }
+
+    return provider.getAllAccounts();
+}
 
-    // Return the first account if available
-    if (currentAccounts.length > 0) {
-        return currentAccounts[0];
+/**
+ * Make one of the signed-in accounts the active account
+ * @param {Object} account - One of the accounts returned by getAllAccounts
+ */
+export function setActiveAccount(account) {
+    if (!provider) {
+        console.error("Authentication not initialized");
+        return;
     }
 
-    return null;
+    accessTokenCache.clear();
+    provider.setActiveAccount(account);
 }
 
 /**
- * Get user details from Microsoft Graph API
+ * Get the user's profile from the identity provider
  * @returns {Promise<Object|null>} User details object or null on failure
  */
-export async function getUserDetails() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+export async function getProfile() {
+    if (!provider) {
+        console.error("Authentication not initialized");
         return null;
     }
 
-    const account = getAccount();
-    if (!account) {
-        console.warn("No active account found");
+    return provider.getProfile();
+}
+
+/**
+ * Get the user's extended profile: photo, manager, department and group memberships
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInteraction=false] - Ask the user for consent to extra scopes when needed
+ * @returns {Promise<Object|null>} The extended profile or null when not available
+ */
+export async function getExtendedProfile(options = {}) {
+    if (!provider) {
+        console.error("Authentication not initialized");
         return null;
     }
 
-    // Prepare token request using scopes from authConfig.js
-    const silentRequest = {
-        scopes: loginRequest.scopes,
-        account: account,
-        forceRefresh: false
-    };
+    return provider.getExtendedProfile(options);
+}
 
-    try {
-        // Get token silently
-        const tokenResponse = await msalInstance.acquireTokenSilent(silentRequest);
+/**
+ * Get an ID token that is valid for at least the expiry margin, renewing it when needed
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Renew even if the stored token has not expired (e.g. after a 401)
+ * @returns {Promise<string>} A valid ID token
+ */
+export async function getToken(options = {}) {
+    if (!provider) {
+        throw new Error("Authentication not initialized");
+    }
 
-        // Store tokens in memory
-        userSessionData.idToken = tokenResponse.idToken;
-        userSessionData.accessToken = tokenResponse.accessToken;
+    const previousToken = provider.getIdToken();
+    const token = await provider.getToken(options);
 
-        // Call Microsoft Graph API to get user details
-        const response = await fetch("https://graph.microsoft.com/v1.0/me", {
-            headers: {
-                Authorization: `Bearer ${tokenResponse.accessToken}`
-            }
-        });
+    if (previousToken && token !== previousToken) {
+        broadcastSessionEvent(SESSION_EVENT_TYPES.tokenRefresh, provider.getAccount());
+    }
 
-        if (response.ok) {
-            // Store user details in memory
-            userSessionData.userDetails = await response.json();
-            return userSessionData.userDetails;
-        } else {
-            console.error("Error fetching user data:", await response.text());
-            return null;
-        }
-    } catch (error) {
-        console.error("Error acquiring token:", error);
-        return null;
+    return token;
+}
+
+/**
+ * Get an access token for an API, from the cache when it is still valid
+ * 
+ * Use this for APIs that validate the token's audience; the ID token is only meant for this app.
+ * @param {Object} request
+ * @param {string[]} request.scopes - Scopes of the API
+ * @param {string} [request.audience] - Audience of the API, for OIDC issuers that use an audience parameter
+ * @param {boolean} [request.forceRefresh=false] - Acquire a new token even if the cached one has not expired (e.g. after a 401)
+ * @returns {Promise<string>} A valid access token
+ */
+export async function getAccessToken({ scopes, audience, forceRefresh = false }) {
+    if (!provider) {
+        throw new Error("Authentication not initialized");
+    }
+
+    const account = provider.getAccount();
+    if (!account) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    const cacheKey = [account.homeAccountId, audience || '', [...scopes].sort().join(' ')].join('|');
+    const cachedToken = accessTokenCache.get(cacheKey);
+    if (!forceRefresh && cachedToken && !isExpiryReached(cachedToken.expiresAt)) {
+        return cachedToken.accessToken;
     }
+
+    const tokenResult = await provider.getAccessToken({ scopes, audience, forceRefresh });
+    accessTokenCache.set(cacheKey, tokenResult);
+    return tokenResult.accessToken;
 }
 
 /**
@@ -189,7 +298,7 @@ export async function getUserDetails() {
  * @returns {string|null} The ID token or null if not available
  */
 export function getIdToken() {
-    return userSessionData.idToken;
+    return provider ? provider.getIdToken() : null;
 }
 
 /**
@@ -197,64 +306,135 @@ export function getIdToken() {
  * @returns {Object|null} The parsed ID token claims or null if not available
  */
 export function getIdTokenClaims() {
-    if (!userSessionData.idToken) {
+    const idToken = getIdToken();
+    if (!idToken) {
         return null;
     }
 
-    try {
-        // ID token is in format: header.payload.signature
-        // We need to get the payload part (index 1)
-        const tokenParts = userSessionData.idToken.split('.');
-        if (tokenParts.length !== 3) {
-            console.error("Invalid token format");
-            return null;
+    return parseJwt(idToken);
+}
+
+/**
+ * Start exchanging session changes with the application's other tabs
+ */
+function setupSessionSync() {
+    if ('BroadcastChannel' in window) {
+        sessionChannel = new BroadcastChannel(SESSION_CHANNEL_NAME);
+        sessionChannel.onmessage = (event) => receiveSessionMessage(event.data);
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key === SESSION_STORAGE_EVENT_KEY && event.newValue) {
+                receiveSessionMessage(JSON.parse(event.newValue));
+            }
+        });
+    }
+
+    // Sign-ins in this tab (popup or redirect) are announced by the providers with the login success event
+    window.addEventListener(LOGIN_SUCCESS_EVENT, (event) => {
+        const { eventType, payload } = event.detail;
+        if (eventType.endsWith('loginSuccess') && payload.account) {
+            broadcastSessionEvent(SESSION_EVENT_TYPES.signIn, payload.account);
         }
+    });
+}
 
-        // Base64 decode and parse the payload
-        const payload = tokenParts[1];
-        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
-        const jsonPayload = decodeURIComponent(atob(base64).split('').map(function (c) {
-            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-        }).join(''));
+/**
+ * Tell the other tabs about a session change in this tab
+ * @param {string} type - One of SESSION_EVENT_TYPES
+ * @param {Object|null} account - The account the change applies to
+ */
+function broadcastSessionEvent(type, account) {
+    const message = {
+        type: type,
+        accountId: account ? account.homeAccountId : null,
+        username: account ? account.username : null,
+        sentAt: Date.now()
+    };
 
-        return JSON.parse(jsonPayload);
-    } catch (error) {
-        console.error("Error parsing ID token claims:", error);
-        return null;
+    if (sessionChannel) {
+        sessionChannel.postMessage(message);
+    } else {
+        // Other tabs receive a storage event for the write; removing right away keeps storage clean
+        localStorage.setItem(SESSION_STORAGE_EVENT_KEY, JSON.stringify(message));
+        localStorage.removeItem(SESSION_STORAGE_EVENT_KEY);
     }
 }
 
+/**
+ * Apply a session change made in another tab, falling back to signed out if that fails
+ *
+ * A tab that could not follow the change (e.g. the account sync failed) would otherwise
+ * be left with a half-updated session; signing it out leaves it in a state it can recover from.
+ * @param {Object} message - The message sent by broadcastSessionEvent
+ */
+function receiveSessionMessage(message) {
+    handleSessionMessage(message).catch(error => {
+        console.error('Failed to apply the session change from another tab; signing out this tab:', error);
+        const account = provider.getAccount();
+        accessTokenCache.clear();
+        try {
+            provider.clearLocalSession();
+        } catch (clearError) {
+            console.error('Failed to clear the local session:', clearError);
+        }
+        notifySessionChange({
+            type: SESSION_EVENT_TYPES.signOut,
+            accountId: account ? account.homeAccountId : message.accountId
+        });
+    });
+}
 
 /**
- * Displays account details in the console
- * @param {string} username - The username of the logged-in account
+ * Apply a session change made in another tab to this tab
+ * @param {Object} message - The message sent by broadcastSessionEvent
  */
-function showWelcomeMessage(username) {
-    const accounts = msalInstance.getAllAccounts();
-    const account = accounts.find(acc => acc.username === username);
-
-    if (account) {
-        console.group('Account Details');
-        console.log('👤 Username:', account.username);
-        console.log('🏠 Home Account ID:', account.homeAccountId);
-        console.log('🏢 Tenant ID:', account.tenantId);
-        console.log('🔐 Local Account ID:', account.localAccountId);
-
-        // Log additional claims if available
-        if (account.idTokenClaims) {
-            console.group('ID Token Claims');
-            Object.entries(account.idTokenClaims).forEach(([key, value]) => {
-                // Skip standard claims that are already logged
-                if (!['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'aio'].includes(key)) {
-                    console.log(`🔹 ${key}:`, value);
+async function handleSessionMessage(message) {
+    const account = provider.getAccount();
+    const isSameAccount = account !== null && account.homeAccountId === message.accountId;
+
+    switch (message.type) {
+        case SESSION_EVENT_TYPES.signOut:
+            // Another tab signed out the account this tab is using: stop using its tokens here too
+            if (isSameAccount) {
+                console.log('Signed out in another tab');
+                accessTokenCache.clear();
+                provider.clearLocalSession();
+                notifySessionChange(message);
+            }
+            break;
+
+        case SESSION_EVENT_TYPES.signIn:
+            // Only a tab without an account follows along; tabs keep their own active account otherwise
+            if (account === null && message.username) {
+                const syncedAccount = await provider.syncSignIn(message.username);
+                if (syncedAccount) {
+                    console.log('Signed in through another tab as', syncedAccount.username);
+                    notifySessionChange(message);
                 }
-            });
-            console.groupEnd();
-        }
+            }
+            break;
 
-        console.log('🔑 Scopes:', loginRequest.scopes);
-        console.groupEnd();
-    } else {
-        console.warn('No account found for username:', username);
+        case SESSION_EVENT_TYPES.tokenRefresh:
+            if (isSameAccount) {
+                notifySessionChange(message);
+            }
+            break;
+
+        default:
+            console.warn('Ignoring unknown session event from another tab:', message.type);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Announce a session change made in another tab to the rest of this tab
+ * @param {Object} message - The message received from the other tab
+ */
+function notifySessionChange(message) {
+    const event = new CustomEvent(SESSION_EVENT, {
+        detail: {
+            type: message.type,
+            accountId: message.accountId
+        }
+    });
+    window.dispatchEvent(event);
+}
@@ -1,16 +1,20 @@
 /**
  * Configuration object to be passed to MSAL instance on creation. 
+ * The client ID and authority differ per environment and are set from the environment
+ * configuration at startup (see configureIdentity and runtimeConfig.js).
  * For a full list of MSAL.js configuration parameters, visit:
  * https://github.com/AzureAD/microsoft-authentication-library-for-js/blob/dev/lib/msal-browser/docs/configuration.md 
  */
 export const msalConfig = {
     auth: {
         // 'Application (client) ID' of app registration in Azure portal - this value is a GUID
-        clientId: "c0461816-7078-466b-9329-6be5824c82dd",
+        clientId: "",
         // Full directory URL, in the form of https://login.microsoftonline.com/<tenant-id>
-        authority: "https://login.microsoftonline.com/21429da9-e4ad-45f9-9a6f-cd126a64274b",
+        authority: "",
         // Full redirect URL, in form of http://localhost:5500 or window.location.origin (to work dynamically from various origins - especially the development environment and the production)
         redirectUri: window.location.origin,
+        // Return location after a redirect sign-in is restored by auth.js itself, so MSAL should not navigate again
+        navigateToLoginRequestUrl: false,
     },
     cache: {
         cacheLocation: "sessionStorage", // This configures where your cache will be stored
@@ -51,3 +55,125 @@ export const loginRequest = {
       scopes: ["User.Read","openid","profile"]
 }
 
+/**
+ * Supported ways of performing interactive sign-in
+ */
+export const INTERACTION_MODES = {
+    popup: "popup",
+    redirect: "redirect"
+};
+
+/**
+ * Interaction settings for sign-in and interactive token renewal.
+ * 'popup' keeps the page loaded and opens the Microsoft sign-in page in a popup window;
+ * 'redirect' navigates the whole page to the sign-in page and back, for browsers that block popups.
+ */
+export const interactionConfig = {
+    mode: INTERACTION_MODES.popup
+};
+
+/**
+ * Available identity provider implementations (see auth.js)
+ */
+export const IDENTITY_PROVIDERS = {
+    msal: "msal",
+    oidc: "oidc",
+    fake: "fake"
+};
+
+/**
+ * Identity provider the application signs in with, set from the environment configuration.
+ * 'msal' uses Microsoft Entra ID through MSAL.js (msalConfig, loginRequest, interactionConfig);
+ * 'oidc' uses any OpenID Connect issuer through the authorization code flow with PKCE (oidcConfig);
+ * 'fake' signs in configured test users without any identity provider, for offline development (fakeIdentityConfig).
+ */
+export const identityConfig = {
+    provider: IDENTITY_PROVIDERS.msal
+};
+
+/**
+ * Settings for the generic OpenID Connect provider.
+ * Issuer, client ID, scopes and display name are set from the environment configuration.
+ * The issuer must publish a discovery document (/.well-known/openid-configuration) and allow
+ * the client as a public client with PKCE, e.g. a Keycloak realm: http://localhost:8080/realms/<realm>
+ * Note that the OIDC provider always signs in with a full page redirect.
+ */
+export const oidcConfig = {
+    // Issuer identifier, exactly as it appears in the 'iss' claim of the ID token
+    issuer: "",
+    // Client ID registered with the issuer
+    clientId: "",
+    // Must be registered as a valid redirect URI for the client
+    redirectUri: window.location.origin,
+    postLogoutRedirectUri: window.location.origin,
+    scopes: ["openid", "profile", "email"],
+    // Name shown to the user after signing in
+    displayName: "OpenID Connect"
+};
+
+/**
+ * Settings for the fake identity provider used in offline development.
+ * Test users are set from the environment configuration (see config/offline.json); each has an
+ * id, name and username, and optionally email, roles, groups, jobTitle, department, officeLocation
+ * and extra token claims.
+ */
+export const fakeIdentityConfig = {
+    users: [],
+    // Lifetime of the tokens issued to test users
+    tokenLifetimeMinutes: 60,
+    // Name shown to the user after signing in
+    displayName: "Test Identity Provider"
+};
+
+/**
+ * Automatic sign-out after a period without user activity.
+ * Activity is input, clicks, key presses, pointer movement and returning to the tab.
+ * A warning with a countdown is shown before the user is signed out.
+ */
+export const idleTimeoutConfig = {
+    enabled: true,
+    // Minutes without activity after which the user is signed out
+    idleTimeoutMinutes: 30,
+    // Seconds before sign-out at which the warning dialog appears
+    warningSeconds: 60
+};
+
+/**
+ * Extended Microsoft Graph profile (photo, manager, department and group memberships).
+ * These scopes are not requested at sign-in: consent is asked for incrementally, the first
+ * time the user asks for the extended profile. Parts whose scope is not granted are left out.
+ */
+export const graphProfileConfig = {
+    // Photo, manager and organisational details only need the basic profile scope
+    baseScopes: ["User.Read"],
+    // Group memberships additionally need GroupMember.Read.All (may require admin consent)
+    extendedScopes: ["User.Read", "GroupMember.Read.All"],
+    // Size of the profile photo to load, one of the sizes Graph supports (48x48, 64x64, 96x96, ...)
+    photoSize: "96x96"
+};
+
+/**
+ * Apply the identity settings of the environment configuration (see runtimeConfig.js)
+ * Must be called before auth.js is initialized.
+ * @param {Object} identity - The validated 'identity' section of the environment configuration
+ */
+export function configureIdentity(identity) {
+    identityConfig.provider = identity.provider;
+
+    if (identity.interactionMode) {
+        interactionConfig.mode = identity.interactionMode;
+    }
+
+    if (identity.msal) {
+        msalConfig.auth.clientId = identity.msal.clientId;
+        msalConfig.auth.authority = identity.msal.authority;
+    }
+
+    if (identity.oidc) {
+        Object.assign(oidcConfig, identity.oidc);
+    }
+
+    if (identity.fake) {
+        Object.assign(fakeIdentityConfig, identity.fake);
+    }
+}
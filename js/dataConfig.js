@@ -1,7 +1,148 @@
-export const dataEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/speakerpool-data";
-export const deltaEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/speakerpool-delta";
+// Endpoint URLs differ per environment; they are set from the environment configuration
+// at startup (see configureEndpoints and runtimeConfig.js)
+export let dataEndpoint = null;
+export let deltaEndpoint = null;
 
 // this endpoint supports getting a list of all files in a specific bucket in a specific folder (e.g. /conclusion-assets/deltas/)
 // it also allows uploading new files to the bucket to that specific folder
 // the requests should contain the Authorization header with the ID token and the reques header Asset-Path; this header identifies the folder path (to get a list) or a specific object (to GET or PUT)
-export const adminEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-admin-proxy/speakerpool-admin";
+export let adminEndpoint = null;
+
+// Optional: keeps every saved version of the user's own profile under a per-user history path
+// (request.auth[name]); the request header Version-Id names a version, without it a GET lists them.
+// null when the environment's backend does not support it; versions are then only kept in the browser
+export let historyEndpoint = null;
+
+
+/**
+ * Kinds of bearer token an endpoint can expect
+ */
+export const TOKEN_TYPES = {
+    // An access token issued for the API's scopes/audience; lets the gateway check the audience
+    accessToken: "accessToken",
+    // The ID token of the signed-in user; only for backends that have not been migrated to access tokens yet
+    idToken: "idToken"
+};
+
+/**
+ * Bearer token required per endpoint.
+ * For access tokens, list the scopes exposed by the API's app registration (Expose an API),
+ * and for OIDC issuers that use an audience parameter, the audience as well.
+ * Scopes, audience and token type are set per environment from the environment configuration:
+ * switch an endpoint to TOKEN_TYPES.accessToken once its gateway deployment validates the API audience.
+ */
+export const endpointTokenConfig = {
+    dataEndpoint: {
+        tokenType: TOKEN_TYPES.idToken,
+        scopes: []
+    },
+    deltaEndpoint: {
+        tokenType: TOKEN_TYPES.idToken,
+        scopes: []
+    },
+    adminEndpoint: {
+        tokenType: TOKEN_TYPES.idToken,
+        scopes: []
+    },
+    historyEndpoint: {
+        tokenType: TOKEN_TYPES.idToken,
+        scopes: []
+    }
+};
+
+/**
+ * Timeouts and retries of API requests (see httpClient.js)
+ */
+export const httpClientConfig = {
+    // Time allowed per attempt until the response headers arrive
+    timeoutMs: 15000,
+    // Retries after network errors, 5xx responses (idempotent requests only) and 429 responses
+    maxRetries: 3,
+    // Delay before the first retry; doubles with every further retry, with jitter
+    initialBackoffMs: 500,
+    // Upper limit of the backoff delay
+    maxBackoffMs: 8000,
+    // Longest Retry-After the client waits for on a 429; longer waits are reported to the user instead
+    maxRetryAfterMs: 30000
+};
+
+/**
+ * Autosaved drafts of the user data editor
+ */
+export const draftConfig = {
+    // Time after the last edit before the draft is saved to localStorage
+    autosaveDelayMs: 1000
+};
+
+/**
+ * Saves of the user data waiting in the outbox
+ */
+export const outboxConfig = {
+    // Delay before a queued save is first sent again; doubles after every attempt that fails
+    initialRetryDelayMs: 5000,
+    // Upper limit of the retry delay
+    maxRetryDelayMs: 300000
+};
+
+/**
+ * Version history of the user's own profile
+ */
+export const historyConfig = {
+    // Versions kept per account in localStorage; older ones are dropped (those on the history endpoint stay)
+    maxLocalVersions: 20
+};
+
+/**
+ * Defaults of the speaker pool export options (see speakerExport.js); the user can change them per export
+ */
+export const exportConfig = {
+    // Separates the cells of a CSV row; Excel with a Dutch locale expects ';'
+    csvDelimiter: ',',
+    // Joins the items of a list (topics, languages) in one CSV or Excel cell
+    listSeparator: '; ',
+    // Joins the fields of an object in a list (a past talk's title, event and date)
+    fieldSeparator: ' - ',
+    // Start of the file names, followed by the date and time of the export
+    fileNamePrefix: 'speakerpool'
+};
+
+/**
+ * Persistent cache of the speaker pool data in IndexedDB (see persistentCache.js)
+ */
+export const clientCacheConfig = {
+    // Set to false to always wait for the API instead of showing the last known data first
+    enabled: true,
+    // Name of the IndexedDB database
+    databaseName: 'speakerpool-cache',
+    // Cached data not confirmed by the server for this long is discarded instead of shown (7 days)
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Apply the endpoint settings of the environment configuration (see runtimeConfig.js)
+ * @param {Object} endpoints - The validated 'endpoints' section of the environment configuration
+ */
+export function configureEndpoints(endpoints) {
+    dataEndpoint = endpoints.dataEndpoint.url;
+    deltaEndpoint = endpoints.deltaEndpoint.url;
+    adminEndpoint = endpoints.adminEndpoint.url;
+    historyEndpoint = endpoints.historyEndpoint ? endpoints.historyEndpoint.url : null;
+
+    Object.keys(endpointTokenConfig).forEach(endpointName => {
+        // Optional endpoints the environment does not configure
+        if (!endpoints[endpointName]) {
+            return;
+        }
+
+        const { tokenType, scopes, audience } = endpoints[endpointName];
+        const tokenConfig = endpointTokenConfig[endpointName];
+
+        if (tokenType) {
+            tokenConfig.tokenType = tokenType;
+        }
+        tokenConfig.scopes = scopes || [];
+        if (audience) {
+            tokenConfig.audience = audience;
+        }
+    });
+}
@@ -3,360 +3,1263 @@
  * Data service module for retrieving and caching data from the API
  * 
  * This module handles data retrieval from the configured endpoint using
- * the authenticated user's ID token as authorization. The data is retained
- * in memory throughout the session.
+ * the bearer token each endpoint requires (see endpointTokenConfig in dataConfig.js):
+ * an access token for the API, or the user's ID token for endpoints that have not
+ * migrated yet. The data is retained in memory throughout the session.
+ * 
+ * The state of each resource (the speaker pool, the user's own data, the delta list and
+ * each delta file) is kept in resourceStore.js: its status, error, timestamp and value.
+ * Concurrent requests for the same resource share one request.
+ * 
+ * The speaker pool data is also kept per account in IndexedDB (persistentCache.js):
+ * getData returns the last known data right away and revalidates it in the background
+ * with a conditional request, so an unchanged dataset is not downloaded again.
+ * 
+ * All requests go through authenticatedRequest, which uses the shared HTTP client
+ * (httpClient.js) for timeouts, retries and cancellation, renews an expired token before
+ * the call and retries once with a fresh token after a 401. Failures are thrown as the
+ * HTTP client's error classes (AuthError, NetworkError, ServerError, ValidationError).
+ * 
+ * Cached data belongs to the account that fetched it: when the active account
+ * changes, the cache is cleared before it is used again.
+ * 
+ * Saves that cannot reach the API (offline, network or server failure) go into an outbox
+ * in localStorage, one per account, and are sent by replayOutbox once the connection is back.
+ * 
+ * Every successful save is recorded as a version of the profile: in localStorage, and on the
+ * history endpoint when the environment has one (see getProfileHistory).
  */
 
-import { dataEndpoint, deltaEndpoint, adminEndpoint } from './dataConfig.js';
-import { getIdToken } from './auth.js';
+import { dataEndpoint, deltaEndpoint, adminEndpoint, historyEndpoint, endpointTokenConfig, historyConfig, TOKEN_TYPES } from './dataConfig.js';
+import { getToken, getAccessToken, getAccount } from './auth.js';
+import * as httpClient from './httpClient.js';
+import * as persistentCache from './persistentCache.js';
+import * as resourceStore from './resourceStore.js';
+import { RESOURCES, RESOURCE_SOURCES } from './resourceStore.js';
+import { PROFILE_SCHEMA } from './profileSchema.js';
+import { validate } from './schemaValidator.js';
+import { locateJsonPaths, findPosition } from './jsonPositions.js';
+import { diffJson, isEqual } from './jsonDiff.js';
+import { getSpeakerRecords } from './speakerQuery.js';
+import { parseProfileFile } from './profileImport.js';
+
+// Key of the speaker pool data in the persistent cache
+const DATA_CACHE_KEY = 'speakerpool-data';
+
+// Schema keyword of the validation errors that are reported as warnings: fields the profile schema does not know
+const WARNING_KEYWORDS = ['additionalProperties'];
+
+// localStorage key prefix (followed by the homeAccountId) for the draft of the user data editor
+const DRAFT_KEY_PREFIX = 'speakerpool.draft.';
+
+// localStorage key prefix (followed by the homeAccountId) for a save waiting in the outbox
+const OUTBOX_KEY_PREFIX = 'speakerpool.outbox.';
+
+// localStorage key prefix (followed by the homeAccountId) for the saved versions of the user's profile
+const HISTORY_KEY_PREFIX = 'speakerpool.history.';
+
+// Version IDs: the save time in milliseconds since the epoch
+const VERSION_ID_PATTERN = /^[0-9]+$/;
 
-// Constants for status and error messages
-const STATUS = {
-    IDLE: 'idle',
-    LOADING: 'loading',
-    SUCCESS: 'success',
-    ERROR: 'error'
+// Speaker profile fields that can be prefilled from the directory, and how to read each
+// from the basic (/me) profile and the extended directory profile
+const PREFILL_FIELDS = {
+    name: (profile) => profile.displayName,
+    email: (profile) => profile.mail || profile.userPrincipalName,
+    jobTitle: (profile, directoryProfile) => directoryProfile.jobTitle || profile.jobTitle,
+    department: (profile, directoryProfile) => directoryProfile.department,
+    location: (profile, directoryProfile) => directoryProfile.officeLocation || directoryProfile.city,
+    manager: (profile, directoryProfile) => directoryProfile.manager ? directoryProfile.manager.displayName : null
 };
 
-// In-memory cache for data
-const dataCache = {
-    // Current data fetch status
-    status: STATUS.IDLE,
+// Replays of the outbox in progress, by homeAccountId (see replayOutbox)
+const outboxReplays = new Map();
 
-    // Last error message if any
-    error: null,
+// What the resources in resourceStore.js need for conditional requests and saves
+const dataCache = {
+    // Version {etag, lastModified} of the speaker pool data
+    dataVersion: null,
 
-    // Timestamp of last successful fetch
-    lastFetched: null,
+    // The user data as last read from or written to the server, and its version {etag, lastModified};
+    // the base for conflict detection and merging in saveUserData
+    userdataBase: null,
+    userdataVersion: null,
 
-    // The cached data
-    data: null,
+    // True when the last GET of the user data answered 404: the first save may only create it
+    userdataMissing: false,
 
-    // Cached user data
-    userdata: null
+    // homeAccountId of the account the cached data belongs to
+    accountId: null
 };
 
 /**
- * Get data from the API using the authenticated user's ID token
+ * Get the bearer token an endpoint requires
+ * @param {Object} tokenConfig - The endpoint's entry in endpointTokenConfig
+ * @param {boolean} [forceRefresh=false] - Acquire a new token even if the current one has not expired
+ * @returns {Promise<string>} A valid access token or ID token
+ */
+async function getBearerToken(tokenConfig, forceRefresh = false) {
+    if (tokenConfig.tokenType === TOKEN_TYPES.accessToken) {
+        return getAccessToken({
+            scopes: tokenConfig.scopes,
+            audience: tokenConfig.audience,
+            forceRefresh
+        });
+    }
+
+    return getToken({ forceRefresh });
+}
+
+/**
+ * Send a request with a valid bearer token of the type the endpoint requires
+ * 
+ * The token is checked for expiry (and renewed) before the request is sent.
+ * When the API still answers 401, the token is renewed and the request is retried once.
+ * @param {string} url - The URL to send the request to
+ * @param {Object} options - Request options (see httpClient.request); the bearer token is added
+ * @param {Object} tokenConfig - The endpoint's entry in endpointTokenConfig
+ * @returns {Promise<Response>} The successful response
+ */
+function authenticatedRequest(url, options, tokenConfig) {
+    return httpClient.request(url, {
+        ...options,
+        getBearerToken: (forceRefresh) => getBearerToken(tokenConfig, forceRefresh)
+    });
+}
+
+/**
+ * GET a JSON document
+ * @param {string} url - The URL to fetch
+ * @param {Object} tokenConfig - The endpoint's entry in endpointTokenConfig
+ * @param {Object} [options]
+ * @param {Object|null} [options.version=null] - Version of a copy the caller has; the request is then conditional
+ * @param {boolean} [options.bypassCache=true] - Add a timestamp to the URL, so no cache on the way answers
+ * @returns {Promise<{data: Object|null, version: Object|null, notModified: boolean}>} The fetched document and its version
+ *   (see readVersion); notModified with no data when the copy of the given version is still current
+ */
+async function fetchDocument(url, tokenConfig, { version = null, bypassCache = true } = {}) {
+    const requestUrl = bypassCache ? `${url}?ts=${Date.now()}` : url;
+    const response = await authenticatedRequest(requestUrl, { method: 'GET', headers: conditionalHeaders(version) }, tokenConfig);
+    const notModified = response.status === 304;
+    const data = notModified ? null : await httpClient.readJson(response);
+
+    return { data, version: readVersion(response) || (notModified ? version : null), notModified };
+}
+
+/**
+ * Read the version of a stored object from the response headers
+ * @param {Response} response - A response to a GET or PUT of the object
+ * @returns {{etag: string|null, lastModified: string|null}|null} The version, or null when the response has neither header
+ */
+function readVersion(response) {
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+    return etag || lastModified ? { etag, lastModified } : null;
+}
+
+/**
+ * Get the precondition headers that make a PUT fail when the object changed since a version was read
+ * @param {Object|null} version - The version the changes are based on
+ * @param {boolean} [missing=false] - The object did not exist when it was read; the PUT may only create it
+ * @returns {Object} If-Match (preferred) or If-Unmodified-Since header, If-None-Match: * for a missing object,
+ *   or none when the version is unknown
+ */
+function preconditionHeaders(version, missing = false) {
+    if (missing) {
+        return { 'If-None-Match': '*' };
+    }
+    if (version && version.etag) {
+        return { 'If-Match': version.etag };
+    }
+    if (version && version.lastModified) {
+        return { 'If-Unmodified-Since': version.lastModified };
+    }
+    return {};
+}
+
+/**
+ * Get the headers that make a GET answer 304 Not Modified when the object still has a version
+ * @param {Object|null} version - Version of the copy the caller has
+ * @returns {Object} If-None-Match (preferred) or If-Modified-Since header, or none when the version is unknown
+ */
+function conditionalHeaders(version) {
+    if (version && version.etag) {
+        return { 'If-None-Match': version.etag };
+    }
+    if (version && version.lastModified) {
+        return { 'If-Modified-Since': version.lastModified };
+    }
+    return {};
+}
+
+/**
+ * Remember the user's data as last read from or written to the server, with its version
+ * @param {Object} data - The user's data
+ * @param {Object|null} version - Its version
+ */
+function setUserDataBase(data, version) {
+    dataCache.userdataBase = structuredClone(data);
+    dataCache.userdataVersion = version;
+    dataCache.userdataMissing = false;
+    resourceStore.setResource(RESOURCES.profile, {
+        value: data,
+        updatedAt: new Date(),
+        source: RESOURCE_SOURCES.network
+    });
+}
+
+/**
+ * Make sure the cache only holds data of the active account, clearing it when the account changed
+ */
+function ensureCacheForActiveAccount() {
+    const account = getAccount();
+    const accountId = account ? account.homeAccountId : null;
+
+    if (dataCache.accountId !== accountId) {
+        if (dataCache.accountId !== null) {
+            console.log('Active account changed, clearing cached data of the previous account');
+        }
+        clearDataCache();
+        dataCache.accountId = accountId;
+    }
+}
+
+/**
+ * Get the speaker pool data, stale-while-revalidate
+ * 
+ * Data already fetched in this session is returned as it is. Otherwise the last known
+ * data of the account in the persistent cache is returned right away, and revalidated in
+ * the background with a conditional request; the pool resource (RESOURCES.pool) gets the
+ * current data once that completes. Without cached data (or with forceRefresh) the API is
+ * awaited, still conditionally when a copy is at hand. The resource's source tells where
+ * the data came from.
  * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
- * @returns {Promise<Object>} The fetched data
+ * @param {Object} [options]
+ * @param {function(Error): void} [options.onRevalidationFailed] - Called when a background revalidation failed; the cached data stays
+ * @returns {Promise<Object>} The data
  */
-export async function getData(forceRefresh = false) {
+export async function getData(forceRefresh = false, { onRevalidationFailed } = {}) {
+    ensureCacheForActiveAccount();
+    const accountId = dataCache.accountId;
+
     // If data is already cached and refresh is not forced, return cached data
-    if (!forceRefresh && dataCache.data !== null) {
+    const cached = resourceStore.getResource(RESOURCES.pool);
+    if (!forceRefresh && cached.value !== null) {
         console.log('Returning cached data from previous fetch');
-        return dataCache.data;
+        return cached.value;
     }
 
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
+    if (!forceRefresh && accountId !== null) {
+        const entry = await persistentCache.readEntry(accountId, DATA_CACHE_KEY);
+        // Another call may have filled the cache, or the account changed, while reading
+        if (entry && dataCache.accountId === accountId && resourceStore.getResource(RESOURCES.pool).value === null) {
+            console.log('Returning speaker pool data from the persistent cache, revalidating in the background');
+            dataCache.dataVersion = entry.version;
+            resourceStore.setResource(RESOURCES.pool, {
+                value: entry.data,
+                updatedAt: new Date(entry.validatedAt),
+                source: RESOURCE_SOURCES.cache
+            });
+            revalidateData(onRevalidationFailed);
+            return entry.data;
+        }
     }
 
-    try {
-        // Update status to loading
-        dataCache.status = STATUS.LOADING;
-        const options = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${idToken}`
-            }
-        };
-
-        const endpoint = dataEndpoint + "?ts=" + Date.now();
-        console.log('Fetching data from endpoint:', endpoint);
-        // Make authenticated request to the data endpoint ; bust caching by adding ts query parameter
-        const response = await fetch(endpoint, options);
-
-        // Check if request was successful
-        if (!response.ok) {
-            const errorText = await response.text();
-            const error = `API request failed with status ${response.status}: ${errorText}`;
-            dataCache.status = STATUS.ERROR;
-            dataCache.error = error;
-            throw new Error(error);
-        }
+    return resourceStore.load(RESOURCES.pool, fetchData);
+}
+
+/**
+ * Fetch the speaker pool data from the API and store it in both caches
+ * 
+ * The request is conditional when data is cached: a 304 keeps the cached data.
+ * @returns {Promise<Object>} The current data
+ */
+async function fetchData() {
+    const accountId = dataCache.accountId;
+    const cachedData = resourceStore.getResource(RESOURCES.pool).value;
+    const cachedVersion = cachedData !== null ? dataCache.dataVersion : null;
+
+    console.log('Fetching data from endpoint:', dataEndpoint);
+    // A conditional request makes the timestamp that bypasses caches unnecessary; without a
+    // version to send, it keeps caches on the way from answering with stale data
+    const { data, version, notModified } = await fetchDocument(dataEndpoint, endpointTokenConfig.dataEndpoint, {
+        version: cachedVersion,
+        bypassCache: cachedVersion === null
+    });
+    const currentData = notModified ? cachedData : data;
 
-        // Parse response as JSON
-        const data = await response.json();
+    if (notModified) {
+        console.log('Speaker pool data has not changed since it was cached');
+    }
 
-        // Update cache with fetched data
-        dataCache.status = STATUS.SUCCESS;
-        dataCache.data = data;
-        dataCache.lastFetched = new Date();
-        dataCache.error = null;
+    // Data of an account that is no longer active only goes to that account's persistent cache;
+    // the resource store drops it (see resourceStore.load)
+    if (dataCache.accountId === accountId) {
+        dataCache.dataVersion = version;
+    }
+    if (accountId !== null) {
+        await persistentCache.writeEntry(accountId, DATA_CACHE_KEY, { data: currentData, version, validatedAt: Date.now() });
+    }
+    return currentData;
+}
 
-        return data;
+/**
+ * Revalidate the cached speaker pool data in the background
+ * @param {function(Error): void} [onRevalidationFailed] - Called when the revalidation failed (not when it was cancelled)
+ */
+async function revalidateData(onRevalidationFailed) {
+    try {
+        await resourceStore.load(RESOURCES.pool, fetchData);
     } catch (error) {
-        // Handle fetch or parsing errors
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error.message || 'Unknown error occurred while fetching data';
-        throw error;
+        if (error instanceof httpClient.CancelledError) {
+            return;
+        }
+        console.warn('Revalidating the cached speaker pool data failed:', error.message);
+        if (typeof onRevalidationFailed === 'function') {
+            onRevalidationFailed(error);
+        }
     }
 }
 
 /**
  * Get data from the API using the authenticated user's ID token
+ * 
+ * The version of the data (ETag or Last-Modified) is remembered, so saveUserData can detect
+ * that it was changed elsewhere in the meantime. While a save waits in the outbox, its data
+ * is returned instead, so the queued edits stay in view.
  * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
  * @returns {Promise<Object>} The fetched data
  */
 export async function getUserData(forceRefresh = false) {
+    ensureCacheForActiveAccount();
+
+    // A save waiting in the outbox is newer than anything on the server
+    const queuedSave = readOutbox(dataCache.accountId);
+    if (queuedSave) {
+        console.log('Returning the user data of the save waiting in the outbox');
+        return queuedSave.data;
+    }
+
     // If data is already cached and refresh is not forced, return cached data
-    if (!forceRefresh && dataCache.userdata !== null) {
+    const cached = resourceStore.getResource(RESOURCES.profile);
+    if (!forceRefresh && cached.value !== null) {
         console.log('Returning cached data from previous fetch');
-        return dataCache.userdata;
+        return cached.value;
+    }
+
+    return resourceStore.load(RESOURCES.profile, async () => {
+        console.log(`Attempting to GET user-specific data from: ${deltaEndpoint} for current user`);
+        let fetched;
+        try {
+            fetched = await fetchDocument(deltaEndpoint, endpointTokenConfig.deltaEndpoint);
+        } catch (error) {
+            // A new speaker has no profile yet; the first save must not overwrite one created elsewhere meanwhile
+            if (error instanceof httpClient.ValidationError && error.status === 404) {
+                dataCache.userdataMissing = true;
+            }
+            throw error;
+        }
+        setUserDataBase(fetched.data, fetched.version);
+        return fetched.data;
+    });
+}
+
+/**
+ * Validate the user's data against the speaker profile schema (profileSchema.js)
+ * 
+ * Fields the schema does not know are warnings; everything else is an error.
+ * When the JSON text the data was parsed from is given, every issue gets the line
+ * and column of the field in that text.
+ * @param {Object} data - The user's data
+ * @param {string} [sourceText] - The JSON text of the data, e.g. the editor content
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string, line?: number, column?: number}>, warnings: Array}}
+ *   The result; valid is true when there are no errors
+ */
+export function validateUserData(data, sourceText) {
+    const positions = sourceText ? locateJsonPaths(sourceText) : new Map();
+    const issues = validate(data, PROFILE_SCHEMA).map(({ path, message, keyword }) => ({
+        path,
+        message,
+        keyword,
+        ...findPosition(positions, path)
+    }));
+
+    const errors = issues.filter(issue => !WARNING_KEYWORDS.includes(issue.keyword));
+    const warnings = issues.filter(issue => WARNING_KEYWORDS.includes(issue.keyword));
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Save the user's data, unless it is invalid or was changed elsewhere since it was fetched
+ * 
+ * The data is validated first (see validateUserData). Nothing is sent when it has errors,
+ * or when it has warnings (unknown fields) and allowUnknownFields is not set; the result
+ * then holds the validation.
+ * 
+ * The PUT carries the version from getUserData (or the previous save) as a precondition.
+ * When the server rejects it (409 or 412), nothing is saved: the current server version is
+ * fetched and returned as a conflict, with a three-way merge of the version the edits are
+ * based on, the edits and the server version. Pass the conflict to resolveConflict once the
+ * user has reconciled it, and save the result.
+ * 
+ * When the browser is offline, or the PUT fails with a network or server error, the save is
+ * queued in the outbox instead (see replayOutbox) and the result has queued set. A queued save
+ * keeps the version the edits are based on, so it still cannot overwrite a newer server version;
+ * saving again while one is queued replaces it, based on the same version.
+ * @param {Object} data - The user's data; lastModified is set on it
+ * @param {Object} [options]
+ * @param {string} [options.sourceText] - The JSON text of the data, for line positions in the validation
+ * @param {boolean} [options.allowUnknownFields=false] - Save fields the profile schema does not know
+ * @returns {Promise<{success: true, data: Object}|{success: false, validation: Object}|{success: false, conflict: Object}|{success: false, queued: true, reason: string}>} The save result
+ */
+export async function saveUserData(data, { sourceText, allowUnknownFields = false } = {}) {
+    ensureCacheForActiveAccount();
+
+    const validation = validateUserData(data, sourceText);
+    if (!validation.valid || (validation.warnings.length > 0 && !allowUnknownFields)) {
+        console.warn('User data not saved: validation found problems', validation);
+        return { success: false, validation: validation };
     }
 
-    // Get the ID token for authentication
-    const idToken = getIdToken();
+    // Add/update the lastModified timestamp
+    data.lastModified = new Date().toISOString();
 
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
+    // Edits made on top of a queued save are based on the version that save was based on
+    const queuedSave = readOutbox(dataCache.accountId);
+    if (queuedSave) {
+        dataCache.userdataBase = queuedSave.base;
+        dataCache.userdataVersion = queuedSave.version;
+        dataCache.userdataMissing = queuedSave.missing === true;
     }
 
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return queueSave(data, 'The browser is offline');
+    }
+
+    let result;
     try {
-        // Update status to loading
-        dataCache.status = STATUS.LOADING;
-        const userDeltaEndpoint = deltaEndpoint;
+        result = await putUserData(data);
+    } catch (error) {
+        if (isQueueableSaveError(error)) {
+            return queueSave(data, error.message, { sessionExpired: error instanceof httpClient.AuthError });
+        }
+
+        // These edits include those of a queued save (getUserData showed its data), so the older
+        // save must not be sent over them later: a cancelled save (e.g. on sign-out) takes its
+        // place in the outbox, and after any other failure the edits stay in the editor only
+        if (queuedSave && error instanceof httpClient.CancelledError) {
+            queueSave(data, error.message);
+        } else if (queuedSave) {
+            clearOutbox(dataCache.accountId);
+        }
+        throw error;
+    }
 
-        console.log(`Attempting to GET user-specific data from: ${userDeltaEndpoint} for current user`);
+    // Saved, or superseded by a conflict for the user to reconcile: nothing is left to send
+    clearOutbox(dataCache.accountId);
+    return result;
+}
 
+/**
+ * PUT the user's data with the version it is based on as a precondition
+ * 
+ * A profile that did not exist when it was read is only created (If-None-Match: *). When the
+ * edits are not based on any read of the profile (e.g. saved before it was fetched), it is
+ * read first, and a profile that exists is treated like one that was changed elsewhere.
+ * 
+ * When the precondition fails but the server version only differs in fields the user did
+ * not edit (e.g. lastModified, after another tab saved the same content), the edits are
+ * sent once more on top of the server version instead of being reported as a conflict.
+ * @param {Object} data - The user's data, with lastModified set
+ * @param {Object} [options]
+ * @param {boolean} [options.retryOnConflict=true] - Whether to send the edits again after such a precondition failure
+ * @returns {Promise<{success: true, data: Object}|{success: false, conflict: Object}>} The save result
+ */
+async function putUserData(data, { retryOnConflict = true } = {}) {
+    // The API Gateway route for /deltas (e.g., /conclusion-proxy/speakerpool-delta or /conclusion-proxy2/deltas)
+    // is expected to handle PUT requests and use request.auth[name] to determine the specific file in object storage.
+    // The deltaEndpoint variable should point to this base path for the API Gateway route.
 
-        const response = await fetch(userDeltaEndpoint + `?ts=${Date.now()}`, {
-            method: 'GET',
+    console.log(`Attempting to PUT updated profile to: ${deltaEndpoint}`);
+    let response;
+    try {
+        if (isUserDataBaseUnknown() && await userDataExists()) {
+            throw new httpClient.ConflictError('The profile exists, but the edits are not based on it.');
+        }
+
+        response = await authenticatedRequest(deltaEndpoint, {
+            method: 'PUT',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
+                'Content-Type': 'application/json',
+                ...preconditionHeaders(dataCache.userdataVersion, dataCache.userdataMissing)
+            },
+            body: JSON.stringify(data)
+        }, endpointTokenConfig.deltaEndpoint);
+    } catch (error) {
+        if (!(error instanceof httpClient.ConflictError)) {
+            throw error;
+        }
+
+        const conflict = await createConflict(data);
+        const { merged, conflicts, mergedFromServer } = conflict.merge;
+        if (conflicts.length > 0 || mergedFromServer.length > 0) {
+            return { success: false, conflict: conflict };
+        }
+
+        // The server already holds these edits, e.g. saved by an earlier attempt whose response was lost
+        if (diffProfiles(conflict.server, merged).length === 0) {
+            console.log('The server version already contains these edits');
+            setUserDataBase(conflict.server, conflict.serverVersion);
+            return { success: true, data: { success: true } };
+        }
 
-        // Check if request was successful
-        if (!response.ok) {
-            const errorText = await response.text();
-            const error = `API request failed with status ${response.status}: ${errorText}`;
-            dataCache.status = STATUS.ERROR;
-            dataCache.error = error;
-            throw new Error(error);
+        // Changed again in the meantime: let the user reconcile it rather than retrying without end
+        if (!retryOnConflict) {
+            return { success: false, conflict: conflict };
         }
 
-        // Parse response as JSON
-        const userSpecificData = await response.json();
+        console.log('The server version only differs in fields that were not edited; saving the edits on top of it');
+        setUserDataBase(conflict.server, conflict.serverVersion);
+        return putUserData({ ...merged, lastModified: data.lastModified }, { retryOnConflict: false });
+    }
+    console.log('Data saved successfully .');
+    setUserDataBase(data, readVersion(response));
+    recordVersion(data);
+
+    // Try to parse JSON from response, but handle cases where response might be empty (e.g., 204 No Content)
+    const responseContentType = response.headers.get('content-type');
+    let responseData = { success: true }; // Default success response
+    if (responseContentType && responseContentType.includes('application/json')) {
+        responseData = await httpClient.readJson(response);
+    } else if (response.status === 204) {
+        console.log('Data saved successfully (204 No Content).');
+    } else {
+        // If not JSON and not 204, just use default success and log the text if any
+        const textResponse = await response.text();
+        if (textResponse) console.log('Update response text:', textResponse);
+    }
+
+    return { success: true, data: responseData };
+}
 
-        // Update cache with fetched data
-        dataCache.status = STATUS.SUCCESS;
-        dataCache.userdata = userSpecificData;
-        dataCache.lastFetched = new Date();
-        dataCache.error = null;
+/**
+ * Check whether the save has nothing to make it conditional: the user data was neither read
+ * (nor found missing) nor written in this session, nor is it the base of a queued save
+ * @returns {boolean} True if the state of the profile on the server is unknown
+ */
+function isUserDataBaseUnknown() {
+    return dataCache.userdataBase === null && dataCache.userdataVersion === null && !dataCache.userdataMissing;
+}
 
-        return userSpecificData;
+/**
+ * Find out whether the user's profile exists on the server; a missing one is remembered
+ * (userdataMissing), so the save that follows may only create it
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function userDataExists() {
+    try {
+        await fetchDocument(deltaEndpoint, endpointTokenConfig.deltaEndpoint);
+        return true;
     } catch (error) {
-        // Handle fetch or parsing errors
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error.message || 'Unknown error occurred while fetching data';
+        if (error instanceof httpClient.ValidationError && error.status === 404) {
+            dataCache.userdataMissing = true;
+            return false;
+        }
         throw error;
     }
 }
 
-export async function saveUserData(data) {
-    dataCache.userdata = data;
+/**
+ * Check whether a failed save can be sent again later: the API could not be reached, had a
+ * server error, or rejected an expired session (sent again after signing in)
+ * @param {Error} error - The error the save failed with
+ * @returns {boolean} True if the save belongs in the outbox
+ */
+function isQueueableSaveError(error) {
+    return error instanceof httpClient.NetworkError ||
+        error instanceof httpClient.ServerError ||
+        (error instanceof httpClient.AuthError && error.sessionExpired);
+}
 
-    // Get the ID token for authentication
-    const idToken = getIdToken();
+/**
+ * Put a save in the outbox of the active account, replacing a save queued earlier
+ * 
+ * The outbox keeps the version the edits are based on (and that version's data, for
+ * merging), so replaying it still detects changes made elsewhere in the meantime.
+ * @param {Object} data - The user's data, with lastModified set
+ * @param {string} reason - Why the save could not be sent now
+ * @param {Object} [options]
+ * @param {boolean} [options.sessionExpired=false] - The session expired; the save can only be sent after signing in again
+ * @returns {{success: false, queued: true, reason: string, sessionExpired: boolean}} The save result
+ */
+function queueSave(data, reason, { sessionExpired = false } = {}) {
+    console.warn(`Queueing the user data save in the outbox: ${reason}`);
+    const queuedSave = {
+        data: data,
+        base: dataCache.userdataBase,
+        version: dataCache.userdataVersion,
+        missing: dataCache.userdataMissing,
+        queuedAt: new Date().toISOString()
+    };
+    localStorage.setItem(OUTBOX_KEY_PREFIX + dataCache.accountId, JSON.stringify(queuedSave));
+    return { success: false, queued: true, reason: reason, sessionExpired: sessionExpired };
+}
 
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
+/**
+ * Read the save waiting in the outbox of an account
+ * @param {string|null} accountId - homeAccountId of the account
+ * @returns {{data: Object, base: Object|null, version: Object|null, missing: boolean, queuedAt: string}|null} The queued save, or null if there is none
+ */
+function readOutbox(accountId) {
+    if (accountId === null) {
+        return null;
     }
 
+    const storedSave = localStorage.getItem(OUTBOX_KEY_PREFIX + accountId);
+    try {
+        return storedSave ? JSON.parse(storedSave) : null;
+    } catch (error) {
+        console.warn('Discarding an unreadable save from the outbox:', error);
+        localStorage.removeItem(OUTBOX_KEY_PREFIX + accountId);
+        return null;
+    }
+}
 
-    // The API Gateway route for /deltas (e.g., /conclusion-proxy/speakerpool-delta or /conclusion-proxy2/deltas)
-    // is expected to handle PUT requests and use request.auth[name] to determine the specific file in object storage.
-    // The deltaEndpoint variable should point to this base path for the API Gateway route.
-    // Based on previous user changes (Step 31), deltaEndpoint was set to:
-    // "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/speakerpool-delta"
-    // (after removing /conclusion-assets/deltas/ from its original value)
-    // This is the endpoint the PUT request should target.
+/**
+ * Remove the save waiting in the outbox of an account
+ * @param {string|null} accountId - homeAccountId of the account
+ */
+function clearOutbox(accountId) {
+    if (accountId !== null) {
+        localStorage.removeItem(OUTBOX_KEY_PREFIX + accountId);
+    }
+}
 
-    const actualPutEndpoint = deltaEndpoint;
+/**
+ * Send the save waiting in the outbox of the active account, if any
+ * 
+ * Call it when the connection is back, the user signed in again, or to retry after a delay.
+ * The save is sent with the version it was based on: when the profile was changed elsewhere
+ * in the meantime, the result is a conflict like that of saveUserData, and the save leaves
+ * the outbox (its data is in the conflict). When the API still cannot be reached, or the
+ * session expired, the save stays queued. A save the API rejects for another reason (e.g.
+ * 400 or 403) would fail on every replay: it leaves the outbox, and the result has
+ * `failed` and its data, for the user to correct and save again.
+ * @returns {Promise<Object|null>} The save result as from saveUserData, `{success: false, failed: true, reason, data}`
+ *   for a rejected save, or null when nothing was queued
+ */
+export async function replayOutbox() {
+    ensureCacheForActiveAccount();
+    const accountId = dataCache.accountId;
+    const queuedSave = readOutbox(accountId);
+    if (!queuedSave) {
+        return null;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return { success: false, queued: true, reason: 'The browser is offline', sessionExpired: false };
+    }
 
-    // Add/update the lastModified timestamp
-    data.lastModified = new Date().toISOString();
+    // Only one replay at a time per account; later calls wait for it
+    if (!outboxReplays.has(accountId)) {
+        outboxReplays.set(accountId, (async () => {
+            console.log(`Sending the user data save queued at ${queuedSave.queuedAt}`);
+            dataCache.userdataBase = queuedSave.base;
+            dataCache.userdataVersion = queuedSave.version;
+            dataCache.userdataMissing = queuedSave.missing === true;
+            try {
+                const result = await putUserData(queuedSave.data);
+                clearOutbox(accountId);
+                return result;
+            } catch (error) {
+                if (isQueueableSaveError(error)) {
+                    console.warn('The queued user data save could not be sent yet:', error.message);
+                    return {
+                        success: false,
+                        queued: true,
+                        reason: error.message,
+                        sessionExpired: error instanceof httpClient.AuthError
+                    };
+                }
+                if (error instanceof httpClient.CancelledError) {
+                    throw error;
+                }
 
-    // Get user ID from token claims if possible, otherwise use 'unknown'    
-    const userId = 'current-user'; // This could be extracted from token claims if needed
-    console.log(`Attempting to PUT updated profile to: ${actualPutEndpoint}`);
+                console.error('The queued user data save was rejected; removing it from the outbox:', error);
+                clearOutbox(accountId);
+                return { success: false, failed: true, reason: error.message, data: queuedSave.data };
+            } finally {
+                outboxReplays.delete(accountId);
+            }
+        })());
+    }
+    return outboxReplays.get(accountId);
+}
 
-    try {
-        const response = await fetch(actualPutEndpoint, {
+/**
+ * Get the number of saves waiting in the outbox of the active account
+ * 
+ * A later save replaces a queued one (each save sends the whole profile), so this is 0 or 1.
+ * @returns {{pendingCount: number, queuedAt: string|null}} The outbox status
+ */
+export function getOutboxStatus() {
+    const account = getAccount();
+    const queuedSave = readOutbox(account ? account.homeAccountId : null);
+    return {
+        pendingCount: queuedSave ? 1 : 0,
+        queuedAt: queuedSave ? queuedSave.queuedAt : null
+    };
+}
+
+/**
+ * Record a successful save of the user's data as a version of the profile
+ * 
+ * The newest historyConfig.maxLocalVersions versions are kept in localStorage. When the
+ * environment has a history endpoint the version is stored there as well, in the background;
+ * failing to record a version never fails the save.
+ * @param {Object} data - The saved data, with lastModified set
+ */
+function recordVersion(data) {
+    const accountId = dataCache.accountId;
+    const savedAt = data.lastModified || new Date().toISOString();
+    const version = { id: String(Date.parse(savedAt)), savedAt: savedAt, data: structuredClone(data) };
+
+    const versions = readHistory(accountId).filter(stored => stored.id !== version.id);
+    writeHistory(accountId, [version, ...versions].slice(0, historyConfig.maxLocalVersions));
+
+    if (historyEndpoint) {
+        // Versions never change: If-None-Match makes a second PUT of the same version fail
+        authenticatedRequest(historyEndpoint, {
             method: 'PUT',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Version-Id': version.id,
+                'If-None-Match': '*'
             },
-            body: JSON.stringify(data)
+            body: JSON.stringify(version.data)
+        }, endpointTokenConfig.historyEndpoint).catch(error => {
+            console.warn(`Version ${version.id} of the profile could not be stored on the history endpoint:`, error.message);
         });
+    }
+}
+
+/**
+ * Read the versions of an account's profile kept in localStorage
+ * @param {string|null} accountId - homeAccountId of the account
+ * @returns {Array<{id: string, savedAt: string, data: Object}>} The versions, newest first
+ */
+function readHistory(accountId) {
+    if (accountId === null) {
+        return [];
+    }
+
+    const storedHistory = localStorage.getItem(HISTORY_KEY_PREFIX + accountId);
+    try {
+        const versions = storedHistory ? JSON.parse(storedHistory) : [];
+        return Array.isArray(versions) ? versions : [];
+    } catch (error) {
+        console.warn('Discarding the unreadable version history of the profile:', error);
+        localStorage.removeItem(HISTORY_KEY_PREFIX + accountId);
+        return [];
+    }
+}
+
+/**
+ * Replace the versions of an account's profile kept in localStorage
+ * @param {string|null} accountId - homeAccountId of the account
+ * @param {Array<{id: string, savedAt: string, data: Object}>} versions - The versions, newest first
+ */
+function writeHistory(accountId, versions) {
+    if (accountId === null) {
+        return;
+    }
 
-        if (!response.ok) {
-            const errorBody = await response.text();
-            console.error('Error saving data:', response.status, errorBody);
-            throw new Error(`Failed to save data: ${response.status} ${response.statusText}. Detail: ${errorBody}`);
+    try {
+        localStorage.setItem(HISTORY_KEY_PREFIX + accountId, JSON.stringify(versions));
+    } catch (error) {
+        // E.g. the storage quota is exceeded; the history is a convenience, the save succeeded
+        console.warn('Could not store the version history of the profile:', error.message);
+    }
+}
+
+/**
+ * Get the saved versions of the user's profile, newest first
+ * 
+ * Combines the versions kept in this browser with those on the history endpoint, if the
+ * environment has one. A version saved in another browser is only on the endpoint; its data
+ * is fetched by getProfileVersion. When the endpoint cannot be reached, the versions in this
+ * browser are returned, with serverError set.
+ * @returns {Promise<{versions: Array<{id: string, savedAt: string, local: boolean, server: boolean}>, serverError: string|null}>}
+ *   The versions, and where each is kept
+ */
+export async function getProfileHistory() {
+    ensureCacheForActiveAccount();
+
+    const versions = new Map(readHistory(dataCache.accountId).map(({ id, savedAt }) => [id, { id, savedAt, local: true, server: false }]));
+    let serverError = null;
+    if (historyEndpoint) {
+        try {
+            const serverIds = await resourceStore.load(RESOURCES.history, fetchHistoryList);
+            serverIds.forEach(id => {
+                const version = versions.get(id) || { id, savedAt: new Date(Number(id)).toISOString(), local: false, server: false };
+                version.server = true;
+                versions.set(id, version);
+            });
+        } catch (error) {
+            if (!(error instanceof httpClient.NetworkError || error instanceof httpClient.ServerError)) {
+                throw error;
+            }
+            console.warn('The version history on the history endpoint could not be read:', error.message);
+            serverError = error.message;
         }
-        console.log('Data saved successfully .');
-        // Try to parse JSON from response, but handle cases where response might be empty (e.g., 204 No Content)
-        const responseContentType = response.headers.get('content-type');
-        let responseData = { success: true }; // Default success response
-        if (responseContentType && responseContentType.includes('application/json')) {
-            responseData = await response.json();
-        } else if (response.status === 204) {
-            console.log('Data saved successfully (204 No Content).');
+    }
+
+    return {
+        versions: Array.from(versions.values()).sort((a, b) => Number(b.id) - Number(a.id)),
+        serverError: serverError
+    };
+}
+
+/**
+ * List the IDs of the versions on the history endpoint
+ * @returns {Promise<string[]>} The version IDs
+ */
+async function fetchHistoryList() {
+    console.log(`Fetching the version history of the profile from ${historyEndpoint}`);
+    const response = await authenticatedRequest(`${historyEndpoint}?ts=${Date.now()}`, { method: 'GET' }, endpointTokenConfig.historyEndpoint);
+    const listData = await httpClient.readJson(response);
+
+    if (!listData || !Array.isArray(listData.objects)) {
+        console.error('Error: Version history response does not contain a valid \'objects\' property.', listData);
+        return [];
+    }
+
+    // The object names end in the version ID
+    return listData.objects
+        .map(obj => obj && typeof obj.name === 'string' ? obj.name.split('/').pop() : null)
+        .filter(id => id && VERSION_ID_PATTERN.test(id));
+}
+
+/**
+ * Get the data of a saved version of the user's profile
+ * @param {string} versionId - The version ID from getProfileHistory
+ * @returns {Promise<Object>} The profile as it was saved
+ */
+export async function getProfileVersion(versionId) {
+    ensureCacheForActiveAccount();
+
+    const localVersion = readHistory(dataCache.accountId).find(version => version.id === versionId);
+    if (localVersion) {
+        return localVersion.data;
+    }
+    if (!historyEndpoint || !VERSION_ID_PATTERN.test(versionId)) {
+        throw new Error(`Version ${versionId} of the profile is not available.`);
+    }
+
+    // Versions never change, so no cache on the way needs to be bypassed
+    const response = await authenticatedRequest(historyEndpoint, {
+        method: 'GET',
+        headers: { 'Version-Id': versionId }
+    }, endpointTokenConfig.historyEndpoint);
+    return httpClient.readJson(response);
+}
+
+/**
+ * Describe a rejected save: fetch the server version and merge it with the local edits
+ * @param {Object} local - The data that could not be saved
+ * @returns {Promise<Object>} The conflict: {accountId, base, local, server, serverVersion, merge}
+ */
+async function createConflict(local) {
+    console.warn('User data was changed elsewhere since it was fetched; fetching the current version');
+    const { data: server, version: serverVersion } = await fetchDocument(deltaEndpoint, endpointTokenConfig.deltaEndpoint);
+    const base = dataCache.userdataBase;
+
+    return {
+        accountId: dataCache.accountId,
+        base: base,
+        local: local,
+        server: server,
+        serverVersion: serverVersion,
+        merge: mergeUserData(base, local, server)
+    };
+}
+
+/**
+ * Merge the user's edits with a newer server version, field by field
+ * 
+ * A field changed on one side only takes that side's value; a field changed differently
+ * on both sides is a conflict, for the user to decide. lastModified is left out: every
+ * save stamps it.
+ * @param {Object|null} base - The version the edits are based on (null if unknown)
+ * @param {Object} local - The edited data
+ * @param {Object} server - The current server version
+ * @returns {{merged: Object, conflicts: Array<{field: string, base: *, local: *, server: *}>, mergedFromServer: string[]}}
+ *   The merge with the local value for conflicting fields, the conflicts, and the fields taken over from the server
+ */
+function mergeUserData(base, local, server) {
+    const baseData = base || {};
+    const merged = {};
+    const conflicts = [];
+    const mergedFromServer = [];
+
+    const fields = new Set([...Object.keys(baseData), ...Object.keys(local), ...Object.keys(server)]);
+    fields.delete('lastModified');
+
+    fields.forEach(field => {
+        const baseValue = baseData[field];
+        const localValue = local[field];
+        const serverValue = server[field];
+        let value = localValue;
+
+        if (isEqual(localValue, serverValue) || isEqual(serverValue, baseValue)) {
+            // Same on both sides, or only changed locally
+        } else if (isEqual(localValue, baseValue)) {
+            value = serverValue;
+            mergedFromServer.push(field);
         } else {
-            // If not JSON and not 204, just use default success and log the text if any
-            const textResponse = await response.text();
-            if (textResponse) console.log('Update response text:', textResponse);
+            conflicts.push({ field, base: baseValue, local: localValue, server: serverValue });
         }
 
-        return { success: true, data: responseData };
+        if (value !== undefined) {
+            merged[field] = value;
+        }
+    });
 
-    } catch (error) {
-        console.error('Error saving data:', error);
-        throw new Error(`Failed to save data: ${error.message}`);
-    }
+    return { merged, conflicts, mergedFromServer };
 }
 
-// get list of objects in deltas directory - admin only 
-export async function getDeltaListAsAdmin(pathPrefix='conclusion-assets/deltas/') {
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-    
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        throw new Error(error);
+/**
+ * Resolve a save conflict: build the reconciled data and base further saves on the server version
+ * 
+ * The result is not saved; save it with saveUserData once the user has reviewed it.
+ * @param {Object} conflict - The conflict from saveUserData
+ * @param {string[]} serverFields - Conflicting fields for which the user chose the server value; the others keep the local value
+ * @returns {Object} The reconciled data
+ */
+export function resolveConflict(conflict, serverFields) {
+    ensureCacheForActiveAccount();
+    if (conflict.accountId !== dataCache.accountId) {
+        throw new Error('This conflict belongs to another account.');
     }
-    
-    console.log(`Admin mode: Fetching list of delta file names from ${adminEndpoint} with empty Asset-Path.`);
-    try {
-        // add timestamp to prevent caching
-        const listResponse = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${idToken}`,
-                'Asset-Path': '' // Empty string for listing
+
+    const data = { ...conflict.merge.merged };
+    conflict.merge.conflicts
+        .filter(({ field }) => serverFields.includes(field))
+        .forEach(({ field, server }) => {
+            if (server === undefined) {
+                delete data[field];
+            } else {
+                data[field] = server;
             }
         });
 
-        if (!listResponse.ok) {
-            const errorBody = await listResponse.text();
-            console.error(`Error fetching delta file list: ${listResponse.status} ${listResponse.statusText}. Body: ${errorBody}`);
-            return []; // Stop if we can't get the list
-        }
+    setUserDataBase(conflict.server, conflict.serverVersion);
+    return data;
+}
+
+// get list of objects in deltas directory - admin only 
+export async function getDeltaListAsAdmin(pathPrefix='conclusion-assets/deltas/') {
+    ensureCacheForActiveAccount();
+    return resourceStore.load(RESOURCES.deltaList, () => fetchDeltaList(pathPrefix));
+}
 
-        const listData = await listResponse.json();
+/**
+ * Fetch the names of the delta files from the admin endpoint
+ * @param {string} pathPrefix - Path of the delta files in object storage
+ * @returns {Promise<string[]>} The object names of the delta files
+ */
+async function fetchDeltaList(pathPrefix) {
+    console.log(`Admin mode: Fetching list of delta file names from ${adminEndpoint} with empty Asset-Path.`);
 
-        if (!listData || typeof listData.objects !== 'object' || listData.objects === null) {
-            console.error('Error: Delta file list response does not contain a valid \'objects\' property.', listData);
-            return [];
+    // add timestamp to prevent caching
+    const listResponse = await authenticatedRequest(adminEndpoint + `?ts=${Date.now()}`, {
+        method: 'GET',
+        headers: {
+            'Asset-Path': '' // Empty string for listing
         }
+    }, endpointTokenConfig.adminEndpoint);
+
+    const listData = await httpClient.readJson(listResponse);
 
-        // Convert the object of objects into an array of {name: 'path'} objects, then extract the names
-        const allObjectPaths = Object.values(listData.objects);
-        let deltaFileNames = allObjectPaths
-            .map(obj => obj && obj.name) // Extract the name property
-            .filter(name => typeof name === 'string'); // Ensure it's a string
+    if (!listData || typeof listData.objects !== 'object' || listData.objects === null) {
+        console.error('Error: Delta file list response does not contain a valid \'objects\' property.', listData);
+        return [];
+    }
 
-        // Further filter to include only actual delta files, e.g., those in a specific path
-        // This path should match how your delta files are stored and identified.
-        deltaFileNames = deltaFileNames.filter(name => name.startsWith(pathPrefix));
+    // Convert the object of objects into an array of {name: 'path'} objects, then extract the names
+    const allObjectPaths = Object.values(listData.objects);
+    let deltaFileNames = allObjectPaths
+        .map(obj => obj && obj.name) // Extract the name property
+        .filter(name => typeof name === 'string'); // Ensure it's a string
 
-        if (deltaFileNames.length === 0) {
-            console.log('No delta files found after filtering paths.');
-            return [];
-        }
-        console.log(`Found ${deltaFileNames.length} delta file names to process after filtering:`, deltaFileNames);
+    // Further filter to include only actual delta files, e.g., those in a specific path
+    // This path should match how your delta files are stored and identified.
+    deltaFileNames = deltaFileNames.filter(name => name.startsWith(pathPrefix));
 
-        return deltaFileNames;
-    } catch (error) {
-        console.error('Error fetching delta file list:', error);
+    if (deltaFileNames.length === 0) {
+        console.log('No delta files found after filtering paths.');
         return [];
     }
+    console.log(`Found ${deltaFileNames.length} delta file names to process after filtering:`, deltaFileNames);
+
+    return deltaFileNames;
 }
 
 export async function getDeltaFileData(objectName, pathPrefix='conclusion-assets/deltas/') {
-    // Get the ID token for authentication
-    const idToken = getIdToken();
+    ensureCacheForActiveAccount();
+    return resourceStore.load(resourceStore.deltaFileResource(objectName), () => fetchDeltaFile(objectName, pathPrefix));
+}
+
+/**
+ * Fetch the content of a delta file from the admin endpoint
+ * @param {string} objectName - Name of the delta file, with or without the path prefix
+ * @param {string} pathPrefix - Path of the delta files in object storage
+ * @returns {Promise<Object>} The content of the delta file
+ */
+async function fetchDeltaFile(objectName, pathPrefix) {
+    console.log(`Fetching delta file content for: ${objectName}`);
     
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        throw new Error(error);
-    }
+    // Determine the asset path - if objectName already contains the prefix, don't add it again
+    const assetPath = objectName.startsWith(pathPrefix) ? objectName : `${pathPrefix}${objectName}`;
     
-    try {
-        console.log(`Fetching delta file content for: ${objectName}`);
-        
-        // Determine the asset path - if objectName already contains the prefix, don't add it again
-        const assetPath = objectName.startsWith(pathPrefix) ? objectName : `${pathPrefix}${objectName}`;
-        
-        // Fetch the file content using the admin endpoint
-        const response = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${idToken}`,
-                'Asset-Path': assetPath
-            }
-        });
-        
-        if (!response.ok) {
-            const errorBody = await response.text();
-            console.error(`Error fetching delta file content: ${response.status} ${response.statusText}. Body: ${errorBody}`);
-            throw new Error(`Failed to fetch delta file: ${response.status} ${response.statusText}`);
+    // Fetch the file content using the admin endpoint
+    const response = await authenticatedRequest(adminEndpoint + `?ts=${Date.now()}`, {
+        method: 'GET',
+        headers: {
+            'Asset-Path': assetPath
+        }
+    }, endpointTokenConfig.adminEndpoint);
+    
+    // Parse the response as JSON
+    const fileData = await httpClient.readJson(response);
+    console.log(`Successfully fetched delta file: ${objectName}`);
+    
+    return fileData;
+}
+
+/**
+ * Store a draft of the user data editor for the active account, replacing the previous draft
+ * 
+ * Drafts are kept in localStorage, so they survive closing the tab and signing out,
+ * until discardDraft removes them after a successful save.
+ * @param {string} text - The editor content (raw JSON, possibly invalid)
+ * @param {string} [accountId] - homeAccountId of the account, for a tab that was just signed out; defaults to the active account
+ * @returns {boolean} True if the draft was stored
+ */
+export function storeDraft(text, accountId) {
+    if (!accountId) {
+        const account = getAccount();
+        if (!account) {
+            return false;
         }
-        
-        // Parse the response as JSON
-        const fileData = await response.json();
-        console.log(`Successfully fetched delta file: ${objectName}`);
-        
-        return fileData;
+        accountId = account.homeAccountId;
+    }
+
+    const draft = {
+        text: text,
+        savedAt: new Date().toISOString()
+    };
+    localStorage.setItem(DRAFT_KEY_PREFIX + accountId, JSON.stringify(draft));
+    return true;
+}
+
+/**
+ * Get the draft of the user data editor of the active account
+ * @returns {{text: string, savedAt: string}|null} The draft, or null if there is none
+ */
+export function getDraft() {
+    const account = getAccount();
+    if (!account) {
+        return null;
+    }
+
+    const draftKey = DRAFT_KEY_PREFIX + account.homeAccountId;
+    const storedDraft = localStorage.getItem(draftKey);
+    try {
+        return storedDraft ? JSON.parse(storedDraft) : null;
     } catch (error) {
-        console.error(`Error fetching delta file data for ${objectName}:`, error);
-        throw error;
+        console.warn('Discarding an unreadable draft of the user data:', error);
+        localStorage.removeItem(draftKey);
+        return null;
+    }
+}
+
+/**
+ * Remove the draft of the user data editor of the active account
+ */
+export function discardDraft() {
+    const account = getAccount();
+    if (account) {
+        localStorage.removeItem(DRAFT_KEY_PREFIX + account.homeAccountId);
+    }
+}
+
+/**
+ * Compare a draft with the user's data, field by field
+ * @param {string} text - The draft text
+ * @param {Object} userData - The user's data, e.g. as just fetched with getUserData
+ * @returns {{valid: boolean, changedFields: string[]}} Whether the draft is valid JSON, and the fields it changes
+ *   (all fields of a draft that is not a JSON object); lastModified is not compared
+ */
+export function compareDraft(text, userData) {
+    let draftData;
+    try {
+        draftData = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, changedFields: [] };
+    }
+    if (!draftData || typeof draftData !== 'object' || Array.isArray(draftData)) {
+        return { valid: false, changedFields: [] };
     }
+
+    const data = userData || {};
+    const fields = new Set([...Object.keys(draftData), ...Object.keys(data)]);
+    fields.delete('lastModified');
+    const changedFields = Array.from(fields).filter(field => !isEqual(draftData[field], data[field]));
+    return { valid: true, changedFields };
+}
+
+/**
+ * Compare the user's data with their record in the speaker pool data
+ * 
+ * The record is the one whose email matches the signed-in account (its username or email
+ * claim), or else whose name matches the account name. The user's data replaces the record,
+ * so fields of the record that it leaves out are reported as removed. lastModified is not compared.
+ * @param {Array|Object} poolData - The speaker pool data from getData: an array of records, or an object holding one
+ * @param {Object} userData - The user's data, e.g. the pending edits
+ * @returns {{record: Object|null, changes: Array}} The matched record (null if there is none, and every field
+ *   then counts as added) and the changes from it (see jsonDiff.diffJson)
+ */
+export function compareWithSpeakerRecord(poolData, userData) {
+    const record = findSpeakerRecord(poolData);
+    return { record, changes: diffProfiles(record, userData) };
+}
+
+/**
+ * List the differences between two versions of a profile, leaving out lastModified
+ * @param {Object|null} before - The older version; null counts as an empty profile
+ * @param {Object} after - The newer version
+ * @returns {Array} The changes (see jsonDiff.diffJson)
+ */
+export function diffProfiles(before, after) {
+    const beforeFields = { ...before };
+    const afterFields = { ...after };
+    delete beforeFields.lastModified;
+    delete afterFields.lastModified;
+    return diffJson(beforeFields, afterFields);
+}
+
+/**
+ * Find the signed-in user's record in the speaker pool data
+ * @param {Array|Object} poolData - The speaker pool data
+ * @returns {Object|null} The record, or null when the user has none
+ */
+function findSpeakerRecord(poolData) {
+    const account = getAccount();
+    if (!account || !poolData) {
+        return null;
+    }
+
+    const records = getSpeakerRecords(poolData);
+    const claims = account.idTokenClaims || {};
+    const emails = [account.username, claims.email, claims.preferred_username]
+        .filter(Boolean)
+        .map(email => email.toLowerCase());
+
+    return records.find(record => typeof record.email === 'string' && emails.includes(record.email.toLowerCase()))
+        || records.find(record => account.name && record.name === account.name)
+        || null;
 }
 
 /**
- * Get the current status of data fetching
- * @returns {Object} Object containing status info, data, and any error message
+ * Fill empty fields of the user's data with values from the directory profile
+ * 
+ * Fields that already have a value are never overwritten. The result is not saved;
+ * use saveUserData once the user has reviewed it.
+ * @param {Object} userData - The user's current data
+ * @param {Object} profile - The basic profile from the identity provider
+ * @param {Object|null} directoryProfile - The extended directory profile, if available
+ * @returns {{data: Object, filledFields: string[]}} The prefilled data and the names of the fields that were filled
+ */
+export function prefillUserData(userData, profile, directoryProfile) {
+    const data = { ...userData };
+    const filledFields = [];
+
+    Object.entries(PREFILL_FIELDS).forEach(([field, readValue]) => {
+        const currentValue = data[field];
+        if (currentValue !== undefined && currentValue !== null && currentValue !== '') {
+            return;
+        }
+
+        const value = readValue(profile || {}, directoryProfile || {});
+        if (value) {
+            data[field] = value;
+            filledFields.push(field);
+        }
+    });
+
+    return { data, filledFields };
+}
+
+/**
+ * Prepare the import of a profile file (JSON, vCard or Markdown/YAML, see profileImport.js) for review
+ * 
+ * The fields found in the file replace those of the current data; the other fields are kept.
+ * Nothing is saved: once the user has reviewed the changes, the data goes into the editor
+ * and is saved with saveUserData like any edit.
+ * @param {Object} currentData - The user's current data, from getUserData ({} for a new speaker)
+ * @param {string} fileName - Name of the file; its extension picks the format
+ * @param {string} text - Content of the file
+ * @returns {{format: string, data: Object, importedFields: string[], unmappedFields: string[], changes: Array,
+ *   validation: Object}} The format, the data after the import, the profile fields taken from the file, the fields
+ *   of the file that could not be mapped, the changes from the current data (see diffProfiles) and the result of
+ *   validateUserData for the new data
  */
-export function getDataStatus() {
+export function prepareProfileImport(currentData, fileName, text) {
+    const { format, profile, unmappedFields } = parseProfileFile(fileName, text);
+    const data = { ...currentData, ...profile };
+
     return {
-        status: dataCache.status,
-        isLoading: dataCache.status === STATUS.LOADING,
-        isError: dataCache.status === STATUS.ERROR,
-        hasData: dataCache.data !== null,
-        error: dataCache.error,
-        lastFetched: dataCache.lastFetched
+        format: format,
+        data: data,
+        importedFields: Object.keys(profile),
+        unmappedFields: unmappedFields,
+        changes: diffProfiles(currentData, data),
+        validation: validateUserData(data)
     };
 }
 
 /**
- * Clear the cached data
+ * Cancel all data requests in flight, e.g. when the user signs out or leaves the page
+ * 
+ * The cancelled calls reject with httpClient.CancelledError.
+ * @param {string} reason - Why the requests are cancelled, for the log
+ */
+export function cancelPendingRequests(reason) {
+    httpClient.cancelAllRequests(reason);
+}
+
+/**
+ * Clear the cached data in memory: every resource in resourceStore.js, including the user's own data
+ * 
+ * The persistent cache is kept, so the account sees its last known data after switching
+ * back or reloading; clearPersistentCache removes it.
  */
 export function clearDataCache() {
-    dataCache.status = STATUS.IDLE;
-    dataCache.data = null;
-    dataCache.error = null;
-    dataCache.lastFetched = null;
+    resourceStore.clearResources();
+    dataCache.dataVersion = null;
+    dataCache.userdataBase = null;
+    dataCache.userdataVersion = null;
+    dataCache.userdataMissing = false;
+    dataCache.accountId = null;
+}
+
+/**
+ * Delete the persistent cache of an account, e.g. when it signs out
+ * @param {string|null} accountId - homeAccountId of the account; nothing is deleted when null
+ * @returns {Promise<void>} Resolves when the cache was deleted or could not be
+ */
+export async function clearPersistentCache(accountId) {
+    if (accountId !== null) {
+        await persistentCache.deleteAccountEntries(accountId);
+    }
 }
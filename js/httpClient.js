@@ -0,0 +1,418 @@
+/**
+ * httpClient.js
+ * Shared HTTP client for the API gateway
+ *
+ * Every API call goes through request(), which adds what a bare fetch lacks:
+ * - a timeout per attempt (httpClientConfig.timeoutMs)
+ * - cancellation: cancelAllRequests() aborts everything in flight, e.g. on sign-out
+ *   or when the page is left
+ * - retries with exponential backoff for network errors and 5xx responses of
+ *   idempotent requests
+ * - waiting as long as the Retry-After header asks when the gateway throttles (429)
+ * - renewing the bearer token and retrying once when the API answers 401
+ *
+ * Failures are reported as one of the error classes below, so callers can tell an
+ * expired session from an unreachable or overloaded server or a rejected request.
+ */
+
+import { httpClientConfig } from './dataConfig.js';
+
+// HTTP status codes that need special handling
+const HTTP_STATUS = {
+    NOT_MODIFIED: 304,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    CONFLICT: 409,
+    PRECONDITION_FAILED: 412,
+    TOO_MANY_REQUESTS: 429,
+    SERVER_ERROR: 500
+};
+
+// Methods that may be sent again after a network error or 5xx without changing the outcome;
+// the gateway's PUT replaces a whole object, so it is idempotent too
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Longest error detail taken over from a response body into an error message
+const MAX_DETAIL_LENGTH = 200;
+
+// Controllers of the requests in flight, aborted by cancelAllRequests
+const pendingRequests = new Set();
+
+/**
+ * Base class of all errors reported by the HTTP client
+ */
+export class HttpError extends Error {
+    /**
+     * @param {string} message - Message that can be shown to the user
+     * @param {Object} [details]
+     * @param {string} [details.url] - URL of the request
+     * @param {number} [details.status] - HTTP status of the response, if there was one
+     * @param {string} [details.detail] - Error detail from the response body
+     * @param {Error} [details.cause] - The underlying error
+     */
+    constructor(message, { url = null, status = null, detail = null, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.url = url;
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+/**
+ * The user is not (or no longer) allowed to make the request: no valid token could be
+ * acquired, the API kept answering 401, or it answered 403
+ */
+export class AuthError extends HttpError {
+    /**
+     * @param {string} message - Message that can be shown to the user
+     * @param {Object} [details] - See HttpError; plus:
+     * @param {boolean} [details.sessionExpired=true] - False when the user is signed in but lacks permission (403)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.sessionExpired = details.sessionExpired !== false;
+    }
+}
+
+/**
+ * The server could not be reached or did not respond in time
+ */
+export class NetworkError extends HttpError {
+    /**
+     * @param {string} message - Message that can be shown to the user
+     * @param {Object} [details] - See HttpError; plus:
+     * @param {boolean} [details.timedOut=false] - True when the request timed out
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.timedOut = details.timedOut === true;
+    }
+}
+
+/**
+ * The server failed (5xx), kept throttling the request (429) or sent a response that could not be read
+ */
+export class ServerError extends HttpError {
+    /**
+     * @param {string} message - Message that can be shown to the user
+     * @param {Object} [details] - See HttpError; plus:
+     * @param {number|null} [details.retryAfterSeconds=null] - How long the server asked to wait before trying again
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfterSeconds = details.retryAfterSeconds ?? null;
+    }
+}
+
+/**
+ * The server rejected the request itself (4xx other than 401, 403 and 429), e.g. invalid data, a missing object or a conflict
+ */
+export class ValidationError extends HttpError {
+}
+
+/**
+ * The object was changed by someone else: a precondition such as If-Match failed (412), or the server reported a conflict (409)
+ */
+export class ConflictError extends ValidationError {
+}
+
+/**
+ * The request was cancelled with cancelAllRequests or the caller's abort signal; nothing to report to the user
+ */
+export class CancelledError extends HttpError {
+}
+
+/**
+ * Send a request
+ *
+ * Resolves only for a successful (2xx) response, or 304 Not Modified to a conditional
+ * request; every failure rejects with one of the error classes of this module.
+ * @param {string} url - The URL to send the request to
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers={}] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {function(boolean): Promise<string>} [options.getBearerToken] - Returns the bearer token to send; called with true to force a new token after a 401
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {number} [options.timeoutMs] - Time allowed per attempt until the response headers arrive
+ * @param {number} [options.maxRetries] - Retries after network errors, 5xx and 429 responses
+ * @returns {Promise<Response>} The fetch response
+ */
+export async function request(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        body,
+        getBearerToken,
+        signal,
+        timeoutMs = httpClientConfig.timeoutMs,
+        maxRetries = httpClientConfig.maxRetries
+    } = options;
+
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) {
+            throw new CancelledError('The request was cancelled.', { url });
+        }
+        signal.addEventListener('abort', abortFromCaller);
+    }
+    pendingRequests.add(controller);
+
+    const canRetryFailure = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+    let retryCount = 0;
+    let tokenRenewed = false;
+
+    try {
+        for (;;) {
+            const requestHeaders = { ...headers };
+            if (getBearerToken) {
+                requestHeaders['Authorization'] = `Bearer ${await acquireToken(getBearerToken, tokenRenewed, url)}`;
+            }
+
+            let response;
+            try {
+                response = await sendAttempt(url, { method, headers: requestHeaders, body }, controller.signal, timeoutMs);
+            } catch (error) {
+                if (error instanceof NetworkError && canRetryFailure && retryCount < maxRetries) {
+                    await waitBeforeRetry(url, backoffDelay(retryCount), error.message, controller.signal);
+                    retryCount++;
+                    continue;
+                }
+                throw error;
+            }
+
+            // 304 only answers a conditional request (If-None-Match, If-Modified-Since) the caller made
+            if (response.ok || response.status === HTTP_STATUS.NOT_MODIFIED) {
+                return response;
+            }
+
+            if (response.status === HTTP_STATUS.UNAUTHORIZED && getBearerToken && !tokenRenewed) {
+                console.warn(`Request to ${url} returned 401, renewing token and retrying once`);
+                tokenRenewed = true;
+                continue;
+            }
+
+            if (response.status === HTTP_STATUS.TOO_MANY_REQUESTS && retryCount < maxRetries) {
+                const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+                if (retryAfterMs === null || retryAfterMs <= httpClientConfig.maxRetryAfterMs) {
+                    await waitBeforeRetry(url, retryAfterMs ?? backoffDelay(retryCount), 'throttled (429)', controller.signal);
+                    retryCount++;
+                    continue;
+                }
+            }
+
+            if (response.status >= HTTP_STATUS.SERVER_ERROR && canRetryFailure && retryCount < maxRetries) {
+                await waitBeforeRetry(url, backoffDelay(retryCount), `status ${response.status}`, controller.signal);
+                retryCount++;
+                continue;
+            }
+
+            throw await createResponseError(url, response);
+        }
+    } catch (error) {
+        // Aborting while waiting or reading surfaces as an AbortError from the platform
+        if (controller.signal.aborted && !(error instanceof CancelledError)) {
+            throw new CancelledError('The request was cancelled.', { url, cause: error });
+        }
+        throw error;
+    } finally {
+        pendingRequests.delete(controller);
+        if (signal) {
+            signal.removeEventListener('abort', abortFromCaller);
+        }
+    }
+}
+
+/**
+ * Read the body of a successful response as JSON
+ * @param {Response} response - The response from request()
+ * @returns {Promise<*>} The parsed body
+ */
+export async function readJson(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new ServerError('The server sent a response that could not be read.', {
+            url: response.url,
+            status: response.status,
+            cause: error
+        });
+    }
+}
+
+/**
+ * Cancel every request in flight; their promises reject with CancelledError
+ * @param {string} [reason='cancelled'] - Why the requests are cancelled, for the log
+ */
+export function cancelAllRequests(reason = 'cancelled') {
+    if (pendingRequests.size === 0) {
+        return;
+    }
+
+    console.log(`Cancelling ${pendingRequests.size} pending request(s): ${reason}`);
+    pendingRequests.forEach(controller => controller.abort(reason));
+    pendingRequests.clear();
+}
+
+/**
+ * Get the bearer token for a request, reporting failures as AuthError
+ * @param {function(boolean): Promise<string>} getBearerToken - The caller's token function
+ * @param {boolean} forceRefresh - Whether a new token is required
+ * @param {string} url - URL of the request, for the error
+ * @returns {Promise<string>} The token
+ */
+async function acquireToken(getBearerToken, forceRefresh, url) {
+    try {
+        return await getBearerToken(forceRefresh);
+    } catch (error) {
+        throw new AuthError('Your session has expired. Please sign in again.', { url, detail: error.message, cause: error });
+    }
+}
+
+/**
+ * Send one attempt of a request, aborting it when it takes longer than the timeout
+ * @param {string} url - The URL to send the request to
+ * @param {Object} init - fetch options without signal
+ * @param {AbortSignal} signal - Signal of the whole request
+ * @param {number} timeoutMs - Time allowed until the response headers arrive
+ * @returns {Promise<Response>} The response, whatever its status
+ */
+async function sendAttempt(url, init, signal, timeoutMs) {
+    const attemptController = new AbortController();
+    const abortAttempt = () => attemptController.abort(signal.reason);
+    signal.addEventListener('abort', abortAttempt);
+
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+        timedOut = true;
+        attemptController.abort();
+    }, timeoutMs);
+
+    try {
+        return await fetch(url, { ...init, signal: attemptController.signal });
+    } catch (error) {
+        if (signal.aborted) {
+            throw new CancelledError('The request was cancelled.', { url, cause: error });
+        }
+        if (timedOut) {
+            throw new NetworkError(`The server did not respond within ${Math.round(timeoutMs / 1000)} seconds. Please try again.`, { url, timedOut: true, cause: error });
+        }
+        throw new NetworkError('The server could not be reached. Check your network connection and try again.', { url, cause: error });
+    } finally {
+        clearTimeout(timeout);
+        signal.removeEventListener('abort', abortAttempt);
+    }
+}
+
+/**
+ * Wait before the next attempt; rejects with CancelledError when the request is cancelled meanwhile
+ * @param {string} url - URL of the request, for the log
+ * @param {number} delayMs - Time to wait
+ * @param {string} reason - Why the request is retried, for the log
+ * @param {AbortSignal} signal - Signal of the whole request
+ * @returns {Promise<void>} Resolves when it is time to retry
+ */
+function waitBeforeRetry(url, delayMs, reason, signal) {
+    console.warn(`Request to ${url} failed (${reason}), retrying in ${Math.round(delayMs)} ms`);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError('The request was cancelled.', { url }));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, so throttled clients do not retry in step
+ * @param {number} retryCount - Number of retries so far
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(retryCount) {
+    const maximumDelay = Math.min(httpClientConfig.maxBackoffMs, httpClientConfig.initialBackoffMs * 2 ** retryCount);
+    return maximumDelay / 2 + Math.random() * maximumDelay / 2;
+}
+
+/**
+ * Parse a Retry-After header, which holds either a number of seconds or an HTTP date
+ * @param {string|null} headerValue - The header value
+ * @returns {number|null} The delay in ms, or null when the header is missing or invalid
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) {
+        return null;
+    }
+
+    if (/^\d+$/.test(headerValue.trim())) {
+        return Number(headerValue.trim()) * 1000;
+    }
+
+    const retryAt = Date.parse(headerValue);
+    return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+/**
+ * Create the error for an unsuccessful response
+ * @param {string} url - URL of the request
+ * @param {Response} response - The response
+ * @returns {Promise<HttpError>} The error to throw
+ */
+async function createResponseError(url, response) {
+    const status = response.status;
+    const detail = await readErrorDetail(response);
+    const details = { url, status, detail };
+    console.error(`Request to ${url} failed with status ${status}: ${detail}`);
+
+    if (status === HTTP_STATUS.UNAUTHORIZED) {
+        return new AuthError('Your session has expired. Please sign in again.', details);
+    }
+    if (status === HTTP_STATUS.FORBIDDEN) {
+        return new AuthError('You do not have permission to do this.', { ...details, sessionExpired: false });
+    }
+    if (status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        const retryAfterSeconds = retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000);
+        const waitHint = retryAfterSeconds === null ? 'in a moment' : `in ${retryAfterSeconds} seconds`;
+        return new ServerError(`The service is busy. Please try again ${waitHint}.`, { ...details, retryAfterSeconds });
+    }
+    if (status >= HTTP_STATUS.SERVER_ERROR) {
+        return new ServerError(`The server could not handle the request (status ${status}). Please try again later.`, details);
+    }
+    if (status === HTTP_STATUS.CONFLICT || status === HTTP_STATUS.PRECONDITION_FAILED) {
+        return new ConflictError('The data was changed by someone else since it was loaded.', details);
+    }
+    return new ValidationError(`The request was rejected (status ${status})${detail ? `: ${detail}` : '.'}`, details);
+}
+
+/**
+ * Read the error detail from a response body: the message of a JSON error
+ * (as the OCI gateway and Object Storage send), or else the text itself
+ * @param {Response} response - The unsuccessful response
+ * @returns {Promise<string>} The detail, possibly empty
+ */
+async function readErrorDetail(response) {
+    let text;
+    try {
+        text = (await response.text()).trim();
+    } catch (error) {
+        return '';
+    }
+
+    try {
+        const body = JSON.parse(text);
+        if (body && typeof body.message === 'string') {
+            text = body.message;
+        }
+    } catch (error) {
+        // Not JSON; use the text as is
+    }
+
+    return text.length > MAX_DETAIL_LENGTH ? `${text.substring(0, MAX_DETAIL_LENGTH)}...` : text;
+}
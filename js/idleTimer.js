@@ -0,0 +1,201 @@
+/**
+ * idleTimer.js
+ * Idle session tracking module
+ * 
+ * This module tracks user activity while a user is signed in and reports when the
+ * configured idle period is about to run out (warning) and when it has run out
+ * (timeout). It only measures time; app.js decides what happens on warning and timeout.
+ * 
+ * Idle time is derived from the timestamp of the last activity rather than from
+ * running timers, because browsers throttle timers in background tabs.
+ * 
+ * The last activity is shared with the other tabs of the application through
+ * localStorage, so the session only times out when the user is idle in every tab:
+ * a background tab does not sign out the tab the user is working in.
+ */
+
+import { idleTimeoutConfig } from './authConfig.js';
+
+// DOM events that count as user activity
+const ACTIVITY_EVENTS = ['input', 'keydown', 'mousedown', 'click', 'mousemove', 'touchstart', 'wheel'];
+
+// Milliseconds between idle time checks
+const CHECK_INTERVAL_MS = 1000;
+
+// localStorage key of the last activity in any tab
+const SHARED_ACTIVITY_KEY = 'speakerpool.lastActivity';
+
+// Minimum milliseconds between writes of the shared activity, as mousemove fires very often
+const SHARE_INTERVAL_MS = 5000;
+
+// Tracking state
+const idleState = {
+    // Timestamp of the last user activity in this tab
+    lastActivity: 0,
+
+    // Timestamp this tab last wrote to the shared activity
+    lastShared: 0,
+
+    // Interval that checks the idle time
+    checkInterval: null,
+
+    // Whether the warning has been raised and is waiting for the user
+    warningShown: false,
+
+    // Callbacks passed to startIdleTimer
+    callbacks: null
+};
+
+/**
+ * Start tracking user activity; calling it again while running keeps the current tracking
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onWarning - Called every second during the warning period with the seconds left
+ * @param {Function} callbacks.onTimeout - Called once when the idle period has run out
+ * @param {Function} [callbacks.onActive] - Called when a warning is withdrawn because the user stayed signed in in another tab
+ */
+export function startIdleTimer({ onWarning, onTimeout, onActive }) {
+    if (!idleTimeoutConfig.enabled) {
+        return;
+    }
+
+    idleState.callbacks = { onWarning, onTimeout, onActive };
+
+    if (idleState.checkInterval !== null) {
+        return;
+    }
+
+    idleState.lastActivity = Date.now();
+    idleState.warningShown = false;
+    shareActivity(true);
+
+    ACTIVITY_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, handleActivity, { capture: true, passive: true });
+    });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    idleState.checkInterval = setInterval(checkIdleTime, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop tracking user activity, e.g. after signing out
+ */
+export function stopIdleTimer() {
+    if (idleState.checkInterval === null) {
+        return;
+    }
+
+    clearInterval(idleState.checkInterval);
+    idleState.checkInterval = null;
+    idleState.warningShown = false;
+    idleState.callbacks = null;
+
+    ACTIVITY_EVENTS.forEach(eventName => {
+        document.removeEventListener(eventName, handleActivity, { capture: true });
+    });
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+}
+
+/**
+ * Restart the idle period, e.g. when the user chooses to stay signed in from the warning
+ */
+export function resetIdleTimer() {
+    idleState.lastActivity = Date.now();
+    idleState.warningShown = false;
+    shareActivity(true);
+}
+
+/**
+ * Record user activity
+ * 
+ * While the warning is shown, activity alone does not keep the session alive:
+ * the user has to confirm explicitly with resetIdleTimer.
+ */
+function handleActivity() {
+    if (!idleState.warningShown) {
+        idleState.lastActivity = Date.now();
+        shareActivity(false);
+    }
+}
+
+/**
+ * Write the last activity of this tab to localStorage, for the other tabs
+ * @param {boolean} immediately - Write even if this tab wrote it less than SHARE_INTERVAL_MS ago
+ */
+function shareActivity(immediately) {
+    if (!immediately && idleState.lastActivity - idleState.lastShared < SHARE_INTERVAL_MS) {
+        return;
+    }
+
+    try {
+        if (idleState.lastActivity > readSharedActivity()) {
+            localStorage.setItem(SHARED_ACTIVITY_KEY, String(idleState.lastActivity));
+        }
+        idleState.lastShared = idleState.lastActivity;
+    } catch (error) {
+        // Without localStorage each tab only goes by its own activity
+        console.warn('Could not share the last activity with other tabs:', error);
+    }
+}
+
+/**
+ * Read the last activity of any tab from localStorage
+ * @returns {number} The timestamp; 0 when there is none
+ */
+function readSharedActivity() {
+    try {
+        return Number(localStorage.getItem(SHARED_ACTIVITY_KEY)) || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Treat returning to the tab as activity, unless the idle period ran out while the tab was hidden
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState !== 'visible') {
+        return;
+    }
+
+    // Timers in hidden tabs are throttled; check right away before counting this as activity
+    checkIdleTime();
+    handleActivity();
+}
+
+/**
+ * Compare the idle time with the configured limits and raise warning or timeout
+ */
+function checkIdleTime() {
+    if (idleState.callbacks === null) {
+        return;
+    }
+
+    const timeoutMs = idleTimeoutConfig.idleTimeoutMinutes * 60 * 1000;
+    const warningMs = idleTimeoutConfig.warningSeconds * 1000;
+    // Activity in this tab may not have been shared yet (SHARE_INTERVAL_MS)
+    const lastActivity = Math.max(idleState.lastActivity, readSharedActivity());
+    const idleMs = Date.now() - lastActivity;
+
+    if (idleMs >= timeoutMs) {
+        const { onTimeout } = idleState.callbacks;
+        stopIdleTimer();
+        onTimeout();
+        return;
+    }
+
+    if (idleMs >= timeoutMs - warningMs) {
+        idleState.warningShown = true;
+        const secondsLeft = Math.ceil((timeoutMs - idleMs) / 1000);
+        idleState.callbacks.onWarning(secondsLeft);
+        return;
+    }
+
+    // The user chose to stay signed in in another tab
+    if (idleState.warningShown) {
+        idleState.warningShown = false;
+        idleState.lastActivity = lastActivity;
+        if (idleState.callbacks.onActive) {
+            idleState.callbacks.onActive();
+        }
+    }
+}
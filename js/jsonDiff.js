@@ -0,0 +1,145 @@
+/**
+ * jsonDiff.js
+ * Structural difference between two JSON values
+ *
+ * Compares parsed values rather than text, so formatting and the order of object keys do
+ * not matter. Paths use the same notation as schemaValidator.js ('pastTalks[0].title').
+ *
+ * Arrays are compared by content rather than position: items that occur in both arrays
+ * are unchanged wherever they are, so reordering a list or inserting an item in the middle
+ * does not report every item after it, and a list that was only reordered has no changes.
+ * Of the remaining items, an object that shares field values with one on the other side
+ * is taken to be that item, edited, and compared field by field; everything else is
+ * reported as added or removed.
+ */
+
+// Kinds of change
+export const CHANGE_TYPES = {
+    added: 'added',
+    removed: 'removed',
+    changed: 'changed'
+};
+
+/**
+ * List the differences between two JSON values
+ * @param {*} before - The original value
+ * @param {*} after - The new value
+ * @returns {Array<{path: string, type: string, before: *, after: *}>} The changes (see CHANGE_TYPES); before is
+ *   undefined for an added value and after for a removed one
+ */
+export function diffJson(before, after) {
+    const changes = [];
+    diffValues(before, after, '', changes);
+    return changes;
+}
+
+/**
+ * Compare two values at a path, adding the differences to changes
+ * @param {*} before - The original value
+ * @param {*} after - The new value
+ * @param {string} path - Path of the values; '' for the document
+ * @param {Array} changes - The changes found so far
+ */
+function diffValues(before, after, path, changes) {
+    if (isEqual(before, after)) {
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (!(key in after)) {
+                changes.push({ path: keyPath, type: CHANGE_TYPES.removed, before: before[key], after: undefined });
+            } else if (!(key in before)) {
+                changes.push({ path: keyPath, type: CHANGE_TYPES.added, before: undefined, after: after[key] });
+            } else {
+                diffValues(before[key], after[key], keyPath, changes);
+            }
+        });
+        return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        diffArrays(before, after, path, changes);
+        return;
+    }
+
+    changes.push({ path: path || '(root)', type: CHANGE_TYPES.changed, before, after });
+}
+
+/**
+ * Compare two arrays by content (see the module comment)
+ * @param {Array} before - The original array
+ * @param {Array} after - The new array
+ * @param {string} path - Path of the arrays
+ * @param {Array} changes - The changes found so far
+ */
+function diffArrays(before, after, path, changes) {
+    // Pair every item with an equal item of the other array, each item used once
+    const unmatchedBefore = before.map((value, index) => ({ value, index }));
+    const unmatchedAfter = [];
+    after.forEach((value, index) => {
+        const match = unmatchedBefore.findIndex(item => isEqual(item.value, value));
+        if (match === -1) {
+            unmatchedAfter.push({ value, index });
+        } else {
+            unmatchedBefore.splice(match, 1);
+        }
+    });
+
+    // An object left over on both sides that shares a field value with one on the other side
+    // is most likely the same item, edited; pair it with the one it shares the most with
+    const paired = new Set();
+    unmatchedBefore.filter(item => isPlainObject(item.value)).forEach(removed => {
+        let bestMatch = null;
+        let bestScore = 0;
+        unmatchedAfter.filter(item => isPlainObject(item.value) && !paired.has(item)).forEach(added => {
+            const score = Object.keys(removed.value).filter(key => isEqual(removed.value[key], added.value[key])).length;
+            if (score > bestScore) {
+                bestMatch = added;
+                bestScore = score;
+            }
+        });
+        if (bestMatch) {
+            paired.add(removed);
+            paired.add(bestMatch);
+            diffValues(removed.value, bestMatch.value, `${path}[${bestMatch.index}]`, changes);
+        }
+    });
+
+    unmatchedBefore.filter(item => !paired.has(item)).forEach(item => {
+        changes.push({ path: `${path}[${item.index}]`, type: CHANGE_TYPES.removed, before: item.value, after: undefined });
+    });
+    unmatchedAfter.filter(item => !paired.has(item)).forEach(item => {
+        changes.push({ path: `${path}[${item.index}]`, type: CHANGE_TYPES.added, before: undefined, after: item.value });
+    });
+}
+
+/**
+ * Check whether a value is a JSON object (not an array or null)
+ * @param {*} value - The value
+ * @returns {boolean} True for an object
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep equality of JSON values; the order of object keys does not matter, the order of array items does
+ * @param {*} a - A value
+ * @param {*} b - Another value
+ * @returns {boolean} True when equal
+ */
+export function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
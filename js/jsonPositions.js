@@ -0,0 +1,140 @@
+/**
+ * jsonPositions.js
+ * Source positions of the values in a JSON text
+ *
+ * Validation errors name a path such as 'topics[2]'; to point the user at the right
+ * line of the editor, locateJsonPaths maps every path in the text onto the line and
+ * column where it starts (the property name for object members). Paths use the same
+ * notation as schemaValidator.js.
+ */
+
+// Path of the document itself, as schemaValidator.js reports it
+const ROOT_PATH = '(root)';
+
+/**
+ * Find the position of every value in a JSON text
+ * @param {string} text - The JSON text
+ * @returns {Map<string, {line: number, column: number}>} Positions by path, 1-based; empty when the text is not valid JSON
+ */
+export function locateJsonPaths(text) {
+    const positions = new Map();
+    const lineStarts = [0];
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '\n') {
+            lineStarts.push(index + 1);
+        }
+    }
+
+    let index = 0;
+
+    const positionAt = (offset) => {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > offset) {
+            line--;
+        }
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) {
+            index++;
+        }
+    };
+
+    const expect = (character) => {
+        skipWhitespace();
+        if (text[index] !== character) {
+            throw new SyntaxError(`Expected '${character}' at position ${index}`);
+        }
+        index++;
+    };
+
+    const parseString = () => {
+        const start = index;
+        index++;
+        while (index < text.length && text[index] !== '"') {
+            index += text[index] === '\\' ? 2 : 1;
+        }
+        index++;
+        return JSON.parse(text.slice(start, index));
+    };
+
+    const parseValue = (path) => {
+        skipWhitespace();
+        if (index >= text.length) {
+            throw new SyntaxError('Unexpected end of JSON');
+        }
+        if (!positions.has(path)) {
+            positions.set(path, positionAt(index));
+        }
+
+        switch (text[index]) {
+            case '{':
+                index++;
+                skipWhitespace();
+                if (text[index] === '}') {
+                    index++;
+                    return;
+                }
+                for (;;) {
+                    skipWhitespace();
+                    const keyOffset = index;
+                    const childPath = path === ROOT_PATH ? parseString() : `${path}.${parseString()}`;
+                    positions.set(childPath, positionAt(keyOffset));
+                    expect(':');
+                    parseValue(childPath);
+                    skipWhitespace();
+                    if (text[index++] === '}') {
+                        return;
+                    }
+                }
+            case '[':
+                index++;
+                skipWhitespace();
+                if (text[index] === ']') {
+                    index++;
+                    return;
+                }
+                for (let itemIndex = 0; ; itemIndex++) {
+                    parseValue(`${path === ROOT_PATH ? '' : path}[${itemIndex}]`);
+                    skipWhitespace();
+                    if (text[index++] === ']') {
+                        return;
+                    }
+                }
+            case '"':
+                parseString();
+                return;
+            default:
+                // Number, true, false or null
+                while (index < text.length && !/[\s,\]}]/.test(text[index])) {
+                    index++;
+                }
+        }
+    };
+
+    try {
+        parseValue(ROOT_PATH);
+    } catch (error) {
+        positions.clear();
+    }
+    return positions;
+}
+
+/**
+ * Find the position of a path, or of its closest ancestor in the text (e.g. the object a required property is missing from)
+ * @param {Map<string, {line: number, column: number}>} positions - Positions from locateJsonPaths
+ * @param {string} path - The path, e.g. 'links[1]'
+ * @returns {{line: number, column: number}|null} The position, or null when the text could not be read
+ */
+export function findPosition(positions, path) {
+    let currentPath = path;
+    while (currentPath) {
+        if (positions.has(currentPath)) {
+            return positions.get(currentPath);
+        }
+        currentPath = currentPath.replace(/(\.[^.[]+|\[\d+\]|^[^.[]+)$/, '');
+    }
+
+    return positions.get(ROOT_PATH) || null;
+}
@@ -0,0 +1,142 @@
+/**
+ * persistentCache.js
+ * Per-account cache of API responses in IndexedDB
+ *
+ * dataService.js keeps the last known speaker pool data here, so it can be shown right
+ * away on the next page load and revalidated in the background (stale-while-revalidate).
+ * Every entry belongs to an account (its homeAccountId): another account never reads it,
+ * and signing out deletes the account's entries.
+ *
+ * The cache only saves requests: when IndexedDB is unavailable (disabled storage, some
+ * private browsing modes) or fails, reads miss and writes are skipped, with a warning.
+ */
+
+import { clientCacheConfig } from './dataConfig.js';
+
+// Object store of the entries, keyed by accountId and key, with an index on accountId
+const STORE_NAME = 'entries';
+const ACCOUNT_INDEX = 'accountId';
+const DATABASE_VERSION = 1;
+
+// The open database, shared by all operations; null until first used or after it failed to open
+let databasePromise = null;
+
+/**
+ * Open the cache database, creating its object store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const openRequest = indexedDB.open(clientCacheConfig.databaseName, DATABASE_VERSION);
+            openRequest.onupgradeneeded = () => {
+                const store = openRequest.result.createObjectStore(STORE_NAME, { keyPath: ['accountId', 'key'] });
+                store.createIndex(ACCOUNT_INDEX, 'accountId');
+            };
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+            openRequest.onblocked = () => reject(new Error('The cache database is blocked by another tab'));
+        });
+
+        // Try again on the next operation instead of failing for the rest of the session
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run an operation on the object store in a transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Issues the requests; the result of the returned request is resolved
+ * @returns {Promise<*>} The result of the operation's request, once the transaction completed
+ */
+async function runTransaction(mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('The cache transaction was aborted'));
+    });
+}
+
+/**
+ * Read an entry of an account
+ *
+ * Entries older than clientCacheConfig.maxAgeMs are not returned (and are deleted).
+ * @param {string} accountId - homeAccountId of the account
+ * @param {string} key - Key of the entry, e.g. the name of the resource
+ * @returns {Promise<{data: *, version: Object|null, validatedAt: number}|null>} The entry, or null when there is none
+ */
+export async function readEntry(accountId, key) {
+    if (!clientCacheConfig.enabled) {
+        return null;
+    }
+
+    try {
+        const entry = await runTransaction('readonly', store => store.get([accountId, key]));
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() - entry.validatedAt > clientCacheConfig.maxAgeMs) {
+            await runTransaction('readwrite', store => store.delete([accountId, key]));
+            return null;
+        }
+        return { data: entry.data, version: entry.version, validatedAt: entry.validatedAt };
+    } catch (error) {
+        console.warn(`Could not read '${key}' from the persistent cache:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store an entry of an account, replacing the previous one
+ * @param {string} accountId - homeAccountId of the account
+ * @param {string} key - Key of the entry
+ * @param {Object} entry
+ * @param {*} entry.data - The cached data; must be structured-cloneable
+ * @param {Object|null} entry.version - Version of the data on the server ({etag, lastModified}), for conditional requests
+ * @param {number} entry.validatedAt - When the server last confirmed the data (ms since the epoch)
+ * @returns {Promise<void>} Resolves when the entry was stored or could not be
+ */
+export async function writeEntry(accountId, key, { data, version, validatedAt }) {
+    if (!clientCacheConfig.enabled) {
+        return;
+    }
+
+    try {
+        await runTransaction('readwrite', store => store.put({ accountId, key, data, version, validatedAt }));
+    } catch (error) {
+        console.warn(`Could not write '${key}' to the persistent cache:`, error.message);
+    }
+}
+
+/**
+ * Delete all entries of an account, e.g. when it signs out
+ * @param {string} accountId - homeAccountId of the account
+ * @returns {Promise<void>} Resolves when the entries were deleted or could not be
+ */
+export async function deleteAccountEntries(accountId) {
+    try {
+        await runTransaction('readwrite', store => {
+            const cursorRequest = store.index(ACCOUNT_INDEX).openKeyCursor(IDBKeyRange.only(accountId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    } catch (error) {
+        console.warn('Could not clear the persistent cache of the account:', error.message);
+    }
+}
@@ -0,0 +1,487 @@
+/**
+ * profileForm.js
+ * Form editor generated from a JSON Schema
+ *
+ * Builds a form for an object from its schema (see profileSchema.js), so speakers can edit
+ * their profile without writing JSON. The input for each property follows from its schema:
+ *
+ * - string: text input (email, URL or date input for those formats), a select for an enum,
+ *   a multi-line text area for 'x-editor': 'multiline', plain text for readOnly
+ * - array of strings: a tag list; a list of inputs when the items have a format (e.g. URLs);
+ *   checkboxes plus a tag list for 'x-editor': 'languages'
+ * - array of objects: repeatable sections that can be added and removed
+ *
+ * The form round-trips with the JSON: properties the schema does not know are kept as they
+ * are, and an empty input only removes a property when the data did not have it before.
+ */
+
+// CSS classes used by the form
+const FORM_CLASSES = {
+  field: 'form-field',
+  description: 'form-description',
+  tagList: 'tag-list',
+  tag: 'tag',
+  section: 'form-section',
+  invalid: 'invalid'
+};
+
+/**
+ * Build the form for an object in a form element, replacing its content
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} schema - The schema of the object
+ * @param {Object} data - The current object
+ * @param {function(Object): void} onChange - Called with the updated object after every change
+ */
+export function renderForm(form, schema, data, onChange) {
+  form.innerHTML = '';
+  const editor = createObjectEditor(schema, data || {}, '', () => onChange(editor.getValue()));
+  form.appendChild(editor.element);
+}
+
+/**
+ * Mark the fields that have validation issues and show the issue as their tooltip
+ * @param {HTMLFormElement} form - The form built by renderForm
+ * @param {Array<{path: string, message: string}>} issues - Validation errors and warnings
+ */
+export function markInvalidFields(form, issues) {
+  form.querySelectorAll(`.${FORM_CLASSES.invalid}`).forEach(field => {
+    field.classList.remove(FORM_CLASSES.invalid);
+    field.removeAttribute('title');
+  });
+
+  issues.forEach(issue => {
+    const field = findField(form, issue.path);
+    if (field) {
+      field.classList.add(FORM_CLASSES.invalid);
+      field.title = field.title ? `${field.title}\n${issue.message}` : `${issue.path} ${issue.message}`;
+    }
+  });
+}
+
+/**
+ * Move the focus to the field of a path (or its closest ancestor that has a field)
+ * @param {HTMLFormElement} form - The form built by renderForm
+ * @param {string} path - Path of the value, as reported by the validator
+ */
+export function focusField(form, path) {
+  const field = findField(form, path);
+  if (!field) {
+    return;
+  }
+
+  field.scrollIntoView({ block: 'center' });
+  const input = field.querySelector('input, textarea, select');
+  if (input) {
+    input.focus();
+  }
+}
+
+/**
+ * Find the field element of a path, or of its closest ancestor
+ * @param {HTMLFormElement} form - The form
+ * @param {string} path - The path
+ * @returns {HTMLElement|null} The field
+ */
+function findField(form, path) {
+  let currentPath = path;
+  while (currentPath) {
+    const field = Array.from(form.querySelectorAll('[data-path]')).find(element => element.dataset.path === currentPath);
+    if (field) {
+      return field;
+    }
+    currentPath = currentPath.replace(/(\.[^.[]+|\[\d+\]|^[^.[]+)$/, '');
+  }
+  return null;
+}
+
+/**
+ * Create the editor for a value, picking the input from its schema
+ * @param {Object} schema - The schema of the value
+ * @param {*} value - The current value
+ * @param {string} path - Path of the value, e.g. 'pastTalks[0].title'
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLElement, getValue: function(): *}} The editor
+ */
+function createEditor(schema, value, path, notify) {
+  // A value of another type than the schema expects cannot be edited here; keep it as it is
+  if (value !== undefined && !hasExpectedType(schema, value)) {
+    const text = document.createElement('code');
+    text.textContent = JSON.stringify(value);
+    text.title = 'This value has an unexpected type; edit it in the JSON view';
+    return { element: text, getValue: () => value };
+  }
+
+  if (schema.type === 'object') {
+    return createObjectEditor(schema, value || {}, path, notify);
+  }
+
+  if (schema.type === 'array') {
+    const items = schema.items || {};
+    const values = Array.isArray(value) ? value : [];
+    if (items.type === 'object') {
+      return createSectionListEditor(schema, values, path, notify);
+    }
+    if (schema['x-editor'] === 'languages') {
+      return createLanguageEditor(schema, values, notify);
+    }
+    if (items.format) {
+      return createInputListEditor(schema, values, path, notify);
+    }
+    return createTagEditor(values, notify);
+  }
+
+  if (schema.readOnly) {
+    const text = document.createElement('span');
+    text.textContent = value === undefined ? '' : String(value);
+    return { element: text, getValue: () => value };
+  }
+
+  if (schema.enum) {
+    return createSelectEditor(schema, value, notify);
+  }
+
+  const input = schema['x-editor'] === 'multiline' ? document.createElement('textarea') : document.createElement('input');
+  if (input.tagName === 'TEXTAREA') {
+    input.rows = 5;
+  } else {
+    input.type = { email: 'email', uri: 'url', date: 'date' }[schema.format] || 'text';
+  }
+  input.value = typeof value === 'string' ? value : '';
+  if (schema.maxLength) {
+    input.maxLength = schema.maxLength;
+  }
+  input.addEventListener('input', notify);
+  return { element: input, getValue: () => input.value };
+}
+
+/**
+ * Create the editor for an object: one labelled field per property in the schema
+ * @param {Object} schema - The schema of the object
+ * @param {Object} value - The current object
+ * @param {string} path - Path of the object; '' for the document
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLElement, getValue: function(): Object}} The editor
+ */
+function createObjectEditor(schema, value, path, notify) {
+  const container = document.createElement('div');
+  const required = schema.required || [];
+  const editors = {};
+
+  Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+    const propertyPath = path ? `${path}.${property}` : property;
+    const editor = createEditor(propertySchema, value[property], propertyPath, notify);
+    editors[property] = editor;
+
+    const field = document.createElement('div');
+    field.className = FORM_CLASSES.field;
+    field.dataset.path = propertyPath;
+
+    const label = document.createElement('label');
+    label.textContent = `${propertySchema.title || property}${required.includes(property) ? ' *' : ''}`;
+    const inputId = `profile-form-${propertyPath.replace(/[^a-zA-Z0-9]/g, '-')}`;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(editor.element.tagName)) {
+      editor.element.id = inputId;
+      label.htmlFor = inputId;
+    }
+    field.appendChild(label);
+
+    if (propertySchema.description) {
+      const description = document.createElement('small');
+      description.className = FORM_CLASSES.description;
+      description.textContent = propertySchema.description;
+      field.appendChild(description);
+    }
+
+    field.appendChild(editor.element);
+    container.appendChild(field);
+  });
+
+  const getValue = () => {
+    // Start from the current object, so properties the schema does not know are kept
+    const result = { ...value };
+    Object.entries(editors).forEach(([property, editor]) => {
+      const propertyValue = editor.getValue();
+      if (isEmpty(propertyValue) && !(property in value)) {
+        delete result[property];
+      } else if (propertyValue !== undefined) {
+        result[property] = propertyValue;
+      }
+    });
+    return result;
+  };
+
+  return { element: container, getValue };
+}
+
+/**
+ * Create a select for a string with a fixed set of values
+ * @param {Object} schema - The schema, with enum
+ * @param {*} value - The current value
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLSelectElement, getValue: function(): string}} The editor
+ */
+function createSelectEditor(schema, value, notify) {
+  const select = document.createElement('select');
+  const options = schema.enum.includes(value) || value === undefined || value === '' ? ['', ...schema.enum] : ['', value, ...schema.enum];
+
+  options.forEach(optionValue => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionValue === '' ? '(not set)' : optionValue;
+    select.appendChild(option);
+  });
+
+  select.value = typeof value === 'string' ? value : '';
+  select.addEventListener('change', notify);
+  return { element: select, getValue: () => select.value };
+}
+
+/**
+ * Create a tag list for an array of strings: the values as removable tags and an input to add more
+ * @param {string[]} values - The current values
+ * @param {function(): void} notify - Called after every change
+ * @param {function(string): boolean} [isShown] - Which values to show as tags; the others are kept but edited elsewhere
+ * @returns {{element: HTMLElement, getValue: function(): string[], add: function(string): void, remove: function(string): void}} The editor
+ */
+function createTagEditor(values, notify, isShown = () => true) {
+  const tags = [...values];
+  const container = document.createElement('div');
+  container.className = FORM_CLASSES.tagList;
+  const tagContainer = document.createElement('span');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Type and press Enter to add';
+
+  const renderTags = () => {
+    tagContainer.innerHTML = '';
+    tags.filter(isShown).forEach(tag => {
+      const tagElement = document.createElement('span');
+      tagElement.className = FORM_CLASSES.tag;
+      tagElement.textContent = tag;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', `Remove ${tag}`);
+      removeButton.addEventListener('click', () => remove(tag));
+
+      tagElement.appendChild(removeButton);
+      tagContainer.appendChild(tagElement);
+    });
+  };
+
+  const add = (tag) => {
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag);
+      renderTags();
+      notify();
+    }
+  };
+
+  const remove = (tag) => {
+    const index = tags.indexOf(tag);
+    if (index !== -1) {
+      tags.splice(index, 1);
+      renderTags();
+      notify();
+    }
+  };
+
+  // Enter or a comma adds the typed tag; Backspace in the empty input removes the last one
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      add(input.value.trim());
+      input.value = '';
+    } else if (event.key === 'Backspace' && input.value === '') {
+      const shownTags = tags.filter(isShown);
+      if (shownTags.length > 0) {
+        remove(shownTags[shownTags.length - 1]);
+      }
+    }
+  });
+  input.addEventListener('blur', () => {
+    add(input.value.trim());
+    input.value = '';
+  });
+
+  renderTags();
+  container.append(tagContainer, input);
+  return { element: container, getValue: () => [...tags], add, remove };
+}
+
+/**
+ * Create a language picker: checkboxes for the common languages (the items' examples) and a tag list for others
+ * @param {Object} schema - The schema of the array
+ * @param {string[]} values - The current languages
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLElement, getValue: function(): string[]}} The editor
+ */
+function createLanguageEditor(schema, values, notify) {
+  const commonLanguages = (schema.items && schema.items.examples) || [];
+  const container = document.createElement('div');
+
+  // One list of languages in the original order; the checkboxes and the tag list both edit it
+  const otherLanguages = createTagEditor(values, notify, language => !commonLanguages.includes(language));
+
+  commonLanguages.forEach(language => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = values.includes(language);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        otherLanguages.add(language);
+      } else {
+        otherLanguages.remove(language);
+      }
+    });
+    label.append(checkbox, ` ${language}`);
+    container.appendChild(label);
+  });
+
+  container.appendChild(otherLanguages.element);
+  return { element: container, getValue: otherLanguages.getValue };
+}
+
+/**
+ * Create a list of inputs for an array of formatted strings (e.g. URLs), with buttons to add and remove entries
+ * @param {Object} schema - The schema of the array
+ * @param {string[]} values - The current values
+ * @param {string} path - Path of the array
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLElement, getValue: function(): string[]}} The editor
+ */
+function createInputListEditor(schema, values, path, notify) {
+  return createRepeatingEditor(values, path, notify, {
+    addLabel: 'Add',
+    createItem: (value, itemPath) => createEditor(schema.items, value, itemPath, notify),
+    isEmptyItem: (value) => value === ''
+  });
+}
+
+/**
+ * Create repeatable sections for an array of objects, with buttons to add and remove sections
+ * @param {Object} schema - The schema of the array
+ * @param {Object[]} values - The current objects
+ * @param {string} path - Path of the array
+ * @param {function(): void} notify - Called after every change
+ * @returns {{element: HTMLElement, getValue: function(): Object[]}} The editor
+ */
+function createSectionListEditor(schema, values, path, notify) {
+  const itemTitle = schema.items.title || 'Item';
+  return createRepeatingEditor(values, path, notify, {
+    addLabel: `Add ${itemTitle.toLowerCase()}`,
+    createItem: (value, itemPath) => {
+      const editor = createObjectEditor(schema.items, value || {}, itemPath, notify);
+      const section = document.createElement('fieldset');
+      section.className = FORM_CLASSES.section;
+      const legend = document.createElement('legend');
+      legend.textContent = itemTitle;
+      section.append(legend, editor.element);
+      return { element: section, getValue: editor.getValue };
+    },
+    isEmptyItem: (value) => Object.values(value).every(isEmpty)
+  });
+}
+
+/**
+ * Create an editor for a list of items that can be added and removed
+ * @param {Array} values - The current items
+ * @param {string} path - Path of the array
+ * @param {function(): void} notify - Called after every change
+ * @param {Object} options
+ * @param {string} options.addLabel - Text of the add button
+ * @param {function(*, string): {element: HTMLElement, getValue: function(): *}} options.createItem - Creates the editor of one item
+ * @param {function(*): boolean} options.isEmptyItem - Whether an added item was left empty; such items are not saved
+ * @returns {{element: HTMLElement, getValue: function(): Array}} The editor
+ */
+function createRepeatingEditor(values, path, notify, { addLabel, createItem, isEmptyItem }) {
+  const container = document.createElement('div');
+  const list = document.createElement('div');
+  // Items that were in the data stay even when emptied, so the validator can report them
+  const items = values.map(value => ({ value, existing: true }));
+  let editors = [];
+
+  const renderItems = () => {
+    list.innerHTML = '';
+    editors = items.map((item, index) => {
+      const editor = createItem(item.value, `${path}[${index}]`);
+      const row = document.createElement('div');
+      row.className = FORM_CLASSES.field;
+      row.dataset.path = `${path}[${index}]`;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        syncItems();
+        items.splice(index, 1);
+        renderItems();
+        notify();
+      });
+
+      row.append(editor.element, removeButton);
+      list.appendChild(row);
+      return editor;
+    });
+  };
+
+  // Keep the typed values when the list is rebuilt
+  const syncItems = () => {
+    editors.forEach((editor, index) => {
+      items[index].value = editor.getValue();
+    });
+  };
+
+  const addButton = document.createElement('button');
+  addButton.type = 'button';
+  addButton.textContent = addLabel;
+  addButton.addEventListener('click', () => {
+    syncItems();
+    items.push({ value: undefined, existing: false });
+    renderItems();
+    const inputs = list.lastElementChild ? list.lastElementChild.querySelectorAll('input, textarea, select') : [];
+    if (inputs.length > 0) {
+      inputs[0].focus();
+    }
+  });
+
+  renderItems();
+  container.append(list, addButton);
+
+  const getValue = () => editors
+    .map((editor, index) => ({ value: editor.getValue(), existing: items[index].existing }))
+    .filter(item => item.existing || !isEmptyItem(item.value))
+    .map(item => item.value);
+
+  return { element: container, getValue };
+}
+
+/**
+ * Check whether a value has the type its schema expects
+ * @param {Object} schema - The schema
+ * @param {*} value - The value
+ * @returns {boolean} True if the form can edit the value
+ */
+function hasExpectedType(schema, value) {
+  switch (schema.type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether a form value is empty
+ * @param {*} value - The value
+ * @returns {boolean} True for undefined, an empty string and an empty array
+ */
+function isEmpty(value) {
+  return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
@@ -0,0 +1,623 @@
+/**
+ * profileImport.js
+ * Reads a speaker profile from a file: JSON, vCard, or Markdown/YAML front matter
+ *
+ * dataService.prepareProfileImport lays the result over the user's current data for a
+ * preview; nothing is saved here. Field names are matched loosely ('Job title', 'job_title'
+ * and 'role' all become jobTitle, see FIELD_ALIASES) and values are converted to the shape
+ * of profileSchema.js where that is unambiguous: a comma-separated string becomes a list,
+ * a talk given as text becomes {title}. Fields that cannot be mapped are reported instead
+ * of guessed at.
+ *
+ * Only the YAML that bios are written in is understood: top-level keys with plain or quoted
+ * scalars, flow lists ([a, b]), block lists of scalars or of simple mappings (past talks),
+ * and block scalars (| and >).
+ */
+
+import { AVAILABILITY } from './profileSchema.js';
+
+/**
+ * Formats a profile can be imported from
+ */
+export const IMPORT_FORMATS = {
+    json: 'json',
+    vcard: 'vcard',
+    markdown: 'markdown',
+    yaml: 'yaml'
+};
+
+/**
+ * File types the import accepts, for the accept attribute of a file input
+ */
+export const IMPORT_FILE_TYPES = '.json,.vcf,.vcard,.md,.markdown,.yaml,.yml';
+
+// Format of each file extension; files with other extensions are recognized by their content
+const FORMAT_EXTENSIONS = {
+    json: IMPORT_FORMATS.json,
+    vcf: IMPORT_FORMATS.vcard,
+    vcard: IMPORT_FORMATS.vcard,
+    md: IMPORT_FORMATS.markdown,
+    markdown: IMPORT_FORMATS.markdown,
+    yaml: IMPORT_FORMATS.yaml,
+    yml: IMPORT_FORMATS.yaml
+};
+
+// Profile field of each source field name, compared in lower case without spaces, '-' and '_'
+const FIELD_ALIASES = {
+    name: 'name',
+    fullname: 'name',
+    displayname: 'name',
+    email: 'email',
+    mail: 'email',
+    emailaddress: 'email',
+    jobtitle: 'jobTitle',
+    role: 'jobTitle',
+    position: 'jobTitle',
+    department: 'department',
+    team: 'department',
+    location: 'location',
+    city: 'location',
+    office: 'location',
+    manager: 'manager',
+    languages: 'languages',
+    language: 'languages',
+    topics: 'topics',
+    topic: 'topics',
+    tags: 'topics',
+    expertise: 'topics',
+    subjects: 'topics',
+    availability: 'availability',
+    bio: 'bio',
+    biography: 'bio',
+    about: 'bio',
+    summary: 'bio',
+    links: 'links',
+    urls: 'links',
+    url: 'links',
+    website: 'links',
+    websites: 'links',
+    homepage: 'links',
+    blog: 'links',
+    linkedin: 'links',
+    github: 'links',
+    twitter: 'links',
+    mastodon: 'links',
+    pasttalks: 'pastTalks',
+    talks: 'pastTalks'
+};
+
+// Field of a past talk for each source field name, compared like FIELD_ALIASES
+const TALK_FIELD_ALIASES = {
+    title: 'title',
+    name: 'title',
+    event: 'event',
+    conference: 'event',
+    date: 'date',
+    url: 'url',
+    link: 'url',
+    recording: 'url',
+    slides: 'url'
+};
+
+// Profile fields holding a list; values for them from several source fields are combined
+const LIST_FIELDS = ['languages', 'topics', 'links', 'pastTalks'];
+
+// vCard properties that describe the card rather than the person
+const VCARD_META_PROPERTIES = ['BEGIN', 'END', 'VERSION', 'PRODID', 'UID', 'REV', 'KIND', 'N'];
+
+/**
+ * Read a speaker profile from the content of a file
+ * @param {string} fileName - Name of the file; its extension picks the format
+ * @param {string} text - Content of the file
+ * @returns {{format: string, profile: Object, unmappedFields: string[]}} The format (see IMPORT_FORMATS), the
+ *   profile fields found, and the names of the fields in the file that could not be mapped onto the profile
+ */
+export function parseProfileFile(fileName, text) {
+    const format = detectFormat(fileName, text);
+    const readers = {
+        [IMPORT_FORMATS.json]: readJson,
+        [IMPORT_FORMATS.vcard]: readVCard,
+        [IMPORT_FORMATS.markdown]: readMarkdown,
+        [IMPORT_FORMATS.yaml]: parseYaml
+    };
+
+    const { profile, unmappedFields } = mapFields(readers[format](text.replace(/^\uFEFF/, '')));
+    if (Object.keys(profile).length === 0) {
+        throw new Error(`No profile fields found in ${fileName}`);
+    }
+    return { format, profile, unmappedFields };
+}
+
+/**
+ * Find out the format of a file, from its extension or else its content
+ * @param {string} fileName - Name of the file
+ * @param {string} text - Content of the file
+ * @returns {string} One of IMPORT_FORMATS
+ */
+function detectFormat(fileName, text) {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    if (FORMAT_EXTENSIONS[extension]) {
+        return FORMAT_EXTENSIONS[extension];
+    }
+
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) {
+        return IMPORT_FORMATS.json;
+    }
+    if (/^BEGIN:VCARD/i.test(start)) {
+        return IMPORT_FORMATS.vcard;
+    }
+    return IMPORT_FORMATS.markdown;
+}
+
+/**
+ * Map source fields onto the profile
+ * @param {Array<{name: string, value: *}>} entries - The fields of the file, in order
+ * @returns {{profile: Object, unmappedFields: string[]}} The profile fields, and the names of the fields that
+ *   have no profile field or a value that does not fit it; empty fields are skipped
+ */
+function mapFields(entries) {
+    const profile = {};
+    const unmappedFields = [];
+
+    entries.forEach(({ name, value }) => {
+        if (isEmpty(value)) {
+            return;
+        }
+
+        const field = FIELD_ALIASES[normalizeFieldName(name)];
+        const converted = field ? convertValue(field, value) : undefined;
+        if (converted === undefined) {
+            unmappedFields.push(name);
+            return;
+        }
+
+        if (LIST_FIELDS.includes(field)) {
+            // Links from 'website' and 'linkedin' end up in one list, without duplicates
+            const items = [...(profile[field] || []), ...converted];
+            profile[field] = items.filter((item, index) => items.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === index);
+        } else if (profile[field] === undefined) {
+            // The first source field wins, e.g. the front matter over the Markdown heading
+            profile[field] = converted;
+        }
+    });
+
+    return { profile, unmappedFields };
+}
+
+/**
+ * Convert a source value to the shape of a profile field
+ * @param {string} field - The profile field
+ * @param {*} value - The source value (not empty)
+ * @returns {*} The converted value, or undefined when it does not fit the field
+ */
+function convertValue(field, value) {
+    if (field === 'availability') {
+        if (typeof value === 'boolean') {
+            return value ? 'available' : 'unavailable';
+        }
+        const availability = String(value).trim().toLowerCase();
+        return AVAILABILITY.includes(availability) ? availability : undefined;
+    }
+
+    if (field === 'pastTalks') {
+        const talks = (Array.isArray(value) ? value : [value]).map(convertTalk).filter(Boolean);
+        return talks.length > 0 ? talks : undefined;
+    }
+
+    if (LIST_FIELDS.includes(field)) {
+        const items = (Array.isArray(value) ? value : String(value).split(/[,;\n]/))
+            .filter(item => typeof item === 'string' || typeof item === 'number')
+            .map(item => String(item).trim())
+            .filter(Boolean);
+        // Only web addresses are links; a handle like '@name' is not
+        const values = field === 'links' ? items.filter(item => /^https?:\/\//i.test(item)) : items;
+        return values.length > 0 ? values : undefined;
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return undefined;
+    }
+    const text = String(value).trim();
+    return field === 'email' ? text.replace(/^mailto:/i, '') : text;
+}
+
+/**
+ * Convert a past talk to the shape of the profile
+ * @param {*} talk - A title, or an object with the talk's fields
+ * @returns {Object|null} The talk, or null when it has no title
+ */
+function convertTalk(talk) {
+    if (typeof talk === 'string') {
+        return talk.trim() ? { title: talk.trim() } : null;
+    }
+    if (typeof talk !== 'object' || talk === null || Array.isArray(talk)) {
+        return null;
+    }
+
+    const converted = {};
+    Object.entries(talk).forEach(([name, value]) => {
+        const field = TALK_FIELD_ALIASES[normalizeFieldName(name)];
+        if (field && converted[field] === undefined && (typeof value === 'string' || typeof value === 'number') && String(value).trim()) {
+            converted[field] = String(value).trim();
+        }
+    });
+    return converted.title ? converted : null;
+}
+
+/**
+ * Read the fields of a JSON file: a profile object, or an array holding one
+ * @param {string} text - Content of the file
+ * @returns {Array<{name: string, value: *}>} The fields
+ */
+function readJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (parseError) {
+        throw new Error(`The file is not valid JSON: ${parseError.message}`);
+    }
+
+    if (Array.isArray(data) && data.length === 1) {
+        data = data[0];
+    }
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new Error('The JSON file must hold one profile object');
+    }
+    return Object.entries(data).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Read the fields of the first card of a vCard file (versions 2.1, 3.0 and 4.0)
+ * @param {string} text - Content of the file
+ * @returns {Array<{name: string, value: *}>} The fields; properties with a profile field are named after it,
+ *   others keep their property name so they are reported as not mapped
+ */
+function readVCard(text) {
+    const lines = unfoldVCardLines(text);
+    const begin = lines.findIndex(line => /^BEGIN:VCARD$/i.test(line.trim()));
+    if (begin === -1) {
+        throw new Error('The file is not a vCard: BEGIN:VCARD is missing');
+    }
+
+    const entries = [];
+    let structuredName = null;
+    for (const line of lines.slice(begin + 1)) {
+        if (/^END:VCARD$/i.test(line.trim())) {
+            break;
+        }
+
+        // [group.]NAME[;PARAM=value...]:value
+        const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const property = match[1].toUpperCase();
+        const value = /ENCODING=QUOTED-PRINTABLE/i.test(match[2]) ? decodeQuotedPrintable(match[3]) : match[3];
+
+        switch (property) {
+            case 'FN':
+                entries.push({ name: 'name', value: unescapeVCardText(value) });
+                break;
+            case 'N':
+                structuredName = splitVCardValue(value, ';');
+                break;
+            case 'EMAIL':
+                entries.push({ name: 'email', value: unescapeVCardText(value) });
+                break;
+            case 'TITLE':
+            case 'ROLE':
+                entries.push({ name: 'jobTitle', value: unescapeVCardText(value) });
+                break;
+            case 'ORG': {
+                // Organization name first, then its units; the units are the department
+                const units = splitVCardValue(value, ';').slice(1).filter(Boolean);
+                entries.push(units.length > 0 ? { name: 'department', value: units.join(', ') } : { name: 'ORG', value: value });
+                break;
+            }
+            case 'ADR': {
+                // PO box, extended address, street, locality, region, postal code, country
+                const [, , , locality, region, , country] = splitVCardValue(value, ';');
+                entries.push({ name: 'location', value: locality || region || country || '' });
+                break;
+            }
+            case 'NOTE':
+                entries.push({ name: 'bio', value: unescapeVCardText(value) });
+                break;
+            case 'URL':
+            case 'X-SOCIALPROFILE':
+                entries.push({ name: 'links', value: [unescapeVCardText(value)] });
+                break;
+            case 'CATEGORIES':
+                entries.push({ name: 'topics', value: splitVCardValue(value, ',') });
+                break;
+            case 'LANG':
+                entries.push({ name: 'languages', value: [getLanguageName(unescapeVCardText(value))] });
+                break;
+            default:
+                if (!VCARD_META_PROPERTIES.includes(property) && !entries.some(entry => entry.name === property)) {
+                    entries.push({ name: property, value: value });
+                }
+        }
+    }
+
+    // N (family; given; additional; prefix; suffix) only when there is no FN
+    if (structuredName && !entries.some(entry => entry.name === 'name')) {
+        const [family, given, additional] = structuredName;
+        entries.push({ name: 'name', value: [given, additional, family].filter(Boolean).join(' ') });
+    }
+    return entries;
+}
+
+/**
+ * Split vCard text into logical lines: a line break followed by a space or tab continues the
+ * line, and so does a quoted-printable line ending in '='
+ * @param {string} text - Content of the file
+ * @returns {string[]} The lines
+ */
+function unfoldVCardLines(text) {
+    const lines = [];
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const previous = lines[lines.length - 1];
+        if (previous !== undefined && /ENCODING=QUOTED-PRINTABLE/i.test(previous) && previous.endsWith('=')) {
+            lines[lines.length - 1] = previous.slice(0, -1) + line;
+        } else if (previous !== undefined && /^[ \t]/.test(line)) {
+            lines[lines.length - 1] = previous + line.slice(1);
+        } else {
+            lines.push(line);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Split a structured vCard value on a separator that is not escaped, and unescape the parts
+ * @param {string} value - The value
+ * @param {string} separator - ';' or ','
+ * @returns {string[]} The parts, trimmed
+ */
+function splitVCardValue(value, separator) {
+    const parts = [''];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+            parts[parts.length - 1] += value[i] + value[i + 1];
+            i++;
+        } else if (value[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += value[i];
+        }
+    }
+    return parts.map(part => unescapeVCardText(part).trim());
+}
+
+/**
+ * Unescape vCard text: \n is a line break, \, \; and \\ are the characters themselves
+ * @param {string} value - The escaped text
+ * @returns {string} The text
+ */
+function unescapeVCardText(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+}
+
+/**
+ * Decode a quoted-printable value (vCard 2.1) as UTF-8
+ * @param {string} value - The encoded value
+ * @returns {string} The text
+ */
+function decodeQuotedPrintable(value) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substr(i + 1, 2))) {
+            bytes.push(parseInt(value.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(value.charCodeAt(i));
+        }
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Get the English name of a language tag, as the profile lists languages by name
+ * @param {string} tag - Language tag, e.g. 'nl' or 'en-GB'
+ * @returns {string} The name, e.g. 'Dutch'; the tag itself when it is unknown
+ */
+function getLanguageName(tag) {
+    try {
+        const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(tag.split('-')[0]);
+        return name || tag;
+    } catch (error) {
+        return tag;
+    }
+}
+
+/**
+ * Read the fields of a Markdown bio: the YAML front matter, then the first heading as the
+ * name and the text as the bio, unless the front matter has those
+ * @param {string} text - Content of the file
+ * @returns {Array<{name: string, value: *}>} The fields
+ */
+function readMarkdown(text) {
+    const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+    const entries = match ? parseYaml(match[1]) : [];
+    let body = (match ? match[2] : text).trim();
+
+    const heading = body.match(/^#[ \t]+(.+)\r?\n?/);
+    if (heading) {
+        entries.push({ name: 'name', value: heading[1].trim() });
+        body = body.slice(heading[0].length).trim();
+    }
+    if (body) {
+        entries.push({ name: 'bio', value: body });
+    }
+    return entries;
+}
+
+/**
+ * Parse the top-level keys of a YAML document (the subset in the module comment)
+ * @param {string} text - The YAML text
+ * @returns {Array<{name: string, value: *}>} The keys and their values, in order
+ */
+function parseYaml(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (isYamlBlank(line) || /^\s/.test(line)) {
+            continue;
+        }
+
+        const keyMatch = line.match(/^([^:#][^:]*?):(?:\s+(.*))?$/);
+        if (!keyMatch) {
+            throw new Error(`Unsupported YAML on line ${i + 1}: ${line}`);
+        }
+        const name = parseYamlScalar(keyMatch[1]);
+        const inlineValue = (keyMatch[2] || '').trim();
+
+        // The lines that belong to the key: indented, or list items right below it
+        const block = [];
+        while (i + 1 < lines.length && (isYamlBlank(lines[i + 1]) || /^\s/.test(lines[i + 1]) || (!inlineValue && /^-(\s|$)/.test(lines[i + 1])))) {
+            block.push(lines[++i]);
+        }
+
+        let value;
+        if (/^[|>][+-]?$/.test(inlineValue)) {
+            value = parseYamlBlockScalar(block, inlineValue[0] === '>');
+        } else if (inlineValue) {
+            value = parseYamlScalar(inlineValue);
+        } else {
+            value = parseYamlBlock(block.filter(blockLine => !isYamlBlank(blockLine)));
+        }
+        entries.push({ name: String(name), value });
+    }
+    return entries;
+}
+
+/**
+ * Check whether a YAML line is empty or only a comment
+ * @param {string} line - The line
+ * @returns {boolean} True when the line holds no content
+ */
+function isYamlBlank(line) {
+    return /^\s*(#.*)?$/.test(line);
+}
+
+/**
+ * Parse the indented lines below a key: a list (of scalars or mappings) or a mapping
+ * @param {string[]} lines - The lines, without blank ones
+ * @returns {*} The list or object; null when there are no lines
+ */
+function parseYamlBlock(lines) {
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const indent = lines[0].match(/^\s*/)[0].length;
+    if (!/^\s*-(\s|$)/.test(lines[0])) {
+        return parseYamlMapping(lines.map(line => line.slice(indent)));
+    }
+
+    // Each item starts with '- ' at the indentation of the first; deeper lines continue it
+    const items = [];
+    lines.forEach(line => {
+        const itemMatch = line.slice(indent).match(/^-(?:\s+(.*))?$/);
+        if (itemMatch && line.match(/^\s*/)[0].length === indent) {
+            items.push([itemMatch[1] || '']);
+        } else if (items.length > 0) {
+            items[items.length - 1].push(line.trim());
+        }
+    });
+
+    return items.map(([first, ...rest]) => {
+        if (/^[^\s'"[{][^:]*:(\s|$)/.test(first)) {
+            return parseYamlMapping([first, ...rest]);
+        }
+        return parseYamlScalar(first);
+    });
+}
+
+/**
+ * Parse 'key: value' lines into an object of scalars
+ * @param {string[]} lines - The lines
+ * @returns {Object} The mapping
+ */
+function parseYamlMapping(lines) {
+    const mapping = {};
+    lines.forEach(line => {
+        const match = line.trim().match(/^([^:]+?):(?:\s+(.*))?$/);
+        if (match) {
+            mapping[parseYamlScalar(match[1])] = match[2] === undefined ? null : parseYamlScalar(match[2]);
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar
+ * @param {string[]} lines - The indented lines of the block
+ * @param {boolean} folded - Whether line breaks become spaces (blank lines stay breaks)
+ * @returns {string} The text
+ */
+function parseYamlBlockScalar(lines, folded) {
+    const contentLines = lines.filter(line => line.trim());
+    const indent = contentLines.length > 0 ? Math.min(...contentLines.map(line => line.match(/^\s*/)[0].length)) : 0;
+    const text = lines.map(line => line.slice(indent));
+    if (!folded) {
+        return text.join('\n').trim();
+    }
+    return text.join('\n').trim().split(/\n{2,}/).map(paragraph => paragraph.replace(/\n/g, ' ')).join('\n');
+}
+
+/**
+ * Parse a YAML scalar or flow list
+ * @param {string} value - The text after the key or list dash
+ * @returns {*} A string, boolean, null or array
+ */
+function parseYamlScalar(value) {
+    const text = value.trim();
+
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text.slice(0, text.lastIndexOf('"') + 1));
+        } catch (error) {
+            return text.slice(1, text.lastIndexOf('"'));
+        }
+    }
+    if (text.startsWith("'")) {
+        return text.slice(1, text.lastIndexOf("'")).replace(/''/g, "'");
+    }
+    if (text.startsWith('[')) {
+        const inner = text.slice(1, text.lastIndexOf(']')).trim();
+        return inner ? (inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || []).map(parseYamlScalar) : [];
+    }
+
+    // A comment starts at ' #'
+    const plain = text.replace(/\s+#.*$/, '');
+    if (/^(true|false)$/i.test(plain)) {
+        return plain.toLowerCase() === 'true';
+    }
+    if (/^(null|~)?$/i.test(plain)) {
+        return null;
+    }
+    return plain;
+}
+
+/**
+ * Normalize a field name for matching against the aliases
+ * @param {string} name - The field name in the file
+ * @returns {string} Lower case, without spaces, '-' and '_'
+ */
+function normalizeFieldName(name) {
+    return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * Check whether a source value is empty
+ * @param {*} value - The value
+ * @returns {boolean} True for null, undefined, blank text and empty lists
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+}
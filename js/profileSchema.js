@@ -0,0 +1,126 @@
+/**
+ * profileSchema.js
+ * JSON Schema of a speaker profile (the user's delta file)
+ *
+ * dataService.js validates the user's data against this schema before saving it
+ * (see validateUserData). Fields that are not listed under properties are reported
+ * as warnings, not errors, so a profile written by a newer version of the application
+ * can still be saved after the user confirms.
+ *
+ * profileForm.js generates the form editor from this schema. Besides the standard
+ * title, description, examples and readOnly annotations it reads 'x-editor', which
+ * picks a specific input where the type alone does not tell: 'multiline' for long
+ * text and 'languages' for a language picker.
+ */
+
+// Values of the availability field
+export const AVAILABILITY = ['available', 'limited', 'unavailable'];
+
+// Languages offered by the language picker; others can be added
+const COMMON_LANGUAGES = ['Dutch', 'English', 'German', 'French', 'Spanish'];
+
+export const PROFILE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Speaker profile',
+    type: 'object',
+    required: ['name', 'email', 'topics'],
+    additionalProperties: false,
+    properties: {
+        name: {
+            title: 'Name',
+            description: 'Full name as shown in the speaker pool',
+            type: 'string',
+            minLength: 1,
+            maxLength: 100
+        },
+        email: {
+            title: 'Email',
+            description: 'Address event organizers can reach you at',
+            type: 'string',
+            format: 'email'
+        },
+        jobTitle: {
+            title: 'Job title',
+            type: 'string',
+            maxLength: 100
+        },
+        department: {
+            title: 'Department',
+            type: 'string',
+            maxLength: 100
+        },
+        location: {
+            title: 'Location',
+            description: 'Office or city you usually work from',
+            type: 'string',
+            maxLength: 100
+        },
+        manager: {
+            title: 'Manager',
+            type: 'string',
+            maxLength: 100
+        },
+        languages: {
+            title: 'Languages',
+            description: 'Languages you can present in',
+            type: 'array',
+            uniqueItems: true,
+            'x-editor': 'languages',
+            items: { type: 'string', minLength: 1, maxLength: 50, examples: COMMON_LANGUAGES }
+        },
+        topics: {
+            title: 'Topics',
+            description: 'Subjects you can speak about',
+            type: 'array',
+            minItems: 1,
+            maxItems: 25,
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1, maxLength: 100 }
+        },
+        availability: {
+            title: 'Availability',
+            description: 'Whether you can currently take speaking requests',
+            type: 'string',
+            enum: AVAILABILITY
+        },
+        bio: {
+            title: 'Bio',
+            description: 'A short introduction for event pages',
+            type: 'string',
+            maxLength: 2000,
+            'x-editor': 'multiline'
+        },
+        links: {
+            title: 'Links',
+            description: 'Blog, talks, social media profiles',
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string', format: 'uri' }
+        },
+        pastTalks: {
+            title: 'Past talks',
+            description: 'Talks you have given, most recent first',
+            type: 'array',
+            maxItems: 50,
+            items: {
+                title: 'Talk',
+                type: 'object',
+                required: ['title'],
+                additionalProperties: false,
+                properties: {
+                    title: { title: 'Title', type: 'string', minLength: 1, maxLength: 200 },
+                    event: { title: 'Event', type: 'string', maxLength: 200 },
+                    date: { title: 'Date', type: 'string', format: 'date' },
+                    url: { title: 'Recording or slides', type: 'string', format: 'uri' }
+                }
+            }
+        },
+        lastModified: {
+            title: 'Last modified',
+            description: 'Set automatically when the profile is saved',
+            type: 'string',
+            format: 'date-time',
+            readOnly: true
+        }
+    }
+};
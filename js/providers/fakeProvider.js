@@ -0,0 +1,320 @@
+/**
+ * fakeProvider.js
+ * Fake identity provider for offline development and testing
+ *
+ * This provider signs in configured test users without contacting any identity
+ * provider, so the application can run without an Entra tenant (for example against
+ * the local mock gateway in mock/). It implements the identity provider interface
+ * described in auth.js.
+ *
+ * All test users behave like accounts already known to the browser: with more than
+ * one, the account picker offers them at startup and on "Switch Account". Tokens are
+ * unsigned JWTs carrying the user's claims (including roles and groups); they are
+ * accepted by the mock gateway only and must never be used against a real backend.
+ */
+
+import { fakeIdentityConfig } from '../authConfig.js';
+import { dispatchLoginSuccess, isTokenExpired, parseJwt } from './providerUtils.js';
+
+// Name shown to the user for this identity provider; read again in initialize, after the environment configuration is applied
+export let displayName = fakeIdentityConfig.displayName;
+
+// sessionStorage key holding the id of the signed-in test user
+const SESSION_KEY = 'fake.activeUser';
+
+// Issuer claim of the tokens this provider creates
+const FAKE_ISSUER = 'urn:speakerpool:fake-identity-provider';
+
+// Audience of the ID tokens this provider creates
+const FAKE_CLIENT_ID = 'speakerpool-offline';
+
+// The signed-in test user and the tokens issued to them
+let session = null;
+
+/**
+ * Initialize the provider, restoring the signed-in test user from sessionStorage if there is one
+ * @returns {boolean} True if test users are configured
+ */
+export function initialize() {
+    if (fakeIdentityConfig.users.length === 0) {
+        console.warn("Fake identity provider has no test users. Add them to identity.fake.users in the environment configuration.");
+        return false;
+    }
+
+    displayName = fakeIdentityConfig.displayName;
+    console.warn("Using the fake identity provider: test users only, tokens are not signed");
+
+    const storedUserId = sessionStorage.getItem(SESSION_KEY);
+    const storedUser = storedUserId ? findUser(storedUserId) : null;
+    if (storedUser) {
+        startSession(storedUser);
+    } else {
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+
+    return true;
+}
+
+/**
+ * Process a sign-in response on page load; this provider never redirects
+ * @returns {Promise<null>} Always null
+ */
+export async function handleRedirect() {
+    return null;
+}
+
+/**
+ * Sign in as the first configured test user
+ *
+ * The other test users are available through the account picker ("Switch Account").
+ */
+export function signIn() {
+    signInAs(fakeIdentityConfig.users[0]);
+}
+
+/**
+ * Sign in with another test user
+ *
+ * With several test users app.js offers them in the account picker; with a single
+ * test user there is no other user to switch to, so that user is signed in again.
+ */
+export function switchAccount() {
+    signIn();
+}
+
+/**
+ * Sign out the current test user
+ */
+export function signOut() {
+    clearSession();
+}
+
+/**
+ * Get the currently signed in test user account
+ * @returns {Object|null} The user account or null if not signed in
+ */
+export function getAccount() {
+    return session ? session.account : null;
+}
+
+/**
+ * Get the accounts of all configured test users
+ * @returns {Object[]} The test user accounts
+ */
+export function getAllAccounts() {
+    return fakeIdentityConfig.users.map(createAccount);
+}
+
+/**
+ * Make a test user the signed-in user
+ * @param {Object} account - The account of the test user to sign in
+ */
+export function setActiveAccount(account) {
+    const user = account ? findUser(account.localAccountId) : null;
+    if (!user) {
+        clearSession();
+        return;
+    }
+
+    if (!session || session.user.id !== user.id) {
+        startSession(user);
+    }
+}
+
+/**
+ * Sign in the test user that signed in in another tab
+ * @param {string} username - Username of the test user
+ * @returns {Promise<Object|null>} The account, or null if there is no such test user
+ */
+export async function syncSignIn(username) {
+    const user = fakeIdentityConfig.users.find(testUser => testUser.username === username);
+    if (!user) {
+        return null;
+    }
+
+    startSession(user);
+    return session.account;
+}
+
+/**
+ * Forget the signed-in test user in this tab
+ */
+export function clearLocalSession() {
+    clearSession();
+}
+
+/**
+ * Get the profile of the signed-in test user, with Microsoft Graph property names
+ * @returns {Promise<Object|null>} User details object or null when not signed in
+ */
+export async function getProfile() {
+    if (!session) {
+        console.warn("No active account found");
+        return null;
+    }
+
+    const user = session.user;
+    return {
+        id: user.id,
+        displayName: user.name,
+        mail: user.email || user.username,
+        userPrincipalName: user.username,
+        jobTitle: user.jobTitle || null,
+        department: user.department || null,
+        officeLocation: user.officeLocation || null
+    };
+}
+
+/**
+ * Get the extended profile (photo, manager, groups); not available for test users
+ * @returns {Promise<null>} Always null
+ */
+export async function getExtendedProfile() {
+    return null;
+}
+
+/**
+ * Get the ID token of the signed-in test user
+ * @returns {string|null} The ID token or null if not signed in
+ */
+export function getIdToken() {
+    return session ? session.idToken : null;
+}
+
+/**
+ * Get a valid ID token, issuing a new one when it has expired
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Issue a new token even if the current one has not expired
+ * @returns {Promise<string>} A valid ID token
+ */
+export async function getToken({ forceRefresh = false } = {}) {
+    if (!session) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    if (forceRefresh || isTokenExpired(session.idToken)) {
+        session.idToken = createToken(session.user, { aud: FAKE_CLIENT_ID });
+        session.account.idTokenClaims = parseJwt(session.idToken);
+    }
+
+    return session.idToken;
+}
+
+/**
+ * Get an access token for an API
+ * @param {Object} request
+ * @param {string[]} request.scopes - Scopes of the API
+ * @param {string} [request.audience] - Audience of the API; defaults to the resource of the first scope
+ * @returns {Promise<{accessToken: string, expiresAt: number}>} The access token and its expiry (epoch ms)
+ */
+export async function getAccessToken({ scopes, audience }) {
+    if (!session) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    // 'api://<id>/SpeakerPool.Read' has resource 'api://<id>' and scope 'SpeakerPool.Read'
+    const scopeResource = scopes.length > 0 ? scopes[0].substring(0, scopes[0].lastIndexOf('/')) : FAKE_CLIENT_ID;
+    const accessToken = createToken(session.user, {
+        aud: audience || scopeResource,
+        scp: scopes.map(scope => scope.substring(scope.lastIndexOf('/') + 1)).join(' ')
+    });
+
+    return {
+        accessToken: accessToken,
+        expiresAt: parseJwt(accessToken).exp * 1000
+    };
+}
+
+/**
+ * Sign in a test user and announce the sign-in like the other providers do
+ * @param {Object} user - The test user
+ */
+function signInAs(user) {
+    startSession(user);
+    console.log(`Signed in as test user ${user.username}`);
+    dispatchLoginSuccess({ eventType: 'fake:loginSuccess', payload: { account: session.account, idToken: session.idToken } });
+}
+
+/**
+ * Make a test user the signed-in user, issuing an ID token for them
+ * @param {Object} user - The test user
+ */
+function startSession(user) {
+    const idToken = createToken(user, { aud: FAKE_CLIENT_ID });
+    session = {
+        user: user,
+        idToken: idToken,
+        account: { ...createAccount(user), idTokenClaims: parseJwt(idToken) }
+    };
+    sessionStorage.setItem(SESSION_KEY, user.id);
+}
+
+/**
+ * Forget the signed-in test user
+ */
+function clearSession() {
+    session = null;
+    sessionStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Find a configured test user by id
+ * @param {string} userId - The test user's id
+ * @returns {Object|undefined} The test user
+ */
+function findUser(userId) {
+    return fakeIdentityConfig.users.find(user => user.id === userId);
+}
+
+/**
+ * Build an account object with the same shape as an MSAL account
+ * @param {Object} user - The test user
+ * @returns {Object} The account
+ */
+function createAccount(user) {
+    return {
+        homeAccountId: `${user.id}.${FAKE_ISSUER}`,
+        localAccountId: user.id,
+        username: user.username,
+        name: user.name
+    };
+}
+
+/**
+ * Create an unsigned JWT for a test user
+ * @param {Object} user - The test user
+ * @param {Object} extraClaims - Claims specific to the token (audience, scopes)
+ * @returns {string} The token
+ */
+function createToken(user, extraClaims) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+        iss: FAKE_ISSUER,
+        sub: user.id,
+        oid: user.id,
+        name: user.name,
+        preferred_username: user.username,
+        email: user.email || user.username,
+        roles: user.roles || [],
+        groups: user.groups || [],
+        iat: issuedAt,
+        nbf: issuedAt,
+        exp: issuedAt + fakeIdentityConfig.tokenLifetimeMinutes * 60,
+        ...user.claims,
+        ...extraClaims
+    };
+
+    const header = { alg: 'none', typ: 'JWT' };
+    return `${base64UrlEncodeJson(header)}.${base64UrlEncodeJson(claims)}.`;
+}
+
+/**
+ * Encode a value as base64url JSON, as used for JWT segments
+ * @param {Object} value - The value to encode
+ * @returns {string} The encoded segment
+ */
+function base64UrlEncodeJson(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,222 @@
+/**
+ * graphProfile.js
+ * Extended Microsoft Graph profile
+ * 
+ * Loads the signed-in user's photo, manager, organisational details and group
+ * memberships with a single Graph $batch request, and caches the result in
+ * sessionStorage for the rest of the session. Every part is optional: when a
+ * scope has not been granted (or the user has no photo or manager), that part is
+ * left empty and listed in `unavailable`, and the rest of the profile is still returned.
+ * Group memberships beyond the first page are loaded by following `@odata.nextLink`.
+ */
+
+import { graphProfileConfig } from '../authConfig.js';
+
+// Microsoft Graph JSON batching endpoint
+const GRAPH_BATCH_ENDPOINT = 'https://graph.microsoft.com/v1.0/$batch';
+
+// sessionStorage key prefix (followed by the homeAccountId) for the cached profile
+const CACHE_KEY_PREFIX = 'graphProfile.';
+
+// Group memberships per page; 999 is the most Graph returns for memberOf
+const GROUPS_PAGE_SIZE = 999;
+
+// Parts of the extended profile, also used as request IDs in the batch
+const PROFILE_PARTS = {
+    details: 'details',
+    photo: 'photo',
+    manager: 'manager',
+    groups: 'groups'
+};
+
+/**
+ * Load the extended profile of an account
+ * @param {string} accountId - homeAccountId of the account, used as cache key
+ * @param {function(string[]): Promise<string|null>} acquireGraphToken - Returns a Graph access token for the scopes, or null if not granted
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache=true] - Return the cached profile of this session when there is one
+ * @returns {Promise<Object|null>} The extended profile or null when Graph cannot be reached at all
+ */
+export async function loadExtendedProfile(accountId, acquireGraphToken, { useCache = true } = {}) {
+    const cacheKey = CACHE_KEY_PREFIX + accountId;
+
+    if (useCache) {
+        const cachedProfile = sessionStorage.getItem(cacheKey);
+        if (cachedProfile) {
+            return JSON.parse(cachedProfile);
+        }
+    }
+
+    // Prefer the token that includes group memberships; degrade to the basic profile scope
+    let accessToken = await acquireGraphToken(graphProfileConfig.extendedScopes);
+    const groupsGranted = accessToken !== null;
+    if (!groupsGranted) {
+        accessToken = await acquireGraphToken(graphProfileConfig.baseScopes);
+    }
+
+    if (!accessToken) {
+        return null;
+    }
+
+    const requests = [
+        { id: PROFILE_PARTS.details, method: 'GET', url: '/me?$select=department,jobTitle,officeLocation,companyName,city,country' },
+        { id: PROFILE_PARTS.photo, method: 'GET', url: `/me/photos/${graphProfileConfig.photoSize}/$value` },
+        { id: PROFILE_PARTS.manager, method: 'GET', url: '/me/manager?$select=displayName,mail,jobTitle' }
+    ];
+    if (groupsGranted) {
+        requests.push({ id: PROFILE_PARTS.groups, method: 'GET', url: `/me/memberOf?$select=id,displayName&$top=${GROUPS_PAGE_SIZE}` });
+    }
+
+    try {
+        const response = await fetch(GRAPH_BATCH_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ requests })
+        });
+
+        if (!response.ok) {
+            console.error("Error fetching extended profile:", await response.text());
+            return null;
+        }
+
+        const batchResult = await response.json();
+        const responses = batchResult.responses || [];
+        const profile = buildProfile(responses);
+        if (!groupsGranted) {
+            profile.unavailable.push(PROFILE_PARTS.groups);
+        }
+
+        // Users in more groups than fit on one page get the rest from the following pages
+        const groupsPart = responses.find(part => part.id === PROFILE_PARTS.groups && part.status >= 200 && part.status < 300);
+        const nextLink = groupsPart ? groupsPart.body['@odata.nextLink'] : null;
+        if (nextLink) {
+            const remainingGroups = await loadRemainingGroups(nextLink, accessToken);
+            if (remainingGroups) {
+                profile.groups.push(...remainingGroups);
+            } else {
+                // A partial list would look complete; report the groups as unavailable instead
+                profile.groups = null;
+                profile.unavailable.push(PROFILE_PARTS.groups);
+            }
+        }
+
+        sessionStorage.setItem(cacheKey, JSON.stringify(profile));
+        return profile;
+    } catch (error) {
+        console.error("Error fetching extended profile:", error);
+        return null;
+    }
+}
+
+/**
+ * Forget the cached extended profile of an account
+ * @param {string} accountId - homeAccountId of the account
+ */
+export function clearExtendedProfile(accountId) {
+    sessionStorage.removeItem(CACHE_KEY_PREFIX + accountId);
+}
+
+/**
+ * Load the group memberships on the pages after the first, following @odata.nextLink until it runs out
+ * @param {string} nextLink - The nextLink of the first page
+ * @param {string} accessToken - The Graph access token
+ * @returns {Promise<Object[]|null>} The groups ({id, displayName}), or null when a page could not be loaded
+ */
+async function loadRemainingGroups(nextLink, accessToken) {
+    const groups = [];
+    let pageLink = nextLink;
+
+    while (pageLink) {
+        const response = await fetch(pageLink, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        if (!response.ok) {
+            console.warn(`Group memberships not available beyond the first page (status ${response.status})`);
+            return null;
+        }
+
+        const page = await response.json();
+        groups.push(...toGroups(page.value || []));
+        pageLink = page['@odata.nextLink'] || null;
+    }
+
+    return groups;
+}
+
+/**
+ * Keep the groups of a memberOf result
+ * @param {Object[]} members - Directory objects from memberOf
+ * @returns {Object[]} The groups, as {id, displayName}
+ */
+function toGroups(members) {
+    // memberOf also returns directory roles and administrative units
+    return members
+        .filter(member => member['@odata.type'] === '#microsoft.graph.group')
+        .map(group => ({ id: group.id, displayName: group.displayName }));
+}
+
+/**
+ * Combine the individual batch responses into one profile object
+ * @param {Object[]} responses - The responses of the $batch request
+ * @returns {Object} The extended profile
+ */
+function buildProfile(responses) {
+    const profile = {
+        department: null,
+        jobTitle: null,
+        officeLocation: null,
+        companyName: null,
+        city: null,
+        country: null,
+        photoUrl: null,
+        manager: null,
+        groups: null,
+        unavailable: []
+    };
+
+    responses.forEach(part => {
+        const succeeded = part.status >= 200 && part.status < 300;
+
+        // 404 means there is nothing to show (no photo, no manager); anything else means not available
+        if (!succeeded) {
+            if (part.status !== 404) {
+                console.warn(`Extended profile part '${part.id}' not available (status ${part.status})`);
+                profile.unavailable.push(part.id);
+            }
+            return;
+        }
+
+        switch (part.id) {
+            case PROFILE_PARTS.details:
+                ['department', 'jobTitle', 'officeLocation', 'companyName', 'city', 'country'].forEach(property => {
+                    profile[property] = part.body[property] || null;
+                });
+                break;
+
+            case PROFILE_PARTS.photo: {
+                // Binary bodies are returned base64 encoded inside the batch response
+                const contentType = (part.headers && part.headers['Content-Type']) || 'image/jpeg';
+                profile.photoUrl = `data:${contentType};base64,${part.body}`;
+                break;
+            }
+
+            case PROFILE_PARTS.manager:
+                profile.manager = {
+                    displayName: part.body.displayName,
+                    mail: part.body.mail,
+                    jobTitle: part.body.jobTitle
+                };
+                break;
+
+            case PROFILE_PARTS.groups:
+                // The first page; loadExtendedProfile adds the following ones
+                profile.groups = toGroups(part.body.value || []);
+                break;
+        }
+    });
+
+    return profile;
+}
@@ -0,0 +1,601 @@
+/**
+ * msalProvider.js
+ * Microsoft Entra ID (Azure AD) identity provider
+ * 
+ * This provider handles authentication with Microsoft Entra ID using MSAL.js and
+ * reads the user's profile from Microsoft Graph. It implements the identity
+ * provider interface described in auth.js.
+ */
+
+// Import authentication configuration
+import { msalConfig, loginRequest, interactionConfig, INTERACTION_MODES } from '../authConfig.js';
+import {
+    dispatchLoginSuccess,
+    saveReturnLocation,
+    restoreReturnLocation,
+    discardReturnLocation,
+    isTokenExpired
+} from './providerUtils.js';
+import { loadExtendedProfile, clearExtendedProfile } from './graphProfile.js';
+
+// Name shown to the user for this identity provider
+export const displayName = 'Microsoft Entra ID';
+
+// MSAL instance for authentication
+let msalInstance = null;
+
+// In-memory storage for user details and tokens
+let userSessionData = {
+    userDetails: null,
+    idToken: null,
+    accessToken: null
+};
+
+// Pending token renewal, shared by concurrent callers so only one renewal runs at a time
+let tokenRenewalPromise = null;
+
+/**
+ * Initialize Microsoft Authentication Library
+ * @returns {boolean} True if MSAL is available and initialized
+ */
+export function initialize() {
+    // Import MSAL from CDN if not available
+    if (!window.msal) {
+        console.warn("MSAL not found. Make sure to include the MSAL script in your HTML.");
+        return false;
+    }
+
+    // Using msalConfig imported from authConfig.js
+
+    // Create new authentication instance
+    msalInstance = new msal.PublicClientApplication(msalConfig);
+
+    // Add event listener for successful login
+    msalInstance.addEventCallback((message) => {
+        console.log('MSAL Event:', message.eventType);
+
+        if (message.eventType === 'msal:loginSuccess' || message.eventType === 'msal:acquireTokenSuccess') {
+            console.log('Login successful:', message);
+            userSessionData.idToken = message.payload.idToken;
+            userSessionData.idTokenClaims = message.payload.idTokenClaims;
+
+            // The account that just signed in becomes the active one
+            if (message.eventType === 'msal:loginSuccess' && message.payload.account) {
+                msalInstance.setActiveAccount(message.payload.account);
+            }
+
+            // Redirect responses are announced by handleResponse, once the return location has been restored
+            if (message.interactionType === msal.InteractionType.Redirect) {
+                return;
+            }
+
+            notifyLoginSuccess(message);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Process the response of a redirect sign-in, if the page was loaded as the result of one
+ * 
+ * Must be called once on every page load, after initialize. In popup mode there is
+ * never a redirect response and this resolves to null.
+ * @returns {Promise<Object|null>} The authentication result or null when there was no redirect response
+ */
+export async function handleRedirect() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    try {
+        const response = await msalInstance.handleRedirectPromise();
+        await handleResponse(response);
+        return response;
+    } catch (error) {
+        console.error("Error processing redirect response:", error);
+        discardReturnLocation();
+        return null;
+    }
+}
+
+/**
+ * Handle redirect response after authentication
+ * 
+ * Restores the location the user was at before the redirect and then announces the
+ * sign-in through the same msalLoginSuccess event the popup flow uses.
+ * @param {Object|null} response - The authentication result from handleRedirectPromise
+ * @returns {Promise<void>}
+ */
+async function handleResponse(response) {
+    if (response === null) {
+        // Not returning from a redirect; cached accounts are picked up through getAccount
+        return;
+    }
+
+    storeTokens(response);
+    restoreReturnLocation();
+    notifyLoginSuccess({ eventType: 'msal:loginSuccess', payload: response });
+}
+
+/**
+ * Sign in user using the interaction mode configured in authConfig.js (popup or redirect)
+ * @returns {Promise<*>} Settles when the popup closes (or the redirect starts); rejects when sign-in fails or is cancelled
+ */
+export function signIn() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return Promise.resolve();
+    }
+
+    if (interactionConfig.mode === INTERACTION_MODES.redirect) {
+        // The page is unloaded by the redirect; remember where the user was
+        saveReturnLocation();
+        return msalInstance.loginRedirect(loginRequest);
+    }
+
+    // Start login process with configuration from authConfig.js; the sign-in itself is
+    // announced by the login success event, the returned promise reports failure
+    return msalInstance.loginPopup(loginRequest);
+}
+
+/**
+ * Sign in with a different account than the ones currently cached
+ * 
+ * Prompts the identity provider's account chooser; the account that signs in
+ * becomes the active account (see the msal:loginSuccess handler in initialize).
+ * @returns {Promise<*>} Settles when the popup closes (or the redirect starts); rejects when sign-in fails or is cancelled
+ */
+export function switchAccount() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return Promise.resolve();
+    }
+
+    const switchRequest = {
+        ...loginRequest,
+        prompt: 'select_account'
+    };
+
+    if (interactionConfig.mode === INTERACTION_MODES.redirect) {
+        saveReturnLocation();
+        return msalInstance.loginRedirect(switchRequest);
+    }
+
+    return msalInstance.loginPopup(switchRequest);
+}
+
+/**
+ * Sign out the active account
+ * 
+ * Other cached accounts stay signed in and can be picked again afterwards.
+ * @returns {Promise<void>|undefined} MSAL's logout; rejects when it fails
+ */
+export function signOut() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return;
+    }
+
+    const account = getAccount();
+
+    // Clear in-memory session data
+    clearSessionData();
+
+    if (account) {
+        clearExtendedProfile(account.homeAccountId);
+        msalInstance.setActiveAccount(null);
+        return msalInstance.logout({
+            account: account
+        });
+    }
+}
+
+/**
+ * Get the currently signed in user account
+ * 
+ * This is the active account. When none has been chosen yet, a single cached account
+ * is used automatically; with several cached accounts the user has to pick one first
+ * (see getAllAccounts and setActiveAccount).
+ * @returns {Object|null} The user account or null if not signed in or not yet chosen
+ */
+export function getAccount() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    const activeAccount = msalInstance.getActiveAccount();
+    if (activeAccount) {
+        return activeAccount;
+    }
+
+    // Get all accounts from MSAL
+    const currentAccounts = msalInstance.getAllAccounts();
+
+    // A single cached account is unambiguous, so it becomes the active account
+    if (currentAccounts.length === 1) {
+        msalInstance.setActiveAccount(currentAccounts[0]);
+        return currentAccounts[0];
+    }
+
+    return null;
+}
+
+/**
+ * Get all accounts cached by MSAL
+ * @returns {Object[]} The cached accounts
+ */
+export function getAllAccounts() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return [];
+    }
+
+    return msalInstance.getAllAccounts();
+}
+
+/**
+ * Make one of the cached accounts the active account
+ * 
+ * Tokens and user details held in memory belong to the previous account and are discarded.
+ * @param {Object} account - One of the accounts returned by getAllAccounts
+ */
+export function setActiveAccount(account) {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return;
+    }
+
+    const currentAccount = msalInstance.getActiveAccount();
+    if (currentAccount && currentAccount.homeAccountId === account.homeAccountId) {
+        return;
+    }
+
+    clearSessionData();
+    msalInstance.setActiveAccount(account);
+    console.log('Active account changed to', account.username);
+}
+
+/**
+ * Silently sign in the account that signed in in another tab
+ * 
+ * The MSAL cache lives in sessionStorage and is not shared between tabs, but the
+ * Entra ID session cookie is, so ssoSilent can obtain tokens without interaction.
+ * @param {string} username - Login hint for the account
+ * @returns {Promise<Object|null>} The signed-in account or null if silent sign-in failed
+ */
+export async function syncSignIn(username) {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    try {
+        const response = await msalInstance.ssoSilent({
+            ...loginRequest,
+            loginHint: username
+        });
+        msalInstance.setActiveAccount(response.account);
+        storeTokens(response);
+        return response.account;
+    } catch (error) {
+        console.warn("Silent sign-in for account from another tab failed:", error);
+        return null;
+    }
+}
+
+/**
+ * Forget the active account in this tab without signing out at Entra ID
+ * 
+ * Used when another tab signed the account out: that tab already ended the session.
+ */
+export function clearLocalSession() {
+    if (!msalInstance) {
+        return;
+    }
+
+    const account = getAccount();
+    clearSessionData();
+
+    if (account) {
+        clearExtendedProfile(account.homeAccountId);
+        msalInstance.setActiveAccount(null);
+        // Returning false from onRedirectNavigate clears the cache for the account without navigating
+        msalInstance.logoutRedirect({
+            account: account,
+            onRedirectNavigate: () => false
+        }).catch(error => {
+            console.error("Error clearing local session:", error);
+        });
+    }
+}
+
+/**
+ * Clear the tokens and user details held in memory
+ */
+function clearSessionData() {
+    userSessionData.userDetails = null;
+    userSessionData.idToken = null;
+    userSessionData.idTokenClaims = null;
+    userSessionData.accessToken = null;
+}
+
+/**
+ * Get user details from Microsoft Graph API
+ * @returns {Promise<Object|null>} User details object or null on failure
+ */
+export async function getProfile() {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    const account = getAccount();
+    if (!account) {
+        console.warn("No active account found");
+        return null;
+    }
+
+    // Prepare token request using scopes from authConfig.js
+    const silentRequest = {
+        scopes: loginRequest.scopes,
+        account: account,
+        forceRefresh: false
+    };
+
+    try {
+        // Get token silently
+        const tokenResponse = await msalInstance.acquireTokenSilent(silentRequest);
+
+        // Store tokens in memory
+        storeTokens(tokenResponse);
+
+        // Call Microsoft Graph API to get user details
+        const response = await fetch("https://graph.microsoft.com/v1.0/me", {
+            headers: {
+                Authorization: `Bearer ${tokenResponse.accessToken}`
+            }
+        });
+
+        if (response.ok) {
+            // Store user details in memory
+            userSessionData.userDetails = await response.json();
+            return userSessionData.userDetails;
+        } else {
+            console.error("Error fetching user data:", await response.text());
+            return null;
+        }
+    } catch (error) {
+        console.error("Error acquiring token:", error);
+        return null;
+    }
+}
+
+/**
+ * Get the extended profile from Microsoft Graph: photo, manager, department and group memberships
+ * 
+ * The extra Graph scopes are consented incrementally. Without interaction only scopes that
+ * were granted before are used; with interaction the user is asked for consent (popup or
+ * redirect, as configured). Parts whose scope is still not granted are left out.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInteraction=false] - Ask the user for consent when needed
+ * @returns {Promise<Object|null>} The extended profile or null when it could not be loaded
+ */
+export async function getExtendedProfile({ allowInteraction = false } = {}) {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    const account = getAccount();
+    if (!account) {
+        console.warn("No active account found");
+        return null;
+    }
+
+    const acquireGraphToken = async (scopes) => {
+        try {
+            const tokenResponse = await msalInstance.acquireTokenSilent({ scopes, account });
+            return tokenResponse.accessToken;
+        } catch (error) {
+            if (!allowInteraction) {
+                return null;
+            }
+
+            try {
+                const tokenResponse = await acquireTokenInteractive({ scopes, account });
+                return tokenResponse.accessToken;
+            } catch (consentError) {
+                console.warn(`Consent for ${scopes.join(' ')} not granted:`, consentError);
+                return null;
+            }
+        }
+    };
+
+    // An explicit request may add parts that were missing for lack of consent, so bypass the cache
+    return loadExtendedProfile(account.homeAccountId, acquireGraphToken, { useCache: !allowInteraction });
+}
+
+/**
+ * Get the stored ID token for the current session
+ * @returns {string|null} The ID token or null if not available
+ */
+export function getIdToken() {
+    return userSessionData.idToken;
+}
+
+/**
+ * Get an ID token that is valid for at least the expiry margin, renewing it when needed
+ * 
+ * Renewal first goes through acquireTokenSilent; only when that fails is the user
+ * asked to sign in interactively.
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Renew even if the stored token has not expired (e.g. after a 401)
+ * @returns {Promise<string>} A valid ID token
+ */
+export async function getToken({ forceRefresh = false } = {}) {
+    if (!msalInstance) {
+        throw new Error("MSAL instance not initialized");
+    }
+
+    if (!forceRefresh && userSessionData.idToken && !isTokenExpired(userSessionData.idToken)) {
+        return userSessionData.idToken;
+    }
+
+    const account = getAccount();
+    if (!account) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    if (!tokenRenewalPromise) {
+        tokenRenewalPromise = renewTokens(account, forceRefresh)
+            .finally(() => {
+                tokenRenewalPromise = null;
+            });
+    }
+
+    return tokenRenewalPromise;
+}
+
+/**
+ * Renew the tokens for an account, silently if possible and interactively otherwise
+ * @param {Object} account - The MSAL account to renew tokens for
+ * @param {boolean} forceRefresh - Bypass the MSAL token cache
+ * @returns {Promise<string>} The renewed ID token
+ */
+async function renewTokens(account, forceRefresh) {
+    const tokenRequest = {
+        scopes: loginRequest.scopes,
+        account: account
+    };
+
+    try {
+        let tokenResponse = await msalInstance.acquireTokenSilent({ ...tokenRequest, forceRefresh });
+
+        // The MSAL cache can hand back an ID token that is (nearly) expired; go to the network in that case
+        if (isTokenExpired(tokenResponse.idToken)) {
+            tokenResponse = await msalInstance.acquireTokenSilent({ ...tokenRequest, forceRefresh: true });
+        }
+
+        storeTokens(tokenResponse);
+    } catch (error) {
+        console.warn("Silent token renewal failed, falling back to interactive sign-in:", error);
+        const tokenResponse = await acquireTokenInteractive(tokenRequest);
+        storeTokens(tokenResponse);
+    }
+
+    return userSessionData.idToken;
+}
+
+/**
+ * Get an access token for an API, silently if possible and interactively otherwise
+ * 
+ * MSAL caches access tokens per scope set, so only the first request for an API
+ * (or one after expiry) goes to the network.
+ * @param {Object} request
+ * @param {string[]} request.scopes - Scopes of the API, e.g. api://<app-id>/<scope>
+ * @param {boolean} [request.forceRefresh=false] - Bypass the MSAL token cache
+ * @returns {Promise<{accessToken: string, expiresAt: number}>} The access token and its expiry (epoch ms)
+ */
+export async function getAccessToken({ scopes, forceRefresh = false }) {
+    if (!msalInstance) {
+        throw new Error("MSAL instance not initialized");
+    }
+
+    const account = getAccount();
+    if (!account) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    const tokenRequest = {
+        scopes: scopes,
+        account: account
+    };
+
+    let tokenResponse;
+    try {
+        tokenResponse = await msalInstance.acquireTokenSilent({ ...tokenRequest, forceRefresh });
+    } catch (error) {
+        console.warn(`Silent access token acquisition for ${scopes.join(' ')} failed, falling back to interactive sign-in:`, error);
+        tokenResponse = await acquireTokenInteractive(tokenRequest);
+    }
+
+    return {
+        accessToken: tokenResponse.accessToken,
+        expiresAt: tokenResponse.expiresOn ? tokenResponse.expiresOn.getTime() : 0
+    };
+}
+
+/**
+ * Acquire tokens interactively, using the interaction mode configured in authConfig.js
+ * @param {Object} tokenRequest - MSAL token request
+ * @returns {Promise<Object>} The MSAL authentication result (popup mode only; redirect mode navigates away)
+ */
+async function acquireTokenInteractive(tokenRequest) {
+    if (interactionConfig.mode === INTERACTION_MODES.redirect) {
+        // Navigates away; the renewed tokens are picked up by handleRedirect on return
+        saveReturnLocation();
+        await msalInstance.acquireTokenRedirect(tokenRequest);
+        throw new Error('Redirecting to sign in to renew your session.');
+    }
+
+    return msalInstance.acquireTokenPopup(tokenRequest);
+}
+
+/**
+ * Store the tokens from an MSAL authentication result in memory
+ * @param {Object} tokenResponse - The MSAL authentication result
+ */
+function storeTokens(tokenResponse) {
+    userSessionData.idToken = tokenResponse.idToken;
+    userSessionData.idTokenClaims = tokenResponse.idTokenClaims;
+    userSessionData.accessToken = tokenResponse.accessToken;
+}
+
+/**
+ * Announce a successful sign-in to the rest of the application
+ * @param {Object} message - MSAL event message (or equivalent) with the authentication result as payload
+ */
+function notifyLoginSuccess(message) {
+    dispatchLoginSuccess(message);
+    // Update UI if needed
+    if (message.payload.account) {
+        showWelcomeMessage(message.payload.account.username);
+    }
+}
+
+/**
+ * Displays account details in the console
+ * @param {string} username - The username of the logged-in account
+ */
+function showWelcomeMessage(username) {
+    const accounts = msalInstance.getAllAccounts();
+    const account = accounts.find(acc => acc.username === username);
+
+    if (account) {
+        console.group('Account Details');
+        console.log('👤 Username:', account.username);
+        console.log('🏠 Home Account ID:', account.homeAccountId);
+        console.log('🏢 Tenant ID:', account.tenantId);
+        console.log('🔐 Local Account ID:', account.localAccountId);
+
+        // Log additional claims if available
+        if (account.idTokenClaims) {
+            console.group('ID Token Claims');
+            Object.entries(account.idTokenClaims).forEach(([key, value]) => {
+                // Skip standard claims that are already logged
+                if (!['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'aio'].includes(key)) {
+                    console.log(`🔹 ${key}:`, value);
+                }
+            });
+            console.groupEnd();
+        }
+
+        console.log('🔑 Scopes:', loginRequest.scopes);
+        console.groupEnd();
+    } else {
+        console.warn('No account found for username:', username);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,599 @@
+/**
+ * oidcProvider.js
+ * Generic OpenID Connect identity provider
+ *
+ * This provider signs users in against any OpenID Connect issuer using the
+ * authorization code flow with PKCE, so the application can run against a local
+ * stand-in (Keycloak, a mock issuer) or a non-Entra identity provider. It
+ * implements the identity provider interface described in auth.js.
+ *
+ * Interactive sign-in always uses a full page redirect. Tokens and the signed-in
+ * account are kept in sessionStorage, mirroring the MSAL cache location, so a
+ * page reload does not sign the user out.
+ */
+
+import { oidcConfig } from '../authConfig.js';
+import {
+    dispatchLoginSuccess,
+    saveReturnLocation,
+    restoreReturnLocation,
+    discardReturnLocation,
+    isTokenExpired,
+    parseJwt
+} from './providerUtils.js';
+
+// Name shown to the user for this identity provider; read again in initialize, after the environment configuration is applied
+export let displayName = oidcConfig.displayName;
+
+// sessionStorage keys
+const STORAGE_KEYS = {
+    session: 'oidc.session',         // tokens and account of the signed-in user
+    authRequest: 'oidc.authRequest'  // state, nonce and PKCE verifier of a sign-in in progress
+};
+
+// Number of random bytes used for state, nonce and the PKCE code verifier
+const RANDOM_BYTE_LENGTH = 32;
+
+// Path of the discovery document, relative to the issuer
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+// Discovery document of the issuer, fetched once
+let issuerMetadata = null;
+
+// Tokens and account of the signed-in user
+let session = null;
+
+// Pending token renewal, shared by concurrent callers so only one renewal runs at a time
+let tokenRenewalPromise = null;
+
+/**
+ * Initialize the provider, restoring a session from sessionStorage if there is one
+ * @returns {boolean} True if the provider is configured and initialized
+ */
+export function initialize() {
+    if (!oidcConfig.issuer || !oidcConfig.clientId) {
+        console.warn("OIDC provider not configured. Set identity.oidc.issuer and identity.oidc.clientId in the environment configuration.");
+        return false;
+    }
+
+    displayName = oidcConfig.displayName;
+
+    const storedSession = sessionStorage.getItem(STORAGE_KEYS.session);
+    if (storedSession) {
+        try {
+            session = JSON.parse(storedSession);
+        } catch (error) {
+            console.warn("Discarding unreadable OIDC session:", error);
+            sessionStorage.removeItem(STORAGE_KEYS.session);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Process the authorization response, if the page was loaded as the result of a sign-in redirect
+ *
+ * Exchanges the authorization code for tokens, validates the ID token claims that
+ * tie it to this sign-in, restores the location the user was at and announces the
+ * sign-in through the login success event.
+ * @returns {Promise<Object|null>} The authentication result or null when there was no authorization response
+ */
+export async function handleRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('code');
+    const error = params.get('error');
+
+    if (!code && !error) {
+        return null;
+    }
+
+    const storedRequest = sessionStorage.getItem(STORAGE_KEYS.authRequest);
+    sessionStorage.removeItem(STORAGE_KEYS.authRequest);
+
+    // A code without a pending sign-in of our own is not meant for this provider
+    if (!storedRequest) {
+        return null;
+    }
+
+    removeAuthResponseFromUrl();
+
+    try {
+        const authRequest = JSON.parse(storedRequest);
+
+        if (error) {
+            throw new Error(`Sign-in failed: ${error} ${params.get('error_description') || ''}`.trim());
+        }
+
+        if (params.get('state') !== authRequest.state) {
+            throw new Error("Sign-in response does not match the pending sign-in request (state mismatch)");
+        }
+
+        const tokenResponse = await requestTokens({
+            grant_type: 'authorization_code',
+            code: code,
+            redirect_uri: oidcConfig.redirectUri,
+            code_verifier: authRequest.codeVerifier
+        });
+
+        const claims = await validateIdToken(tokenResponse.id_token, authRequest.nonce);
+        storeSession(tokenResponse, createAccount(claims));
+
+        restoreReturnLocation();
+        const result = {
+            account: session.account,
+            idToken: session.idToken,
+            idTokenClaims: claims,
+            accessToken: session.accessToken
+        };
+        dispatchLoginSuccess({ eventType: 'oidc:loginSuccess', payload: result });
+
+        return result;
+    } catch (responseError) {
+        console.error("Error processing OIDC sign-in response:", responseError);
+        discardReturnLocation();
+        return null;
+    }
+}
+
+/**
+ * Sign in user by redirecting to the issuer's authorization endpoint
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - OIDC prompt parameter, e.g. 'login' to force re-authentication
+ */
+export async function signIn({ prompt } = {}) {
+    try {
+        const metadata = await getIssuerMetadata();
+
+        const authRequest = {
+            state: createRandomString(),
+            nonce: createRandomString(),
+            codeVerifier: createRandomString()
+        };
+        sessionStorage.setItem(STORAGE_KEYS.authRequest, JSON.stringify(authRequest));
+
+        const authorizationUrl = new URL(metadata.authorization_endpoint);
+        authorizationUrl.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: oidcConfig.clientId,
+            redirect_uri: oidcConfig.redirectUri,
+            scope: oidcConfig.scopes.join(' '),
+            state: authRequest.state,
+            nonce: authRequest.nonce,
+            code_challenge: await createCodeChallenge(authRequest.codeVerifier),
+            code_challenge_method: 'S256',
+            ...(prompt ? { prompt } : {})
+        }).toString();
+
+        // The page is unloaded by the redirect; remember where the user was
+        saveReturnLocation();
+        window.location.assign(authorizationUrl.toString());
+    } catch (error) {
+        console.error(error);
+        throw error;
+    }
+}
+
+/**
+ * Sign in with a different account
+ *
+ * Forces the issuer to ask for credentials again; the account that signs in replaces the current one.
+ */
+export function switchAccount() {
+    return signIn({ prompt: 'login' });
+}
+
+/**
+ * Sign out the current user, ending the session at the issuer when it supports RP-initiated logout
+ *
+ * The session in this tab is cleared first, so it is gone even when the issuer cannot be reached.
+ * @returns {Promise<void>} Rejects when the discovery document cannot be fetched
+ */
+export async function signOut() {
+    const idToken = session ? session.idToken : null;
+    clearSession();
+
+    const metadata = await getIssuerMetadata();
+    if (!metadata.end_session_endpoint) {
+        return;
+    }
+
+    const logoutUrl = new URL(metadata.end_session_endpoint);
+    logoutUrl.search = new URLSearchParams({
+        client_id: oidcConfig.clientId,
+        post_logout_redirect_uri: oidcConfig.postLogoutRedirectUri,
+        ...(idToken ? { id_token_hint: idToken } : {})
+    }).toString();
+
+    window.location.assign(logoutUrl.toString());
+}
+
+/**
+ * Get the currently signed in user account
+ * @returns {Object|null} The user account or null if not signed in
+ */
+export function getAccount() {
+    return session ? session.account : null;
+}
+
+/**
+ * Get all signed-in accounts; this provider holds at most one
+ * @returns {Object[]} The signed-in accounts
+ */
+export function getAllAccounts() {
+    return session ? [session.account] : [];
+}
+
+/**
+ * Make an account the active account
+ *
+ * This provider only holds one account at a time, which is always the active one.
+ * @param {Object} account - The account to activate
+ */
+export function setActiveAccount(account) {
+    if (!session || session.account.homeAccountId !== account.homeAccountId) {
+        console.warn("The OIDC provider holds a single account; use switchAccount to sign in with another one");
+    }
+}
+
+/**
+ * Silently sign in the account that signed in in another tab
+ *
+ * Not supported: this provider keeps its session per tab and silent sign-in would
+ * need a hidden iframe (prompt=none), which many issuers block with third-party cookie rules.
+ * @param {string} username - Login hint for the account
+ * @returns {Promise<null>} Always null; the user signs in in this tab when needed
+ */
+export async function syncSignIn(username) {
+    console.log(`Account ${username} signed in in another tab; sign in here to continue with it`);
+    return null;
+}
+
+/**
+ * Forget the signed-in user in this tab without ending the session at the issuer
+ *
+ * Used when another tab signed the account out: that tab already ended the session.
+ */
+export function clearLocalSession() {
+    clearSession();
+}
+
+/**
+ * Get user details from the issuer's userinfo endpoint
+ *
+ * Standard OIDC claims are mapped onto the Microsoft Graph property names the UI uses
+ * (displayName, mail, userPrincipalName); all original claims are kept as well.
+ * @returns {Promise<Object|null>} User details object or null on failure
+ */
+export async function getProfile() {
+    if (!session) {
+        console.warn("No active account found");
+        return null;
+    }
+
+    try {
+        await getToken();
+        if (isAccessTokenExpired()) {
+            await getToken({ forceRefresh: true });
+        }
+
+        const metadata = await getIssuerMetadata();
+        let claims = parseJwt(session.idToken) || {};
+
+        if (metadata.userinfo_endpoint) {
+            const response = await fetch(metadata.userinfo_endpoint, {
+                headers: {
+                    Authorization: `Bearer ${session.accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                console.error("Error fetching user data:", await response.text());
+                return null;
+            }
+
+            claims = { ...claims, ...await response.json() };
+        }
+
+        return {
+            ...claims,
+            id: claims.sub,
+            displayName: claims.name || claims.preferred_username,
+            givenName: claims.given_name,
+            surname: claims.family_name,
+            mail: claims.email,
+            userPrincipalName: claims.preferred_username || claims.email
+        };
+    } catch (error) {
+        console.error("Error fetching OIDC user profile:", error);
+        return null;
+    }
+}
+
+/**
+ * Get the extended profile (photo, manager, groups)
+ *
+ * Not available: generic OIDC issuers have no equivalent of Microsoft Graph.
+ * @returns {Promise<null>} Always null
+ */
+export async function getExtendedProfile() {
+    return null;
+}
+
+/**
+ * Get the stored ID token for the current session
+ * @returns {string|null} The ID token or null if not available
+ */
+export function getIdToken() {
+    return session ? session.idToken : null;
+}
+
+/**
+ * Get an ID token that is valid for at least the expiry margin, renewing it when needed
+ *
+ * Renewal uses the refresh token; only when that fails is the user redirected to sign in again.
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Renew even if the stored token has not expired (e.g. after a 401)
+ * @returns {Promise<string>} A valid ID token
+ */
+export async function getToken({ forceRefresh = false } = {}) {
+    if (!session) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    if (!forceRefresh && !isTokenExpired(session.idToken)) {
+        return session.idToken;
+    }
+
+    if (!tokenRenewalPromise) {
+        tokenRenewalPromise = renewTokens()
+            .finally(() => {
+                tokenRenewalPromise = null;
+            });
+    }
+
+    return tokenRenewalPromise;
+}
+
+/**
+ * Get an access token for an API through the refresh token grant
+ *
+ * The token is requested with the API's scopes (and audience, for issuers that use an
+ * audience parameter), so it can be restricted to that API. When there is no usable
+ * refresh token the user is redirected to sign in again.
+ * @param {Object} request
+ * @param {string[]} request.scopes - Scopes of the API
+ * @param {string} [request.audience] - Audience of the API, for issuers that support the audience parameter
+ * @returns {Promise<{accessToken: string, expiresAt: number}>} The access token and its expiry (epoch ms)
+ */
+export async function getAccessToken({ scopes, audience }) {
+    if (!session) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    try {
+        if (!session.refreshToken) {
+            throw new Error("No refresh token available");
+        }
+
+        const tokenResponse = await requestTokens({
+            grant_type: 'refresh_token',
+            refresh_token: session.refreshToken,
+            scope: scopes.join(' '),
+            ...(audience ? { audience } : {})
+        });
+
+        // Issuers that rotate refresh tokens return a new one that replaces the stored one
+        if (tokenResponse.refresh_token) {
+            session.refreshToken = tokenResponse.refresh_token;
+            sessionStorage.setItem(STORAGE_KEYS.session, JSON.stringify(session));
+        }
+
+        return {
+            accessToken: tokenResponse.access_token,
+            expiresAt: Date.now() + (tokenResponse.expires_in || 0) * 1000
+        };
+    } catch (error) {
+        console.warn(`Access token request for ${scopes.join(' ')} failed, falling back to interactive sign-in:`, error);
+        // Navigates away; the session is renewed by handleRedirect on return
+        await signIn();
+        throw new Error('Redirecting to sign in to renew your session.');
+    }
+}
+
+/**
+ * Renew the tokens, with the refresh token if possible and interactively otherwise
+ * @returns {Promise<string>} The renewed ID token
+ */
+async function renewTokens() {
+    try {
+        if (!session.refreshToken) {
+            throw new Error("No refresh token available");
+        }
+
+        const tokenResponse = await requestTokens({
+            grant_type: 'refresh_token',
+            refresh_token: session.refreshToken,
+            scope: oidcConfig.scopes.join(' ')
+        });
+
+        if (!tokenResponse.id_token) {
+            throw new Error("Refresh response did not contain a new ID token");
+        }
+
+        const claims = await validateIdToken(tokenResponse.id_token);
+        storeSession(tokenResponse, createAccount(claims));
+        return session.idToken;
+    } catch (error) {
+        console.warn("Silent token renewal failed, falling back to interactive sign-in:", error);
+        // Navigates away; the renewed tokens are picked up by handleRedirect on return
+        await signIn();
+        throw new Error('Redirecting to sign in to renew your session.');
+    }
+}
+
+/**
+ * Call the issuer's token endpoint
+ * @param {Object} parameters - Grant-specific form parameters
+ * @returns {Promise<Object>} The token response
+ */
+async function requestTokens(parameters) {
+    const metadata = await getIssuerMetadata();
+
+    const response = await fetch(metadata.token_endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            client_id: oidcConfig.clientId,
+            ...parameters
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Token request failed with status ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Check the ID token claims that bind the token to this client and sign-in
+ *
+ * The token comes straight from the token endpoint over TLS, so its signature is not
+ * verified in the browser (OIDC Core 3.1.3.7); the APIs verify it against the issuer's keys.
+ * @param {string} idToken - The ID token to check
+ * @param {string} [expectedNonce] - The nonce sent with the authorization request
+ * @returns {Promise<Object>} The ID token claims
+ */
+async function validateIdToken(idToken, expectedNonce) {
+    const metadata = await getIssuerMetadata();
+    const claims = idToken ? parseJwt(idToken) : null;
+
+    if (!claims) {
+        throw new Error("Token response did not contain a readable ID token");
+    }
+
+    if (claims.iss !== metadata.issuer) {
+        throw new Error(`ID token issued by unexpected issuer ${claims.iss}`);
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(oidcConfig.clientId)) {
+        throw new Error("ID token was not issued for this client");
+    }
+
+    if (expectedNonce && claims.nonce !== expectedNonce) {
+        throw new Error("ID token nonce does not match the sign-in request");
+    }
+
+    return claims;
+}
+
+/**
+ * Get the issuer's discovery document
+ * @returns {Promise<Object>} The OpenID provider metadata
+ */
+async function getIssuerMetadata() {
+    if (issuerMetadata) {
+        return issuerMetadata;
+    }
+
+    const issuer = oidcConfig.issuer.replace(/\/$/, '');
+    const response = await fetch(issuer + DISCOVERY_PATH);
+
+    if (!response.ok) {
+        throw new Error(`Failed to load OIDC discovery document from ${issuer}: ${response.status}`);
+    }
+
+    issuerMetadata = await response.json();
+    return issuerMetadata;
+}
+
+/**
+ * Build an account object with the same shape as an MSAL account
+ * @param {Object} claims - The ID token claims
+ * @returns {Object} The account
+ */
+function createAccount(claims) {
+    return {
+        homeAccountId: `${claims.sub}.${claims.iss}`,
+        localAccountId: claims.sub,
+        username: claims.preferred_username || claims.email || claims.sub,
+        name: claims.name,
+        idTokenClaims: claims
+    };
+}
+
+/**
+ * Store the tokens from a token response, keeping the refresh token when none was returned
+ * @param {Object} tokenResponse - The token endpoint response
+ * @param {Object} account - The account the tokens belong to
+ */
+function storeSession(tokenResponse, account) {
+    session = {
+        account: account,
+        idToken: tokenResponse.id_token,
+        accessToken: tokenResponse.access_token,
+        accessTokenExpiresAt: Date.now() + (tokenResponse.expires_in || 0) * 1000,
+        refreshToken: tokenResponse.refresh_token || (session ? session.refreshToken : null)
+    };
+    sessionStorage.setItem(STORAGE_KEYS.session, JSON.stringify(session));
+}
+
+/**
+ * Forget the tokens and account of the signed-in user
+ */
+function clearSession() {
+    session = null;
+    sessionStorage.removeItem(STORAGE_KEYS.session);
+}
+
+/**
+ * Check whether the access token has expired
+ * @returns {boolean} True if there is no access token or it has expired
+ */
+function isAccessTokenExpired() {
+    return !session.accessToken || session.accessTokenExpiresAt <= Date.now();
+}
+
+/**
+ * Remove the authorization response parameters from the address bar
+ */
+function removeAuthResponseFromUrl() {
+    const url = new URL(window.location.href);
+    ['code', 'state', 'session_state', 'iss', 'error', 'error_description'].forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+}
+
+/**
+ * Create a random URL-safe string for state, nonce or PKCE code verifier
+ * @returns {string} The random string
+ */
+function createRandomString() {
+    const bytes = new Uint8Array(RANDOM_BYTE_LENGTH);
+    crypto.getRandomValues(bytes);
+    return base64UrlEncode(bytes);
+}
+
+/**
+ * Derive the PKCE S256 code challenge from a code verifier
+ * @param {string} codeVerifier - The code verifier
+ * @returns {Promise<string>} The code challenge
+ */
+async function createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return base64UrlEncode(new Uint8Array(digest));
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The encoded string
+ */
+function base64UrlEncode(bytes) {
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
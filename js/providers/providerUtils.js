@@ -0,0 +1,118 @@
+/**
+ * providerUtils.js
+ * Helpers shared by the identity provider implementations
+ * 
+ * Token inspection, the login success event and keeping the page location
+ * across a redirect sign-in work the same for every provider.
+ */
+
+// Name of the window event that signals a successful sign-in to the rest of the application.
+// The name predates the provider abstraction and is kept so existing listeners keep working.
+export const LOGIN_SUCCESS_EVENT = 'msalLoginSuccess';
+
+// Tokens expiring within this many seconds are treated as expired, so a request
+// never leaves the browser with a token that lapses while in flight
+const TOKEN_EXPIRY_MARGIN_SECONDS = 300;
+
+// sessionStorage key under which the page location is kept while a redirect sign-in is in progress
+const RETURN_LOCATION_KEY = 'auth.returnLocation';
+
+/**
+ * Announce a successful sign-in to the rest of the application
+ * @param {Object} message - Event message with the authentication result (including the account) as payload
+ */
+export function dispatchLoginSuccess(message) {
+    const event = new CustomEvent(LOGIN_SUCCESS_EVENT, { detail: message });
+    window.dispatchEvent(event);
+}
+
+/**
+ * Remember the current page location and scroll position before redirecting to sign in
+ */
+export function saveReturnLocation() {
+    const returnLocation = {
+        url: window.location.pathname + window.location.search + window.location.hash,
+        scrollY: window.scrollY
+    };
+    sessionStorage.setItem(RETURN_LOCATION_KEY, JSON.stringify(returnLocation));
+}
+
+/**
+ * Restore the page location and scroll position saved before a redirect sign-in
+ */
+export function restoreReturnLocation() {
+    const storedLocation = sessionStorage.getItem(RETURN_LOCATION_KEY);
+    sessionStorage.removeItem(RETURN_LOCATION_KEY);
+
+    if (!storedLocation) {
+        return;
+    }
+
+    try {
+        const returnLocation = JSON.parse(storedLocation);
+        // Replace (rather than push) so the redirect response does not end up in the history
+        window.history.replaceState(null, '', returnLocation.url);
+        window.scrollTo(0, returnLocation.scrollY || 0);
+    } catch (error) {
+        console.warn("Could not restore location after sign-in:", error);
+    }
+}
+
+/**
+ * Forget a saved return location, e.g. when a redirect sign-in failed
+ */
+export function discardReturnLocation() {
+    sessionStorage.removeItem(RETURN_LOCATION_KEY);
+}
+
+/**
+ * Check whether a token has expired or will expire within the expiry margin
+ * @param {string} token - The JWT to check
+ * @returns {boolean} True if the token is missing, unreadable or (nearly) expired
+ */
+export function isTokenExpired(token) {
+    const claims = token ? parseJwt(token) : null;
+    if (!claims || typeof claims.exp !== 'number') {
+        return true;
+    }
+
+    return isExpiryReached(claims.exp * 1000);
+}
+
+/**
+ * Check whether an expiry moment has passed or falls within the expiry margin
+ * @param {number} expiresAt - Expiry as epoch milliseconds
+ * @returns {boolean} True if the moment is (nearly) reached
+ */
+export function isExpiryReached(expiresAt) {
+    return expiresAt - TOKEN_EXPIRY_MARGIN_SECONDS * 1000 <= Date.now();
+}
+
+/**
+ * Parse the payload of a JWT
+ * @param {string} token - The JWT to parse
+ * @returns {Object|null} The token payload or null if it cannot be parsed
+ */
+export function parseJwt(token) {
+    try {
+        // A JWT is in format: header.payload.signature
+        // We need to get the payload part (index 1)
+        const tokenParts = token.split('.');
+        if (tokenParts.length !== 3) {
+            console.error("Invalid token format");
+            return null;
+        }
+
+        // Base64 decode and parse the payload
+        const payload = tokenParts[1];
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const jsonPayload = decodeURIComponent(atob(base64).split('').map(function (c) {
+            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+        }).join(''));
+
+        return JSON.parse(jsonPayload);
+    } catch (error) {
+        console.error("Error parsing token claims:", error);
+        return null;
+    }
+}
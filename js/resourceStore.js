@@ -0,0 +1,222 @@
+/**
+ * resourceStore.js
+ * Observable state of the data the application loads
+ *
+ * Every resource (the speaker pool, the user's own profile, the delta list and each delta
+ * file) has its own status, error, timestamp and value, so a failed request for one does
+ * not mark another as failed. dataService.js loads the resources through load(), which
+ * also shares a request in flight between concurrent callers; app.js subscribes ui.js
+ * renderers to the resources they show.
+ */
+
+import { CancelledError } from './httpClient.js';
+
+/**
+ * Status of a resource
+ */
+export const RESOURCE_STATUS = {
+    idle: 'idle',
+    loading: 'loading',
+    success: 'success',
+    error: 'error'
+};
+
+/**
+ * Where the value of a resource came from
+ */
+export const RESOURCE_SOURCES = {
+    // Fetched, or confirmed by the server, in this session
+    network: 'network',
+    // The copy from the persistent cache (persistentCache.js), not confirmed yet
+    cache: 'cache'
+};
+
+/**
+ * Keys of the resources; each delta file has its own key (see deltaFileResource)
+ */
+export const RESOURCES = {
+    pool: 'pool',
+    profile: 'profile',
+    deltaList: 'delta-list',
+    history: 'profile-history'
+};
+
+// Key prefix of the delta file resources, followed by the object name
+const DELTA_FILE_PREFIX = 'delta-file:';
+
+// State of every resource that was used, by key
+const resources = new Map();
+
+// The load in flight of each resource, by key
+const pendingLoads = new Map();
+
+// Functions called with the new state of a resource, by key
+const listeners = new Map();
+
+/**
+ * Get the key of a delta file resource
+ * @param {string} objectName - Name of the delta file in object storage
+ * @returns {string} The resource key
+ */
+export function deltaFileResource(objectName) {
+    return DELTA_FILE_PREFIX + objectName;
+}
+
+/**
+ * Create the state of a resource that was never loaded
+ * @returns {Object} The empty state
+ */
+function createEmptyState() {
+    return {
+        status: RESOURCE_STATUS.idle,
+        error: null,
+        updatedAt: null,
+        value: null,
+        source: null,
+        // Incremented when the resource is cleared, so a load started before does not write to it
+        generation: 0
+    };
+}
+
+/**
+ * Get the current state of a resource
+ * @param {string} key - The resource (RESOURCES value or deltaFileResource key)
+ * @returns {{status: string, error: string|null, updatedAt: Date|null, value: *, source: string|null}} The state;
+ *   updatedAt is when the server last provided or confirmed the value
+ */
+export function getResource(key) {
+    const { generation, ...state } = resources.get(key) || createEmptyState();
+    return state;
+}
+
+/**
+ * Change the state of a resource and notify its subscribers
+ * @param {string} key - The resource
+ * @param {Object} changes - The fields to change (status, error, updatedAt, value, source)
+ */
+export function setResource(key, changes) {
+    const current = resources.get(key) || createEmptyState();
+    resources.set(key, { ...current, ...changes, generation: current.generation });
+    notifyListeners(key);
+}
+
+/**
+ * Load a resource, unless it is already being loaded
+ *
+ * While the loader runs the resource is loading (its previous value stays); afterwards it
+ * holds the loaded value, or the error. Concurrent calls for the same resource get the
+ * promise of the load in flight instead of starting another request. A cancelled load
+ * leaves the resource as it was; a load that finishes after clearResources changes nothing.
+ * @param {string} key - The resource
+ * @param {function(): Promise<*>} loader - Fetches the value
+ * @returns {Promise<*>} The loaded value
+ */
+export function load(key, loader) {
+    if (pendingLoads.has(key)) {
+        return pendingLoads.get(key);
+    }
+
+    const current = resources.get(key) || createEmptyState();
+    const generation = current.generation;
+    const isCurrent = () => (resources.get(key) || createEmptyState()).generation === generation;
+    setResource(key, { status: RESOURCE_STATUS.loading });
+
+    const pendingLoad = (async () => {
+        try {
+            const value = await loader();
+            if (isCurrent()) {
+                setResource(key, {
+                    status: RESOURCE_STATUS.success,
+                    error: null,
+                    updatedAt: new Date(),
+                    value: value,
+                    source: RESOURCE_SOURCES.network
+                });
+            }
+            return value;
+        } catch (error) {
+            if (isCurrent()) {
+                const cancelled = error instanceof CancelledError;
+                const hasValue = getResource(key).value !== null;
+                setResource(key, {
+                    status: cancelled ? (hasValue ? RESOURCE_STATUS.success : RESOURCE_STATUS.idle) : RESOURCE_STATUS.error,
+                    error: cancelled ? null : error.message
+                });
+            }
+            throw error;
+        } finally {
+            if (pendingLoads.get(key) === pendingLoad) {
+                pendingLoads.delete(key);
+            }
+        }
+    })();
+
+    pendingLoads.set(key, pendingLoad);
+    return pendingLoad;
+}
+
+/**
+ * Reset every resource to its empty state and notify the subscribers, e.g. when the account changes
+ *
+ * Loads in flight keep running for their callers, but no longer change the resources.
+ */
+export function clearResources() {
+    pendingLoads.clear();
+    Array.from(resources.keys()).forEach(key => {
+        resources.set(key, { ...createEmptyState(), generation: resources.get(key).generation + 1 });
+        notifyListeners(key);
+    });
+}
+
+/**
+ * Subscribe to the changes of a resource
+ *
+ * The listener is called right away with the current state, and after every change.
+ * @param {string} key - The resource
+ * @param {function(Object, string): void} listener - Called with the state (see getResource) and the key
+ * @returns {function(): void} Function that unsubscribes the listener
+ */
+export function subscribe(key, listener) {
+    if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+    }
+    listeners.get(key).add(listener);
+    listener(getResource(key), key);
+
+    return () => unsubscribe(key, listener);
+}
+
+/**
+ * Stop calling a listener on the changes of a resource
+ * @param {string} key - The resource
+ * @param {function(Object, string): void} listener - The subscribed listener
+ */
+export function unsubscribe(key, listener) {
+    const keyListeners = listeners.get(key);
+    if (keyListeners) {
+        keyListeners.delete(listener);
+        if (keyListeners.size === 0) {
+            listeners.delete(key);
+        }
+    }
+}
+
+/**
+ * Call every subscriber of a resource with its new state
+ * @param {string} key - The resource
+ */
+function notifyListeners(key) {
+    const keyListeners = listeners.get(key);
+    if (!keyListeners) {
+        return;
+    }
+
+    const state = getResource(key);
+    keyListeners.forEach(listener => {
+        try {
+            listener(state, key);
+        } catch (error) {
+            console.error(`Error in listener of resource ${key}:`, error);
+        }
+    });
+}
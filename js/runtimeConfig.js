@@ -0,0 +1,238 @@
+/**
+ * runtimeConfig.js
+ * Per-environment runtime configuration
+ *
+ * The client ID, authority and API gateway URLs differ between development, test,
+ * acceptance and production. Instead of being hardcoded, they are read at startup from
+ * config/<environment>.json, so the same build can be promoted through the environments.
+ *
+ * The environment is selected with the 'env' query parameter (remembered for the rest of
+ * the browser session, so it survives sign-in redirects) or else by the page's hostname,
+ * as mapped in config/environments.json. The configuration is validated against
+ * CONFIG_SCHEMA and then applied to authConfig.js and dataConfig.js.
+ */
+
+import { configureIdentity, IDENTITY_PROVIDERS, INTERACTION_MODES } from './authConfig.js';
+import { configureEndpoints, TOKEN_TYPES } from './dataConfig.js';
+import { validate } from './schemaValidator.js';
+
+// Location of the configuration files, relative to index.html
+const CONFIG_PATH = 'config/';
+
+// File mapping hostnames onto environment names
+const ENVIRONMENTS_FILE = 'environments.json';
+
+// Query parameter that selects an environment explicitly, e.g. ?env=test
+const ENVIRONMENT_QUERY_PARAMETER = 'env';
+
+// sessionStorage key remembering an environment selected with the query parameter
+const ENVIRONMENT_STORAGE_KEY = 'speakerpool.environment';
+
+// Environment names double as file names, so they are restricted to safe characters
+const ENVIRONMENT_NAME_PATTERN = '^[a-z0-9][a-z0-9-]*$';
+
+// Hostnames the fake identity provider may be used on; its tokens are unsigned
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Schema of a test user of the fake identity provider
+const TEST_USER_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'username'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        username: { type: 'string', minLength: 1 },
+        email: { type: 'string', minLength: 1 },
+        roles: { type: 'array', items: { type: 'string', minLength: 1 } },
+        groups: { type: 'array', items: { type: 'string', minLength: 1 } },
+        jobTitle: { type: 'string' },
+        department: { type: 'string' },
+        officeLocation: { type: 'string' },
+        claims: { type: 'object' }
+    }
+};
+
+// Schema of a single endpoint in the configuration
+const ENDPOINT_SCHEMA = {
+    type: 'object',
+    required: ['url'],
+    additionalProperties: false,
+    properties: {
+        url: { type: 'string', format: 'uri' },
+        tokenType: { type: 'string', enum: Object.values(TOKEN_TYPES) },
+        scopes: { type: 'array', items: { type: 'string', minLength: 1 } },
+        audience: { type: 'string', minLength: 1 }
+    }
+};
+
+// Schema of config/<environment>.json
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['name', 'identity', 'endpoints'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', pattern: ENVIRONMENT_NAME_PATTERN },
+        identity: {
+            type: 'object',
+            required: ['provider'],
+            additionalProperties: false,
+            properties: {
+                provider: { type: 'string', enum: Object.values(IDENTITY_PROVIDERS) },
+                interactionMode: { type: 'string', enum: Object.values(INTERACTION_MODES) },
+                msal: {
+                    type: 'object',
+                    required: ['clientId', 'authority'],
+                    additionalProperties: false,
+                    properties: {
+                        clientId: { type: 'string', minLength: 1 },
+                        authority: { type: 'string', format: 'uri' }
+                    }
+                },
+                oidc: {
+                    type: 'object',
+                    required: ['issuer', 'clientId'],
+                    additionalProperties: false,
+                    properties: {
+                        issuer: { type: 'string', format: 'uri' },
+                        clientId: { type: 'string', minLength: 1 },
+                        scopes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                        displayName: { type: 'string', minLength: 1 }
+                    }
+                },
+                fake: {
+                    type: 'object',
+                    required: ['users'],
+                    additionalProperties: false,
+                    properties: {
+                        users: { type: 'array', minItems: 1, items: TEST_USER_SCHEMA },
+                        tokenLifetimeMinutes: { type: 'integer' },
+                        displayName: { type: 'string', minLength: 1 }
+                    }
+                }
+            }
+        },
+        endpoints: {
+            type: 'object',
+            required: ['dataEndpoint', 'deltaEndpoint', 'adminEndpoint'],
+            additionalProperties: false,
+            properties: {
+                dataEndpoint: ENDPOINT_SCHEMA,
+                deltaEndpoint: ENDPOINT_SCHEMA,
+                adminEndpoint: ENDPOINT_SCHEMA,
+                historyEndpoint: ENDPOINT_SCHEMA
+            }
+        }
+    }
+};
+
+// The configuration in use, once loaded
+let activeConfig = null;
+
+/**
+ * Load, validate and apply the configuration of the current environment
+ *
+ * Must be called (and awaited) before initializeAuth and before any data is requested.
+ * When the configuration is missing or invalid the returned promise rejects with an
+ * Error whose `details` lists what is wrong.
+ * @returns {Promise<Object>} The configuration in use
+ */
+export async function loadRuntimeConfig() {
+    const environmentName = await resolveEnvironmentName();
+    const config = await fetchConfigFile(`${environmentName}.json`);
+
+    const validationErrors = validate(config, CONFIG_SCHEMA).map(error => `${error.path} ${error.message}`);
+    if (config.identity && config.identity.provider && !config.identity[config.identity.provider]) {
+        validationErrors.push(`identity.${config.identity.provider} is required when identity.provider is '${config.identity.provider}'`);
+    }
+    if (config.identity && config.identity.provider === IDENTITY_PROVIDERS.fake && !LOOPBACK_HOSTNAMES.includes(window.location.hostname)) {
+        validationErrors.push(`identity.provider 'fake' is only allowed when the application is served from localhost`);
+    }
+    if (validationErrors.length > 0) {
+        throw createConfigError(`The configuration for environment '${environmentName}' is invalid.`, validationErrors);
+    }
+
+    configureIdentity(config.identity);
+    configureEndpoints(config.endpoints);
+
+    activeConfig = config;
+    console.log(`Using configuration for environment '${config.name}'`);
+    return config;
+}
+
+/**
+ * Get the name of the environment whose configuration is in use
+ * @returns {string|null} The environment name or null if no configuration was loaded
+ */
+export function getEnvironmentName() {
+    return activeConfig ? activeConfig.name : null;
+}
+
+/**
+ * Determine which environment the application runs in
+ * @returns {Promise<string>} The environment name
+ */
+async function resolveEnvironmentName() {
+    const requestedEnvironment = new URLSearchParams(window.location.search).get(ENVIRONMENT_QUERY_PARAMETER);
+    if (requestedEnvironment) {
+        if (!new RegExp(ENVIRONMENT_NAME_PATTERN).test(requestedEnvironment)) {
+            throw createConfigError(`'${requestedEnvironment}' is not a valid environment name.`);
+        }
+        sessionStorage.setItem(ENVIRONMENT_STORAGE_KEY, requestedEnvironment);
+        return requestedEnvironment;
+    }
+
+    const rememberedEnvironment = sessionStorage.getItem(ENVIRONMENT_STORAGE_KEY);
+    if (rememberedEnvironment) {
+        return rememberedEnvironment;
+    }
+
+    const environments = await fetchConfigFile(ENVIRONMENTS_FILE);
+    const hostname = window.location.hostname;
+    const environmentName = environments.hostnames ? environments.hostnames[hostname] : undefined;
+    if (!environmentName) {
+        throw createConfigError(`No environment is configured for host '${hostname}'.`, [
+            `Add '${hostname}' to the hostnames in ${CONFIG_PATH}${ENVIRONMENTS_FILE}, or select an environment with ?${ENVIRONMENT_QUERY_PARAMETER}=<name>`
+        ]);
+    }
+    return environmentName;
+}
+
+/**
+ * Fetch and parse a JSON file from the configuration folder
+ * @param {string} fileName - Name of the file in the configuration folder
+ * @returns {Promise<Object>} The parsed file
+ */
+async function fetchConfigFile(fileName) {
+    const url = CONFIG_PATH + fileName;
+
+    let response;
+    try {
+        // Always revalidate, so a new configuration is picked up on the next page load
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (error) {
+        throw createConfigError(`The configuration file ${url} could not be loaded.`, [error.message]);
+    }
+
+    if (!response.ok) {
+        throw createConfigError(`The configuration file ${url} could not be loaded (${response.status} ${response.statusText}).`);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw createConfigError(`The configuration file ${url} is not valid JSON.`, [error.message]);
+    }
+}
+
+/**
+ * Create the error reported for a missing or invalid configuration
+ * @param {string} message - What went wrong
+ * @param {string[]} [details=[]] - Individual problems, shown as a list on the startup error screen
+ * @returns {Error} The error
+ */
+function createConfigError(message, details = []) {
+    const error = new Error(message);
+    error.details = details;
+    return error;
+}
@@ -0,0 +1,162 @@
+/**
+ * schemaValidator.js
+ * Minimal JSON Schema validator
+ *
+ * Validates plain JSON values against a schema written in a subset of JSON Schema:
+ * type, enum, required, properties, additionalProperties, items, pattern,
+ * minLength, maxLength, minItems, maxItems, uniqueItems and format ('uri', 'email',
+ * 'date' and 'date-time'). Other keywords, such as title and description, are ignored.
+ *
+ * Every error names the keyword that failed, so callers can treat some failures
+ * differently (e.g. unknown properties as warnings).
+ */
+
+// Supported string formats: a test and the message when it fails
+const FORMATS = {
+    'uri': { test: isAbsoluteUri, message: 'must be an absolute URL' },
+    'email': { test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), message: 'must be an email address' },
+    'date': { test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)), message: 'must be a date (YYYY-MM-DD)' },
+    'date-time': { test: (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)), message: 'must be a date and time (ISO 8601)' }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema to validate against
+ * @returns {Array<{path: string, message: string, keyword: string}>} The validation errors; empty when the value is valid
+ */
+export function validate(value, schema) {
+    const errors = [];
+    validateValue(value, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Validate a value at a path, adding any errors to the list
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema for this value
+ * @param {string} path - Path of the value within the document, e.g. 'endpoints.dataEndpoint.url'
+ * @param {Array} errors - The list the errors are added to
+ */
+function validateValue(value, schema, path, errors) {
+    const addError = (keyword, message) => errors.push({ path: path || '(root)', message, keyword });
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expectedTypes = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+        addError('type', `must be of type ${expectedTypes}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        addError('enum', `must be one of: ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError('maxLength', `must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            addError('pattern', `does not match the expected format (${schema.pattern})`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            addError('format', FORMATS[schema.format].message);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError('minItems', `must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError('maxItems', `must contain at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size < value.length) {
+            addError('uniqueItems', 'must not contain duplicates');
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (isObject(value)) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(property => {
+            if (value[property] === undefined) {
+                errors.push({ path: joinPath(path, property), message: 'is required', keyword: 'required' });
+            }
+        });
+
+        Object.keys(value).forEach(property => {
+            const propertyPath = joinPath(path, property);
+            if (properties[property]) {
+                validateValue(value[property], properties[property], propertyPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: propertyPath, message: 'is not a known property', keyword: 'additionalProperties' });
+            } else if (isObject(schema.additionalProperties)) {
+                validateValue(value[property], schema.additionalProperties, propertyPath, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Check whether a value is of (one of) the given JSON Schema type(s)
+ * @param {*} value - The value to check
+ * @param {string|string[]} type - The expected type(s)
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(expectedType => {
+        switch (expectedType) {
+            case 'object':
+                return isObject(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === expectedType;
+        }
+    });
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ * @param {string} value - The string to check
+ * @returns {boolean} True if the string is an absolute URL
+ */
+function isAbsoluteUri(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Append a property name to a path
+ * @param {string} path - The parent path
+ * @param {string} property - The property name
+ * @returns {string} The path of the property
+ */
+function joinPath(path, property) {
+    return path ? `${path}.${property}` : property;
+}
@@ -0,0 +1,765 @@
+/**
+ * speakerBrowser.js
+ * Browser for the speaker pool: search, facet filters, sortable table and a detail drawer
+ *
+ * ui.js hands it the speaker pool data (showSpeakers); the querying itself is done by
+ * speakerQuery.js. The table is virtualized: rows have a fixed height and only those in
+ * view (plus a few above and below) are in the DOM, so scrolling stays smooth with
+ * thousands of speakers. The page provides the elements (see #speaker-browser in index.html).
+ *
+ * Clicking a column header sorts on it, clicking it again reverses the order; shift-click
+ * adds the column as a further sort key (or reverses or removes it).
+ *
+ * The export panel downloads the whole speaker pool, or the current search and filters in
+ * the current order, as a file made by speakerExport.js.
+ */
+
+import { FACETS, SORT_FIELDS, SORT_DIRECTIONS, createIndex, queryIndex, getSpeakerRecords } from './speakerQuery.js';
+import { EXPORT_FORMATS, getExportColumns, exportSpeakers } from './speakerExport.js';
+import { exportConfig } from './dataConfig.js';
+
+// Height of a table row in pixels; must match .speaker-row in styles.css
+const ROW_HEIGHT = 40;
+
+// Rows rendered above and below the visible ones, so fast scrolling does not show blank space
+const OVERSCAN_ROWS = 8;
+
+// Values listed per facet until the user asks for all of them
+const FACET_VALUE_LIMIT = 8;
+
+// Columns of the table; the sortable ones are the sort fields of speakerQuery.js
+const COLUMNS = [
+    ...SORT_FIELDS.map(({ field, title }) => ({ field, title, sortable: true })),
+    { field: 'topics', title: 'Topics', sortable: false }
+];
+
+// Fields shown in the detail drawer, in order (name is its title)
+const DETAIL_FIELDS = [
+    { field: 'jobTitle', title: 'Job title' },
+    { field: 'department', title: 'Department' },
+    { field: 'location', title: 'Location' },
+    { field: 'manager', title: 'Manager' },
+    { field: 'email', title: 'Email' },
+    { field: 'availability', title: 'Availability' },
+    { field: 'languages', title: 'Languages' },
+    { field: 'topics', title: 'Topics' },
+    { field: 'bio', title: 'Bio' },
+    { field: 'links', title: 'Links' },
+    { field: 'pastTalks', title: 'Past talks' }
+];
+
+// The sort order before the user picks one
+const DEFAULT_SORT = [{ field: 'name', direction: SORT_DIRECTIONS.ascending }];
+
+// The indexed records (see speakerQuery.createIndex)
+let index = [];
+
+// The current search text, selected facet values and sort order
+let query = createDefaultQuery();
+
+// The records matching the query, in order
+let results = [];
+
+// The record shown in the detail drawer, if any
+let selectedRecord = null;
+
+// Facets whose values are all listed
+const expandedFacets = new Set();
+
+// Fields the user left out of the export; columns found in new data are exported by default
+const excludedExportColumns = new Set();
+
+// Whether the event listeners are set up
+let initialized = false;
+
+// Whether a render of the visible rows is scheduled for the next animation frame
+let rowRenderScheduled = false;
+
+/**
+ * Create the query the browser starts with
+ * @returns {{text: string, filters: Object, sort: Array}} The query
+ */
+function createDefaultQuery() {
+    return { text: '', filters: {}, sort: DEFAULT_SORT.map(key => ({ ...key })) };
+}
+
+/**
+ * Show the speakers of the speaker pool data, keeping the current search, filters and sort order
+ * @param {Array|Object} poolData - The speaker pool data from dataService.getData
+ */
+export function showSpeakers(poolData) {
+    initialize();
+    const records = getSpeakerRecords(poolData);
+    index = createIndex(records);
+
+    // Reloaded data replaces the records; the drawer shows the same speaker's new record
+    if (selectedRecord) {
+        const reloaded = records.find(record => record.email && record.email === selectedRecord.email)
+            || records.find(record => record.name === selectedRecord.name);
+        if (reloaded) {
+            openDrawer(reloaded);
+        } else {
+            closeDrawer();
+        }
+    }
+    update();
+}
+
+/**
+ * Remove the speakers and reset the search, filters and sort order, e.g. when the user signs out
+ */
+export function clearSpeakers() {
+    index = [];
+    query = createDefaultQuery();
+    expandedFacets.clear();
+    excludedExportColumns.clear();
+    closeDrawer();
+    closeExportPanel();
+
+    const searchInput = document.getElementById('speaker-search');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    update();
+}
+
+/**
+ * Set up the event listeners of the browser's fixed elements, once
+ */
+function initialize() {
+    if (initialized) {
+        return;
+    }
+    initialized = true;
+
+    const elements = {
+        searchInput: document.getElementById('speaker-search'),
+        clearButton: document.getElementById('clear-speaker-filters'),
+        list: document.getElementById('speaker-list'),
+        closeDrawerButton: document.getElementById('close-speaker-drawer'),
+        drawer: document.getElementById('speaker-drawer'),
+        showExportButton: document.getElementById('show-speaker-export'),
+        closeExportButton: document.getElementById('close-speaker-export'),
+        downloadExportButton: document.getElementById('download-speaker-export'),
+        exportFormat: document.getElementById('speaker-export-format'),
+        exportDelimiter: document.getElementById('speaker-export-delimiter'),
+        exportListSeparator: document.getElementById('speaker-export-list-separator'),
+        exportFieldSeparator: document.getElementById('speaker-export-field-separator')
+    };
+
+    if (elements.searchInput) {
+        elements.searchInput.addEventListener('input', () => {
+            query.text = elements.searchInput.value;
+            update();
+        });
+    }
+    if (elements.clearButton) {
+        elements.clearButton.addEventListener('click', () => {
+            query.text = '';
+            query.filters = {};
+            if (elements.searchInput) {
+                elements.searchInput.value = '';
+            }
+            update();
+        });
+    }
+    if (elements.list) {
+        elements.list.addEventListener('scroll', scheduleRowRender);
+    }
+    if (elements.closeDrawerButton) {
+        elements.closeDrawerButton.addEventListener('click', closeDrawer);
+    }
+    if (elements.drawer) {
+        elements.drawer.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                closeDrawer();
+            }
+        });
+    }
+    window.addEventListener('resize', scheduleRowRender);
+
+    if (elements.exportDelimiter) {
+        elements.exportDelimiter.value = exportConfig.csvDelimiter;
+    }
+    if (elements.exportListSeparator) {
+        elements.exportListSeparator.value = exportConfig.listSeparator;
+    }
+    if (elements.exportFieldSeparator) {
+        elements.exportFieldSeparator.value = exportConfig.fieldSeparator;
+    }
+    if (elements.showExportButton) {
+        elements.showExportButton.addEventListener('click', () => {
+            const panel = document.getElementById('speaker-export');
+            if (panel && panel.hidden) {
+                openExportPanel();
+            } else {
+                closeExportPanel();
+            }
+        });
+    }
+    if (elements.closeExportButton) {
+        elements.closeExportButton.addEventListener('click', closeExportPanel);
+    }
+    if (elements.downloadExportButton) {
+        elements.downloadExportButton.addEventListener('click', downloadExport);
+    }
+    if (elements.exportFormat) {
+        elements.exportFormat.addEventListener('change', updateExportPanel);
+    }
+}
+
+/**
+ * Run the query and render everything that depends on it
+ */
+function update() {
+    const queryResult = queryIndex(index, query);
+    results = queryResult.results;
+
+    renderFacets(queryResult.facetCounts);
+    renderHeader();
+
+    const count = document.getElementById('speaker-count');
+    if (count) {
+        count.textContent = results.length === index.length
+            ? `${index.length} speaker${index.length === 1 ? '' : 's'}`
+            : `${results.length} of ${index.length} speakers`;
+    }
+
+    const clearButton = document.getElementById('clear-speaker-filters');
+    if (clearButton) {
+        clearButton.disabled = !hasSearchOrFilters();
+    }
+
+    const table = document.getElementById('speaker-table');
+    if (table) {
+        // The header is row 1; rows that are not rendered still count
+        table.setAttribute('aria-rowcount', String(results.length + 1));
+    }
+
+    const sizer = document.getElementById('speaker-list-sizer');
+    if (sizer) {
+        sizer.style.height = `${results.length * ROW_HEIGHT}px`;
+    }
+    renderRows();
+    updateExportPanel();
+}
+
+/**
+ * Check whether the user searches or filters, so the results can be fewer than all speakers
+ * @returns {boolean} True when there is search text or a selected facet value
+ */
+function hasSearchOrFilters() {
+    return query.text.trim() !== '' || Object.keys(query.filters).length > 0;
+}
+
+/**
+ * Render the visible rows on the next animation frame, at most once per frame
+ */
+function scheduleRowRender() {
+    if (rowRenderScheduled) {
+        return;
+    }
+    rowRenderScheduled = true;
+    requestAnimationFrame(() => {
+        rowRenderScheduled = false;
+        renderRows();
+    });
+}
+
+/**
+ * Render the rows in view, and a few around them, replacing the ones rendered before
+ */
+function renderRows() {
+    const elements = {
+        list: document.getElementById('speaker-list'),
+        sizer: document.getElementById('speaker-list-sizer')
+    };
+
+    if (!elements.list || !elements.sizer) {
+        return;
+    }
+
+    const firstRow = Math.max(0, Math.floor(elements.list.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const lastRow = Math.min(results.length, Math.ceil((elements.list.scrollTop + elements.list.clientHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+    const rows = [];
+    for (let rowIndex = firstRow; rowIndex < lastRow; rowIndex++) {
+        rows.push(createRow(results[rowIndex], rowIndex));
+    }
+    elements.sizer.replaceChildren(...rows);
+}
+
+/**
+ * Create the table row of a speaker
+ * @param {Object} record - The speaker record
+ * @param {number} rowIndex - Position of the record in the results
+ * @returns {HTMLElement} The row
+ */
+function createRow(record, rowIndex) {
+    const row = document.createElement('div');
+    row.className = 'speaker-row';
+    if (record === selectedRecord) {
+        row.classList.add('selected');
+    }
+    row.setAttribute('role', 'row');
+    row.setAttribute('aria-rowindex', String(rowIndex + 2));
+    row.tabIndex = 0;
+    row.style.top = `${rowIndex * ROW_HEIGHT}px`;
+
+    // textContent keeps the values from being interpreted as HTML
+    COLUMNS.forEach(({ field }) => {
+        const cell = document.createElement('div');
+        cell.className = 'speaker-cell';
+        cell.setAttribute('role', 'cell');
+        cell.textContent = formatValue(record[field]);
+        cell.title = cell.textContent;
+        row.appendChild(cell);
+    });
+
+    row.addEventListener('click', () => openDrawer(record));
+    row.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            openDrawer(record);
+        }
+    });
+    return row;
+}
+
+/**
+ * Render the column headers with the sort order
+ */
+function renderHeader() {
+    const header = document.getElementById('speaker-table-header');
+    if (!header) {
+        return;
+    }
+
+    header.innerHTML = '';
+    COLUMNS.forEach(({ field, title, sortable }) => {
+        const cell = document.createElement('div');
+        cell.className = 'speaker-cell';
+        cell.setAttribute('role', 'columnheader');
+
+        if (!sortable) {
+            cell.textContent = title;
+            header.appendChild(cell);
+            return;
+        }
+
+        const position = query.sort.findIndex(key => key.field === field);
+        const sortKey = query.sort[position];
+        cell.setAttribute('aria-sort', position === 0 ? sortKey.direction : 'none');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'speaker-sort';
+        button.title = 'Sort on this column; shift-click to sort on it as well';
+        let label = title;
+        if (sortKey) {
+            label += sortKey.direction === SORT_DIRECTIONS.ascending ? ' ▲' : ' ▼';
+            if (query.sort.length > 1) {
+                label += ` ${position + 1}`;
+            }
+        }
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            changeSort(field, event.shiftKey);
+            update();
+        });
+
+        cell.appendChild(button);
+        header.appendChild(cell);
+    });
+}
+
+/**
+ * Change the sort order after a click on a column header
+ * @param {string} field - The column's field
+ * @param {boolean} addToSort - Shift-click: add the column as a further sort key instead of sorting on it alone
+ */
+function changeSort(field, addToSort) {
+    const position = query.sort.findIndex(key => key.field === field);
+    const sortKey = query.sort[position];
+    const reversed = sortKey && sortKey.direction === SORT_DIRECTIONS.ascending ? SORT_DIRECTIONS.descending : SORT_DIRECTIONS.ascending;
+
+    if (!addToSort) {
+        query.sort = [{ field, direction: position === 0 ? reversed : SORT_DIRECTIONS.ascending }];
+    } else if (!sortKey) {
+        query.sort.push({ field, direction: SORT_DIRECTIONS.ascending });
+    } else if (sortKey.direction === SORT_DIRECTIONS.ascending || query.sort.length === 1) {
+        sortKey.direction = reversed;
+    } else {
+        query.sort.splice(position, 1);
+    }
+}
+
+/**
+ * Render the facet filters with the number of speakers for each value
+ * @param {Object<string, Map<string, number>>} facetCounts - From speakerQuery.queryIndex
+ */
+function renderFacets(facetCounts) {
+    const container = document.getElementById('speaker-facets');
+    if (!container) {
+        return;
+    }
+
+    // Rebuilding the checkboxes would lose the focus of the one just clicked
+    const focused = container.contains(document.activeElement) ? document.activeElement : null;
+    const focusedKey = focused && focused.dataset ? `${focused.dataset.facet}\n${focused.dataset.value}` : null;
+
+    container.innerHTML = '';
+    FACETS.forEach(({ field, title }) => {
+        const selected = query.filters[field] || [];
+        const counts = facetCounts[field];
+        selected.filter(value => !counts.has(value)).forEach(value => counts.set(value, 0));
+        if (counts.size === 0) {
+            return;
+        }
+
+        // Most frequent first; selected values are always listed
+        const values = Array.from(counts.entries())
+            .sort(([valueA, countA], [valueB, countB]) => countB - countA || valueA.localeCompare(valueB));
+        const listed = expandedFacets.has(field)
+            ? values
+            : values.filter(([value], position) => position < FACET_VALUE_LIMIT || selected.includes(value));
+
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'speaker-facet';
+        const legend = document.createElement('legend');
+        legend.textContent = title;
+        fieldset.appendChild(legend);
+
+        listed.forEach(([value, count]) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selected.includes(value);
+            checkbox.dataset.facet = field;
+            checkbox.dataset.value = value;
+            checkbox.addEventListener('change', () => {
+                toggleFilter(field, value, checkbox.checked);
+                update();
+            });
+
+            const text = document.createElement('span');
+            text.textContent = `${value} (${count})`;
+            label.append(checkbox, text);
+            fieldset.appendChild(label);
+
+            if (focusedKey === `${field}\n${value}`) {
+                requestAnimationFrame(() => checkbox.focus());
+            }
+        });
+
+        if (values.length > listed.length || expandedFacets.has(field)) {
+            const moreButton = document.createElement('button');
+            moreButton.type = 'button';
+            moreButton.className = 'speaker-facet-more';
+            moreButton.textContent = expandedFacets.has(field) ? 'Show fewer' : `Show all ${values.length}`;
+            moreButton.addEventListener('click', () => {
+                if (expandedFacets.has(field)) {
+                    expandedFacets.delete(field);
+                } else {
+                    expandedFacets.add(field);
+                }
+                update();
+            });
+            fieldset.appendChild(moreButton);
+        }
+
+        container.appendChild(fieldset);
+    });
+}
+
+/**
+ * Select or deselect a facet value
+ * @param {string} field - The facet field
+ * @param {string} value - The value
+ * @param {boolean} selected - Whether the value is now selected
+ */
+function toggleFilter(field, value, selected) {
+    const values = (query.filters[field] || []).filter(selectedValue => selectedValue !== value);
+    if (selected) {
+        values.push(value);
+    }
+
+    if (values.length > 0) {
+        query.filters[field] = values;
+    } else {
+        delete query.filters[field];
+    }
+}
+
+/**
+ * Show all details of a speaker in the drawer
+ * @param {Object} record - The speaker record
+ */
+function openDrawer(record) {
+    const elements = {
+        drawer: document.getElementById('speaker-drawer'),
+        title: document.getElementById('speaker-drawer-title'),
+        details: document.getElementById('speaker-drawer-details')
+    };
+
+    if (!elements.drawer) {
+        return;
+    }
+
+    selectedRecord = record;
+    elements.title.textContent = formatValue(record.name) || '(no name)';
+    elements.details.innerHTML = '';
+    DETAIL_FIELDS.forEach(({ field, title }) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return;
+        }
+
+        const term = document.createElement('dt');
+        term.textContent = title;
+        const description = document.createElement('dd');
+        description.appendChild(createDetailValue(field, value));
+        elements.details.append(term, description);
+    });
+
+    elements.drawer.hidden = false;
+    renderRows();
+}
+
+/**
+ * Create the content of a detail in the drawer
+ * @param {string} field - The field
+ * @param {*} value - Its value
+ * @returns {Node} The content
+ */
+function createDetailValue(field, value) {
+    if (field === 'links' && Array.isArray(value)) {
+        const list = document.createElement('ul');
+        value.forEach(link => {
+            const item = document.createElement('li');
+            item.appendChild(createLink(link));
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    if (field === 'pastTalks' && Array.isArray(value)) {
+        const list = document.createElement('ul');
+        value.forEach(talk => {
+            const item = document.createElement('li');
+            if (typeof talk !== 'object' || talk === null) {
+                item.textContent = formatValue(talk);
+            } else {
+                const description = [talk.title, talk.event, talk.date].filter(Boolean).join(' — ');
+                item.appendChild(talk.url ? createLink(talk.url, description) : document.createTextNode(description));
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    if (field === 'email' && typeof value === 'string') {
+        return createLink(`mailto:${value}`, value);
+    }
+
+    return document.createTextNode(formatValue(value));
+}
+
+/**
+ * Create a link that opens in a new tab; only web and mail addresses become links
+ * @param {string} url - The address
+ * @param {string} [text] - The link text; the address by default
+ * @returns {Node} The link, or plain text for other addresses (e.g. javascript:)
+ */
+function createLink(url, text) {
+    const label = text || String(url);
+    if (typeof url !== 'string' || !/^(https?:|mailto:)/i.test(url)) {
+        return document.createTextNode(label);
+    }
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = label;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
+
+/**
+ * Close the detail drawer
+ */
+function closeDrawer() {
+    selectedRecord = null;
+    const drawer = document.getElementById('speaker-drawer');
+    if (drawer) {
+        drawer.hidden = true;
+    }
+    renderRows();
+}
+
+/**
+ * Format a field value as text for a table cell or the drawer
+ * @param {*} value - The value
+ * @returns {string} The text; lists are comma-separated
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Show the export panel with a checkbox for every column the speakers have
+ */
+function openExportPanel() {
+    const elements = {
+        panel: document.getElementById('speaker-export'),
+        showButton: document.getElementById('show-speaker-export'),
+        columns: document.getElementById('speaker-export-columns')
+    };
+
+    if (!elements.panel) {
+        return;
+    }
+
+    // Rebuilt on every opening, as new data can have other fields
+    const legend = document.createElement('legend');
+    legend.textContent = 'Columns';
+    elements.columns.innerHTML = '';
+    elements.columns.appendChild(legend);
+    getExportColumns(index.map(entry => entry.record)).forEach(({ field, title }) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !excludedExportColumns.has(field);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                excludedExportColumns.delete(field);
+            } else {
+                excludedExportColumns.add(field);
+            }
+        });
+
+        const text = document.createElement('span');
+        text.textContent = title;
+        label.append(checkbox, text);
+        elements.columns.appendChild(label);
+    });
+
+    showExportStatus('');
+    elements.panel.hidden = false;
+    elements.showButton.setAttribute('aria-expanded', 'true');
+    updateExportPanel();
+}
+
+/**
+ * Hide the export panel
+ */
+function closeExportPanel() {
+    const elements = {
+        panel: document.getElementById('speaker-export'),
+        showButton: document.getElementById('show-speaker-export')
+    };
+
+    if (elements.panel) {
+        elements.panel.hidden = true;
+    }
+    if (elements.showButton) {
+        elements.showButton.setAttribute('aria-expanded', 'false');
+    }
+}
+
+/**
+ * Update the speaker counts of the export panel, and disable the separators for JSON
+ */
+function updateExportPanel() {
+    const elements = {
+        filteredLabel: document.getElementById('speaker-export-filtered-label'),
+        allLabel: document.getElementById('speaker-export-all-label'),
+        format: document.getElementById('speaker-export-format'),
+        separators: document.getElementById('speaker-export-separators'),
+        downloadButton: document.getElementById('download-speaker-export')
+    };
+
+    if (elements.filteredLabel) {
+        elements.filteredLabel.textContent = `Current search and filters (${results.length})`;
+    }
+    if (elements.allLabel) {
+        elements.allLabel.textContent = `All speakers (${index.length})`;
+    }
+    if (elements.format && elements.separators) {
+        const isJson = elements.format.value === EXPORT_FORMATS.json || elements.format.value === EXPORT_FORMATS.compactJson;
+        elements.separators.disabled = isJson;
+    }
+    if (elements.downloadButton) {
+        elements.downloadButton.disabled = index.length === 0;
+    }
+}
+
+/**
+ * Export the chosen speakers and columns in the chosen format, and download the file
+ */
+function downloadExport() {
+    const scope = document.querySelector('input[name="speaker-export-scope"]:checked');
+    const exportAll = scope && scope.value === 'all';
+    const allRecords = index.map(entry => entry.record);
+    const records = exportAll ? allRecords : results;
+
+    // An empty separator field falls back to the configured default
+    const separatorValue = (id) => {
+        const input = document.getElementById(id);
+        return input && input.value !== '' ? input.value : undefined;
+    };
+
+    try {
+        const { blob, fileName } = exportSpeakers(records, {
+            format: document.getElementById('speaker-export-format').value,
+            columns: getExportColumns(allRecords).filter(({ field }) => !excludedExportColumns.has(field)),
+            csvDelimiter: separatorValue('speaker-export-delimiter'),
+            listSeparator: separatorValue('speaker-export-list-separator'),
+            fieldSeparator: separatorValue('speaker-export-field-separator'),
+            filtered: !exportAll && hasSearchOrFilters()
+        });
+        downloadFile(blob, fileName);
+        showExportStatus(`Exported ${records.length} speaker${records.length === 1 ? '' : 's'} to ${fileName}`);
+    } catch (error) {
+        console.error('Error exporting speakers:', error);
+        showExportStatus(error.message);
+    }
+}
+
+/**
+ * Let the browser download a generated file
+ * @param {Blob} blob - The file content
+ * @param {string} fileName - The name to save it as
+ */
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoked after the click has been handled, so the download can still read it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Show a message in the export panel
+ * @param {string} message - The message; empty to clear it
+ */
+function showExportStatus(message) {
+    const status = document.getElementById('speaker-export-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
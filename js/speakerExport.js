@@ -0,0 +1,326 @@
+/**
+ * speakerExport.js
+ * Export of speaker records to CSV, Excel (XLSX) and JSON
+ *
+ * Everything is generated in the browser; speakerBrowser.js offers the export of the whole
+ * speaker pool or of the current search and filters, and downloads the file. For CSV and
+ * Excel, lists are flattened into one cell: the items joined with the list separator, the
+ * fields of an object item (a past talk) joined with the field separator. JSON keeps the
+ * structure and only leaves out the columns that were not chosen.
+ */
+
+import { exportConfig } from './dataConfig.js';
+import { createZip } from './zipWriter.js';
+
+/**
+ * Export formats
+ */
+export const EXPORT_FORMATS = {
+    csv: 'csv',
+    xlsx: 'xlsx',
+    json: 'json',
+    compactJson: 'json-compact'
+};
+
+/**
+ * Fields of a speaker record that can be exported, in column order; other fields found in
+ * the records follow them (see getExportColumns)
+ */
+export const EXPORT_COLUMNS = [
+    { field: 'name', title: 'Name' },
+    { field: 'email', title: 'Email' },
+    { field: 'jobTitle', title: 'Job title' },
+    { field: 'department', title: 'Department' },
+    { field: 'location', title: 'Location' },
+    { field: 'manager', title: 'Manager' },
+    { field: 'availability', title: 'Availability' },
+    { field: 'languages', title: 'Languages' },
+    { field: 'topics', title: 'Topics' },
+    { field: 'bio', title: 'Bio' },
+    { field: 'links', title: 'Links' },
+    { field: 'pastTalks', title: 'Past talks' },
+    { field: 'lastModified', title: 'Last modified' }
+];
+
+// File extension and MIME type of each format
+const FILE_TYPES = {
+    [EXPORT_FORMATS.csv]: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    [EXPORT_FORMATS.xlsx]: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    [EXPORT_FORMATS.json]: { extension: 'json', mimeType: 'application/json' },
+    [EXPORT_FORMATS.compactJson]: { extension: 'json', mimeType: 'application/json' }
+};
+
+// Spreadsheet programs run CSV cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARACTERS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+// Most characters an Excel cell holds
+const MAX_CELL_LENGTH = 32767;
+
+// Namespaces of the XLSX parts
+const SPREADSHEET_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Get the columns that can be exported from records: the known fields, then any other
+ * fields the records have, in the order they are found
+ * @param {Object[]} records - The speaker records
+ * @returns {Array<{field: string, title: string}>} The columns
+ */
+export function getExportColumns(records) {
+    const columns = [...EXPORT_COLUMNS];
+    const known = new Set(columns.map(({ field }) => field));
+    records.forEach(record => {
+        Object.keys(record).forEach(field => {
+            if (!known.has(field)) {
+                known.add(field);
+                columns.push({ field, title: field });
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Export speaker records to a file
+ * @param {Object[]} records - The speaker records, in the order to export them
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {Array<{field: string, title: string}>} options.columns - The columns to export, in order
+ * @param {string} [options.csvDelimiter] - Separates the cells of a CSV row; exportConfig by default
+ * @param {string} [options.listSeparator] - Joins the items of a list in one cell; exportConfig by default
+ * @param {string} [options.fieldSeparator] - Joins the fields of an object item in one cell; exportConfig by default
+ * @param {boolean} [options.filtered=false] - Whether the records are a filtered subset, which the file name mentions
+ * @param {Date} [options.exportedAt=new Date()] - Time of the export, for the file name
+ * @returns {{blob: Blob, fileName: string}} The file
+ */
+export function exportSpeakers(records, options) {
+    const {
+        format,
+        columns,
+        csvDelimiter = exportConfig.csvDelimiter,
+        listSeparator = exportConfig.listSeparator,
+        fieldSeparator = exportConfig.fieldSeparator,
+        filtered = false,
+        exportedAt = new Date()
+    } = options;
+
+    const fileType = FILE_TYPES[format];
+    if (!fileType) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    if (!columns || columns.length === 0) {
+        throw new Error('Choose at least one column to export');
+    }
+
+    let content;
+    if (format === EXPORT_FORMATS.json || format === EXPORT_FORMATS.compactJson) {
+        const selected = records.map(record => selectColumns(record, columns));
+        content = format === EXPORT_FORMATS.json ? JSON.stringify(selected, null, 2) : JSON.stringify(selected);
+    } else {
+        const separators = { listSeparator, fieldSeparator };
+        const rows = [
+            columns.map(({ title }) => title),
+            ...records.map(record => columns.map(({ field }) => flattenValue(record[field], separators)))
+        ];
+        content = format === EXPORT_FORMATS.csv ? createCsv(rows, csvDelimiter) : createXlsx(rows, exportedAt);
+    }
+
+    const fileName = `${exportConfig.fileNamePrefix}${filtered ? '-filtered' : ''}-${formatTimestamp(exportedAt)}.${fileType.extension}`;
+    return { blob: new Blob([content], { type: fileType.mimeType }), fileName };
+}
+
+/**
+ * Copy the chosen columns of a record, for JSON
+ * @param {Object} record - The speaker record
+ * @param {Array<{field: string}>} columns - The columns
+ * @returns {Object} The record with only those fields, in column order
+ */
+function selectColumns(record, columns) {
+    const selected = {};
+    columns.forEach(({ field }) => {
+        if (record[field] !== undefined) {
+            selected[field] = record[field];
+        }
+    });
+    return selected;
+}
+
+/**
+ * Flatten a field value into the text or number of one cell
+ * @param {*} value - The value
+ * @param {{listSeparator: string, fieldSeparator: string}} separators - See exportSpeakers
+ * @returns {string|number} The cell value; numbers stay numbers, for Excel
+ */
+function flattenValue(value, separators) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value
+            .map(item => String(flattenValue(item, separators)))
+            .filter(Boolean)
+            .join(separators.listSeparator);
+    }
+    if (typeof value === 'object') {
+        return Object.values(value)
+            .map(fieldValue => String(flattenValue(fieldValue, separators)))
+            .filter(Boolean)
+            .join(separators.fieldSeparator);
+    }
+    return String(value);
+}
+
+/**
+ * Create the text of a CSV file (RFC 4180, with a byte order mark so Excel reads it as UTF-8)
+ * @param {Array<Array<string|number>>} rows - The header row and the data rows
+ * @param {string} delimiter - Separates the cells of a row
+ * @returns {string} The CSV text
+ */
+function createCsv(rows, delimiter) {
+    const formatCell = (value) => {
+        let text = String(value);
+        // Keep spreadsheet programs from running a cell as a formula
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    };
+
+    return '\uFEFF' + rows.map(row => row.map(formatCell).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create an Excel workbook with one sheet; the first row is the header, shown bold and kept in view
+ * @param {Array<Array<string|number>>} rows - The header row and the data rows
+ * @param {Date} exportedAt - Modification time of the parts
+ * @returns {Uint8Array} The XLSX file
+ */
+function createXlsx(rows, exportedAt) {
+    const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const reference = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${reference}"${style}><v>${value}</v></c>`;
+            }
+            if (value === '') {
+                return '';
+            }
+            const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+            return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: xmlDeclaration
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlDeclaration
+                + `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NAMESPACE}">`
+                + `<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlDeclaration
+                + `<workbook xmlns="${SPREADSHEET_NAMESPACE}" xmlns:r="${RELATIONSHIPS_NAMESPACE}">`
+                + '<sheets><sheet name="Speakers" sheetId="1" r:id="rId1"/></sheets>'
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlDeclaration
+                + `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NAMESPACE}">`
+                + `<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>`
+                + `<Relationship Id="rId2" Type="${RELATIONSHIPS_NAMESPACE}/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            // Style 1 is the bold header
+            name: 'xl/styles.xml',
+            content: xmlDeclaration
+                + `<styleSheet xmlns="${SPREADSHEET_NAMESPACE}">`
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: xmlDeclaration
+                + `<worksheet xmlns="${SPREADSHEET_NAMESPACE}">`
+                + '<sheetViews><sheetView workbookViewId="0">'
+                + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+                + '</sheetView></sheetViews>'
+                + `<sheetData>${sheetRows.join('')}</sheetData>`
+                + '</worksheet>'
+        }
+    ];
+
+    return createZip(files, exportedAt);
+}
+
+/**
+ * Get the spreadsheet name of a column
+ * @param {number} index - Zero-based column index
+ * @returns {string} 'A' for 0, 'Z' for 25, 'AA' for 26, ...
+ */
+function getColumnName(index) {
+    let name = '';
+    for (let remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+        name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Escape text for XML content, leaving out characters XML does not allow
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+    return text
+        .replace(INVALID_XML_CHARACTERS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format the time of an export for a file name, in local time
+ * @param {Date} value - The time
+ * @returns {string} E.g. '2024-05-17-143005'
+ */
+function formatTimestamp(value) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+        + `-${pad(value.getHours())}${pad(value.getMinutes())}${pad(value.getSeconds())}`;
+}
@@ -0,0 +1,181 @@
+/**
+ * speakerQuery.js
+ * Free-text search, facet filters and sorting over the speaker pool records
+ *
+ * createIndex prepares the records once (search text, facet values and sort keys), so
+ * queryIndex stays fast with thousands of records; speakerBrowser.js queries it on every
+ * keystroke. Text is compared without case and accents: 'jose' finds 'José'.
+ *
+ * Facets follow the usual rules: values of one facet are alternatives (Dutch or English),
+ * different facets must all match (Dutch and available). The count of a value is the number
+ * of results when it would be selected on top of the other facets' selection.
+ */
+
+import { AVAILABILITY } from './profileSchema.js';
+
+/**
+ * The facets the records can be filtered on
+ */
+export const FACETS = [
+    { field: 'topics', title: 'Topics' },
+    { field: 'languages', title: 'Languages' },
+    { field: 'location', title: 'Location' },
+    { field: 'availability', title: 'Availability' }
+];
+
+/**
+ * The fields the records can be sorted on
+ */
+export const SORT_FIELDS = [
+    { field: 'name', title: 'Name' },
+    { field: 'jobTitle', title: 'Job title' },
+    { field: 'department', title: 'Department' },
+    { field: 'location', title: 'Location' },
+    { field: 'availability', title: 'Availability' }
+];
+
+/**
+ * Sort directions
+ */
+export const SORT_DIRECTIONS = {
+    ascending: 'ascending',
+    descending: 'descending'
+};
+
+// Fields that free-text search looks in
+const SEARCH_FIELDS = ['name', 'email', 'jobTitle', 'department', 'location', 'manager', 'languages', 'topics', 'bio'];
+
+// Compares sort keys the way people expect: case-insensitive, with numbers in numeric order
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Get the speaker records from the speaker pool data
+ * @param {Array|Object} poolData - The speaker pool data from dataService.getData: an array of records, or an object holding one
+ * @returns {Object[]} The records; entries that are not objects are left out
+ */
+export function getSpeakerRecords(poolData) {
+    if (!poolData) {
+        return [];
+    }
+
+    const records = Array.isArray(poolData) ? poolData : (Object.values(poolData).find(Array.isArray) || []);
+    return records.filter(record => typeof record === 'object' && record !== null && !Array.isArray(record));
+}
+
+/**
+ * Prepare records for querying
+ * @param {Object[]} records - The speaker records
+ * @returns {Array<{record: Object, searchText: string, facetValues: Object, sortKeys: Object}>} The index
+ */
+export function createIndex(records) {
+    return records.map(record => ({
+        record: record,
+        searchText: normalizeText(SEARCH_FIELDS.map(field => toValues(record[field]).join(' ')).join(' ')),
+        facetValues: Object.fromEntries(FACETS.map(({ field }) => [field, toValues(record[field])])),
+        sortKeys: Object.fromEntries(SORT_FIELDS.map(({ field }) => [field, getSortKey(record, field)]))
+    }));
+}
+
+/**
+ * Search, filter and sort the indexed records
+ * @param {Array} index - The index from createIndex
+ * @param {Object} [query]
+ * @param {string} [query.text=''] - Free text; every word must occur in the record
+ * @param {Object<string, string[]>} [query.filters={}] - Selected values per facet field
+ * @param {Array<{field: string, direction: string}>} [query.sort=[]] - Sort fields, most significant first
+ * @returns {{results: Object[], facetCounts: Object<string, Map<string, number>>}} The matching records in order,
+ *   and per facet the count of each value (see the module comment)
+ */
+export function queryIndex(index, { text = '', filters = {}, sort = [] } = {}) {
+    const words = normalizeText(text).split(/\s+/).filter(Boolean);
+    const textMatches = index.filter(entry => words.every(word => entry.searchText.includes(word)));
+
+    const activeFacets = FACETS.filter(({ field }) => filters[field] && filters[field].length > 0);
+    const matchesFacet = (entry, field) => filters[field].some(value => entry.facetValues[field].includes(value));
+
+    // The count of a facet's values ignores the facet's own selection
+    const facetCounts = {};
+    FACETS.forEach(({ field }) => {
+        const counts = new Map();
+        textMatches
+            .filter(entry => activeFacets.every(facet => facet.field === field || matchesFacet(entry, facet.field)))
+            .forEach(entry => {
+                entry.facetValues[field].forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+        facetCounts[field] = counts;
+    });
+
+    const matches = textMatches.filter(entry => activeFacets.every(({ field }) => matchesFacet(entry, field)));
+    if (sort.length > 0) {
+        matches.sort((a, b) => compareEntries(a, b, sort));
+    }
+
+    return { results: matches.map(entry => entry.record), facetCounts };
+}
+
+/**
+ * Compare two index entries on the sort fields in turn
+ * @param {Object} a - An entry
+ * @param {Object} b - Another entry
+ * @param {Array<{field: string, direction: string}>} sort - Sort fields, most significant first
+ * @returns {number} Negative when a comes first
+ */
+function compareEntries(a, b, sort) {
+    for (const { field, direction } of sort) {
+        const keyA = a.sortKeys[field];
+        const keyB = b.sortKeys[field];
+
+        // Records without a value come last in either direction
+        if (keyA === null || keyB === null) {
+            if (keyA !== keyB) {
+                return keyA === null ? 1 : -1;
+            }
+            continue;
+        }
+
+        const order = typeof keyA === 'number' && typeof keyB === 'number' ? keyA - keyB : collator.compare(String(keyA), String(keyB));
+        if (order !== 0) {
+            return direction === SORT_DIRECTIONS.descending ? -order : order;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Get the key a record is sorted on for a field
+ * @param {Object} record - The record
+ * @param {string} field - The field
+ * @returns {string|number|null} The key; availability sorts in the order of AVAILABILITY, null when there is no value
+ */
+function getSortKey(record, field) {
+    const values = toValues(record[field]);
+    if (values.length === 0) {
+        return null;
+    }
+    if (field === 'availability' && AVAILABILITY.includes(values[0])) {
+        return AVAILABILITY.indexOf(values[0]);
+    }
+    return values.join(', ');
+}
+
+/**
+ * Get the non-empty text values of a field: one for a string or number, each string or number of an array
+ * @param {*} value - The field value
+ * @returns {string[]} The values
+ */
+function toValues(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .filter(item => typeof item === 'string' || typeof item === 'number')
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Normalize text for searching: lower case, without accents
+ * @param {string} text - The text
+ * @returns {string} The normalized text
+ */
+function normalizeText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
@@ -4,8 +4,20 @@
  * 
  * This module handles all UI updates related to authentication status
  * It provides functions to update the UI based on the authentication state
+ * 
+ * The authentication part of the page is rendered from the application state
+ * (see appState.js) by renderAppState; app.js subscribes it to state changes.
+ * Likewise renderPoolData and renderDeltaList render resources of resourceStore.js
+ * whenever they change; the speaker pool is shown by speakerBrowser.js.
  */
 
+import { APP_STATES } from './appState.js';
+import { RESOURCE_STATUS, RESOURCE_SOURCES } from './resourceStore.js';
+import { PROFILE_SCHEMA } from './profileSchema.js';
+import * as profileForm from './profileForm.js';
+import { IMPORT_FILE_TYPES } from './profileImport.js';
+import * as speakerBrowser from './speakerBrowser.js';
+
 // Constants for DOM elements
 const DOM_ELEMENTS = {
   welcomeMessage: document.getElementById('welcome-message'),
@@ -22,7 +34,6 @@ const DOM_ELEMENTS = {
   fetchDataButton: document.getElementById('fetch-data'),
   dataContent: document.getElementById('data-content'),
   userDataContent: document.getElementById('userdata-content'),
-  apiData: document.getElementById('api-data'),
   apiUserData: document.getElementById('api-user-data'),
   dataStatus: document.getElementById('data-status'),
   userDataStatus: document.getElementById('user-data-status'),
@@ -33,16 +44,39 @@ const DOM_ELEMENTS = {
   deltaFilesList: document.getElementById('delta-files-list'),
   deltaFileContentContainer: document.getElementById('delta-file-content-container'),
   deltaFileContent: document.getElementById('delta-file-content'),
-  deltaFileStatus: document.getElementById('delta-file-status')
+  deltaFileStatus: document.getElementById('delta-file-status'),
+  // Account elements
+  accountBar: document.getElementById('account-bar'),
+  activeAccount: document.getElementById('active-account'),
+  switchAccountButton: document.getElementById('switch-account-button'),
+  accountPicker: document.getElementById('account-picker'),
+  accountList: document.getElementById('account-list'),
+  // Directory profile elements
+  profileSection: document.getElementById('profile-section'),
+  profileDetails: document.getElementById('profile-details'),
+  loadProfileDetailsButton: document.getElementById('load-profile-details'),
+  prefillUserDataButton: document.getElementById('prefill-user-data')
 };
 
+// Text of the user data as last fetched or saved, to detect unsaved edits
+let savedUserDataText = '';
+
+// Editor for the user data: 'form' (generated from the profile schema) or 'json'.
+// The textarea stays the source of truth; the form writes every change back into it.
+const USER_DATA_VIEW_KEY = 'speakerpool.userDataView';
+let userDataView = localStorage.getItem(USER_DATA_VIEW_KEY) === 'json' ? 'json' : 'form';
+
+// Called after every edit of the user data by the user (see initializeUI)
+let onUserDataEdited = null;
+
 // CSS classes for styling different states
 const UI_CLASSES = {
   authenticated: 'authenticated',
   unauthenticated: 'unauthenticated',
   loading: 'loading',
   error: 'error',
-  success: 'success'
+  success: 'success',
+  warning: 'warning'
 };
 
 /**
@@ -54,13 +88,20 @@ const UI_CLASSES = {
  * @param {Function} saveUserDataCallback - Function to call when save user data button is clicked
  * @param {Function} fetchDeltaListCallback - Function to call when fetch delta list button is clicked
  * @param {Function} viewDeltaFileCallback - Function to call when a delta file is clicked
+ * @param {Function} switchAccountCallback - Function to call when switch account button is clicked
+ * @param {Function} loadProfileDetailsCallback - Function to call when show directory details button is clicked
+ * @param {Function} prefillUserDataCallback - Function to call when prefill from directory button is clicked
+ * @param {Function} userDataEditedCallback - Function to call when the user edits the user data, in the form or as JSON
+ * @param {Function} compareUserDataCallback - Function to call when compare with speaker pool button is clicked
+ * @param {Function} profileHistoryCallback - Function to call when the history button is clicked
+ * @param {Function} importProfileCallback - Function to call with the file the user picked to import a profile from
  */
-export function initializeUI(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback) {
+export function initializeUI(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback, switchAccountCallback, loadProfileDetailsCallback, prefillUserDataCallback, userDataEditedCallback, compareUserDataCallback, profileHistoryCallback, importProfileCallback) {
   // Check if DOM is loaded
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback));
+    document.addEventListener('DOMContentLoaded', () => setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback, switchAccountCallback, loadProfileDetailsCallback, prefillUserDataCallback, userDataEditedCallback, compareUserDataCallback, profileHistoryCallback, importProfileCallback));
   } else {
-    setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback);
+    setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback, switchAccountCallback, loadProfileDetailsCallback, prefillUserDataCallback, userDataEditedCallback, compareUserDataCallback, profileHistoryCallback, importProfileCallback);
   }
 }
 
@@ -73,8 +114,15 @@ export function initializeUI(signInCallback, signOutCallback, fetchDataCallback,
  * @param {Function} saveUserDataCallback - Function to call when save user data button is clicked
  * @param {Function} fetchDeltaListCallback - Function to call when fetch delta list button is clicked
  * @param {Function} viewDeltaFileCallback - Function to call when a delta file is clicked
+ * @param {Function} switchAccountCallback - Function to call when switch account button is clicked
+ * @param {Function} loadProfileDetailsCallback - Function to call when show directory details button is clicked
+ * @param {Function} prefillUserDataCallback - Function to call when prefill from directory button is clicked
+ * @param {Function} userDataEditedCallback - Function to call when the user edits the user data, in the form or as JSON
+ * @param {Function} compareUserDataCallback - Function to call when compare with speaker pool button is clicked
+ * @param {Function} profileHistoryCallback - Function to call when the history button is clicked
+ * @param {Function} importProfileCallback - Function to call with the file the user picked to import a profile from
  */
-function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback) {
+function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback, fetchUserDataCallback, saveUserDataCallback, fetchDeltaListCallback, viewDeltaFileCallback, switchAccountCallback, loadProfileDetailsCallback, prefillUserDataCallback, userDataEditedCallback, compareUserDataCallback, profileHistoryCallback, importProfileCallback) {
   // Re-assign DOM elements to ensure they're available
   const elements = {
     welcomeMessage: document.getElementById('welcome-message'),
@@ -87,7 +135,6 @@ function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback,
     dataSection: document.getElementById('data-section'),
     fetchDataButton: document.getElementById('fetch-data'),
     dataContent: document.getElementById('data-content'),
-    apiData: document.getElementById('api-data'),
     dataStatus: document.getElementById('data-status'),
     userDataSection: document.getElementById('userdata-section'),
     fetchUserDataButton: document.getElementById('fetch-user-data'),
@@ -102,7 +149,12 @@ function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback,
     deltaFilesList: document.getElementById('delta-files-list'),
     deltaFileContentContainer: document.getElementById('delta-file-content-container'),
     deltaFileContent: document.getElementById('delta-file-content'),
-    deltaFileStatus: document.getElementById('delta-file-status')
+    deltaFileStatus: document.getElementById('delta-file-status'),
+    // Account elements
+    switchAccountButton: document.getElementById('switch-account-button'),
+    // Directory profile elements
+    loadProfileDetailsButton: document.getElementById('load-profile-details'),
+    prefillUserDataButton: document.getElementById('prefill-user-data')
   };
   
   // Set up sign in button
@@ -125,6 +177,31 @@ function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback,
     });
   }
   
+  // Set up switch account button
+  if (elements.switchAccountButton) {
+    elements.switchAccountButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      if (typeof switchAccountCallback === 'function') {
+        switchAccountCallback();
+      }
+    });
+  }
+  
+  // Set up show directory details button
+  if (elements.loadProfileDetailsButton && typeof loadProfileDetailsCallback === 'function') {
+    elements.loadProfileDetailsButton.addEventListener('click', () => {
+      loadProfileDetailsCallback();
+    });
+  }
+  
+  // Set up prefill from directory button
+  if (elements.prefillUserDataButton && typeof prefillUserDataCallback === 'function') {
+    elements.prefillUserDataButton.addEventListener('click', () => {
+      showDataStatus('Loading directory profile...', UI_CLASSES.loading);
+      prefillUserDataCallback();
+    });
+  }
+  
   // Set up token toggle button
   if (elements.tokenToggle) {
     elements.tokenToggle.addEventListener('click', () => {
@@ -165,6 +242,75 @@ function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback,
     });
   }
   
+  // Set up the switch between the form and the JSON editor
+  const toggleUserDataViewButton = document.getElementById('toggle-user-data-view');
+  if (toggleUserDataViewButton) {
+    toggleUserDataViewButton.addEventListener('click', () => {
+      setUserDataView(userDataView === 'form' ? 'json' : 'form');
+    });
+  }
+  // Set up compare with speaker pool button and the close button of its panel
+  const compareUserDataButton = document.getElementById('compare-user-data');
+  if (compareUserDataButton && typeof compareUserDataCallback === 'function') {
+    compareUserDataButton.addEventListener('click', () => {
+      showDataStatus('Comparing with the speaker pool...', UI_CLASSES.loading);
+      compareUserDataCallback();
+    });
+  }
+  const closeUserDataDiffButton = document.getElementById('close-user-data-diff');
+  if (closeUserDataDiffButton) {
+    closeUserDataDiffButton.addEventListener('click', hideUserDataDiff);
+  }
+  
+  // Set up the version history button and the close button of its panel
+  const profileHistoryButton = document.getElementById('show-profile-history');
+  if (profileHistoryButton && typeof profileHistoryCallback === 'function') {
+    profileHistoryButton.addEventListener('click', () => {
+      showDataStatus('Loading the saved versions of your profile...', UI_CLASSES.loading);
+      profileHistoryCallback();
+    });
+  }
+  const closeProfileHistoryButton = document.getElementById('close-profile-history');
+  if (closeProfileHistoryButton) {
+    closeProfileHistoryButton.addEventListener('click', hideProfileHistory);
+  }
+  
+  // Set up the import button, which opens the file picker, and the cancel button of the preview
+  const importProfileButton = document.getElementById('import-profile');
+  const importProfileFile = document.getElementById('import-profile-file');
+  if (importProfileButton && importProfileFile && typeof importProfileCallback === 'function') {
+    importProfileFile.accept = IMPORT_FILE_TYPES;
+    importProfileButton.addEventListener('click', () => importProfileFile.click());
+    importProfileFile.addEventListener('change', () => {
+      const file = importProfileFile.files[0];
+      // Cleared so that picking the same file again is reported as a change
+      importProfileFile.value = '';
+      if (file) {
+        showDataStatus(`Reading ${file.name}...`, UI_CLASSES.loading);
+        importProfileCallback(file);
+      }
+    });
+  }
+  const cancelProfileImportButton = document.getElementById('cancel-profile-import');
+  if (cancelProfileImportButton) {
+    cancelProfileImportButton.addEventListener('click', hideProfileImport);
+  }
+  
+  // Report edits of the user data, typed as JSON or made in the form (see refreshProfileForm)
+  if (typeof userDataEditedCallback === 'function') {
+    onUserDataEdited = userDataEditedCallback;
+    if (elements.apiUserData) {
+      elements.apiUserData.addEventListener('input', () => onUserDataEdited());
+    }
+  }
+  
+  const profileFormElement = document.getElementById('profile-form');
+  if (profileFormElement) {
+    // The form only edits the data; saving goes through the Save User Data button
+    profileFormElement.addEventListener('submit', (event) => event.preventDefault());
+  }
+  refreshProfileForm();
+  
   // Set up fetch delta list button (admin)
   if (elements.fetchDeltaListButton && typeof fetchDeltaListCallback === 'function') {
     elements.fetchDeltaListButton.addEventListener('click', () => {
@@ -174,28 +320,183 @@ function setupEventListeners(signInCallback, signOutCallback, fetchDataCallback,
   }
 }
 
+/**
+ * Switch the user data editor between the form and the JSON textarea
+ * @param {string} view - 'form' or 'json'
+ */
+function setUserDataView(view) {
+  userDataView = view;
+  refreshProfileForm();
+  // refreshProfileForm falls back to the JSON editor when the form cannot show the data
+  localStorage.setItem(USER_DATA_VIEW_KEY, userDataView);
+}
+
+/**
+ * Rebuild the profile form from the user data textarea and show the editor of the current view
+ * 
+ * Called whenever the textarea is filled programmatically. When the textarea does not hold
+ * a JSON object the form cannot show it, so the JSON editor is shown instead.
+ */
+function refreshProfileForm() {
+  const elements = {
+    profileForm: document.getElementById('profile-form'),
+    apiUserData: document.getElementById('api-user-data'),
+    toggleButton: document.getElementById('toggle-user-data-view')
+  };
+  
+  if (!elements.profileForm || !elements.apiUserData) {
+    return;
+  }
+  
+  if (userDataView === 'form') {
+    const text = elements.apiUserData.value.trim();
+    let data = null;
+    try {
+      data = text === '' ? {} : JSON.parse(text);
+    } catch (error) {
+      // Handled below
+    }
+    
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      profileForm.renderForm(elements.profileForm, PROFILE_SCHEMA, data, (updated) => {
+        elements.apiUserData.value = JSON.stringify(updated, null, 2);
+        if (onUserDataEdited) {
+          onUserDataEdited();
+        }
+      });
+    } else {
+      userDataView = 'json';
+      showDataStatus('The user data is not a valid JSON object; fix it in the JSON editor to use the form', UI_CLASSES.error);
+    }
+  }
+  
+  const showForm = userDataView === 'form';
+  elements.profileForm.style.display = showForm ? 'block' : 'none';
+  elements.apiUserData.style.display = showForm ? 'none' : 'block';
+  if (elements.toggleButton) {
+    elements.toggleButton.textContent = showForm ? 'Edit as JSON' : 'Edit as Form';
+    elements.toggleButton.setAttribute('aria-pressed', String(!showForm));
+  }
+}
+
+/**
+ * Render the page for the current application state
+ * @param {{name: string, context: Object}} state - The application state from appState.js
+ */
+export function renderAppState(state) {
+  const { name, context } = state;
+  document.body.dataset.appState = name;
+  
+  switch (name) {
+    case APP_STATES.loadingLibrary:
+      showProgress('Loading...');
+      break;
+      
+    case APP_STATES.libraryFailed:
+      showStartupError(context.message, context.details || []);
+      break;
+      
+    case APP_STATES.unauthenticated:
+      showUnauthenticatedState(context.message);
+      break;
+      
+    case APP_STATES.authenticating:
+      showProgress('Signing in...');
+      break;
+      
+    case APP_STATES.loadingProfile:
+      showProgress('Loading your profile...');
+      break;
+      
+    case APP_STATES.authenticated:
+    case APP_STATES.admin:
+      showAuthenticatedUser(context.profile, context.claims, context.providerName);
+      toggleAdminSection(name === APP_STATES.admin);
+      break;
+      
+    case APP_STATES.sessionExpired:
+      showUnauthenticatedState(context.message || 'Your session has expired. Please sign in again.');
+      break;
+      
+    case APP_STATES.error:
+      // Errors with details (such as an invalid configuration) leave nothing usable on the page
+      if (context.details) {
+        showStartupError(context.message, context.details);
+      } else {
+        showUnauthenticatedState();
+        showError(context.message);
+      }
+      break;
+  }
+}
+
+/**
+ * Show a progress message in place of the welcome message while authentication is busy
+ * @param {string} message - The message to show
+ */
+function showProgress(message) {
+  const elements = {
+    welcomeMessage: document.getElementById('welcome-message'),
+    signInButton: document.getElementById('signin-button'),
+    signOutButton: document.getElementById('signout-button'),
+    accountPicker: document.getElementById('account-picker')
+  };
+  
+  if (elements.welcomeMessage) {
+    elements.welcomeMessage.innerHTML = '';
+    const progressMessage = document.createElement('p');
+    progressMessage.className = UI_CLASSES.loading;
+    progressMessage.textContent = message;
+    elements.welcomeMessage.appendChild(progressMessage);
+  }
+  
+  // No sign-in or sign-out while busy; sections already on screen stay to avoid flicker
+  if (elements.signInButton) {
+    elements.signInButton.style.display = 'none';
+  }
+  
+  if (elements.signOutButton) {
+    elements.signOutButton.style.display = 'none';
+  }
+  
+  if (elements.accountPicker) {
+    elements.accountPicker.style.display = 'none';
+  }
+}
+
 /**
  * Update UI to show authenticated user with user information
  * @param {Object} user - The user object containing profile information
  * @param {Object|null} tokenClaims - The parsed ID token claims
+ * @param {string} [providerName] - Name of the identity provider the user signed in with
  */
-export function showAuthenticatedUser(user, tokenClaims) {
+function showAuthenticatedUser(user, tokenClaims, providerName = 'Microsoft Entra ID') {
   const elements = {
     welcomeMessage: document.getElementById('welcome-message'),
     signInButton: document.getElementById('signin-button'),
     signOutButton: document.getElementById('signout-button'),
     tokenSection: document.getElementById('token-section'),
     tokenData: document.getElementById('token-data'),
-    dataSection: document.getElementById('data-section')
+    dataSection: document.getElementById('data-section'),
+    accountBar: document.getElementById('account-bar'),
+    activeAccount: document.getElementById('active-account'),
+    accountPicker: document.getElementById('account-picker'),
+    profileSection: document.getElementById('profile-section')
   };
   
-  // Update welcome message with user's name
+  // Update welcome message with user's name; textContent keeps names from being interpreted as HTML
   if (elements.welcomeMessage) {
     const displayName = user.displayName || user.name || 'Authenticated User';
-    elements.welcomeMessage.innerHTML = `
-      <p>Welcome, <strong>${displayName}</strong>!</p>
-      <p class="user-info">You are signed in with Microsoft Entra ID</p>
-    `;
+    const welcome = document.createElement('p');
+    const name = document.createElement('strong');
+    name.textContent = displayName;
+    welcome.append('Welcome, ', name, '!');
+    
+    const signedInWith = document.createElement('p');
+    signedInWith.className = 'user-info';
+    signedInWith.textContent = `You are signed in with ${providerName}`;
+    
+    elements.welcomeMessage.replaceChildren(welcome, signedInWith);
   }
   
   // Update button visibility
@@ -207,6 +508,21 @@ export function showAuthenticatedUser(user, tokenClaims) {
     elements.signOutButton.style.display = 'inline-block';
   }
   
+  // Show which account is active, with the option to switch
+  if (elements.accountBar && elements.activeAccount) {
+    const username = (tokenClaims && tokenClaims.preferred_username) || user.userPrincipalName || '';
+    elements.activeAccount.textContent = username ? `Signed in as ${username}` : '';
+    elements.accountBar.style.display = 'flex';
+  }
+  
+  if (elements.accountPicker) {
+    elements.accountPicker.style.display = 'none';
+  }
+  
+  if (elements.profileSection) {
+    elements.profileSection.style.display = 'block';
+  }
+  
   // Show token section and update token data
   if (elements.tokenSection) {
     elements.tokenSection.style.display = 'block';
@@ -230,12 +546,31 @@ export function showAuthenticatedUser(user, tokenClaims) {
 /**
  * Update UI to show unauthenticated state
  */
+/**
+ * Render the delta list resource in the admin section
+ * 
+ * app.js subscribes this to RESOURCES.deltaList (see resourceStore.js); errors are shown by app.js.
+ * @param {Object} resource - State of the resource from resourceStore.js
+ * @param {Function} viewDeltaFileCallback - Function to call when a file is clicked
+ */
+export function renderDeltaList(resource, viewDeltaFileCallback) {
+  if (resource.value === null) {
+    return;
+  }
+
+  displayDeltaFilesList(resource.value, viewDeltaFileCallback);
+  if (resource.status === RESOURCE_STATUS.success) {
+    const fileList = resource.value;
+    showDeltaStatus(fileList.length === 0 ? 'No delta files found' : `Found ${fileList.length} delta files`, UI_CLASSES.success);
+  }
+}
+
 /**
  * Display a list of delta files in the admin section
  * @param {string[]} fileList - Array of delta file paths
  * @param {Function} viewDeltaFileCallback - Function to call when a file is clicked
  */
-export function displayDeltaFilesList(fileList, viewDeltaFileCallback) {
+function displayDeltaFilesList(fileList, viewDeltaFileCallback) {
   const elements = {
     deltaListContainer: document.getElementById('delta-list-container'),
     deltaFilesList: document.getElementById('delta-files-list')
@@ -345,19 +680,28 @@ export function showDeltaError(errorMessage) {
  * Show or hide the admin section based on authentication status
  * @param {boolean} show - Whether to show (true) or hide (false) the admin section
  */
-export function toggleAdminSection(show) {
+function toggleAdminSection(show) {
   const adminSection = document.getElementById('admin-section');
   if (adminSection) {
     adminSection.style.display = show ? 'block' : 'none';
   }
 }
 
-export function showUnauthenticatedState() {
+/**
+ * Update UI to show that nobody is signed in
+ * @param {string} [notice] - Why, e.g. after an automatic sign-out
+ */
+function showUnauthenticatedState(notice) {
   const elements = {
     welcomeMessage: document.getElementById('welcome-message'),
     signInButton: document.getElementById('signin-button'),
     signOutButton: document.getElementById('signout-button'),
-    tokenSection: document.getElementById('token-section')
+    tokenSection: document.getElementById('token-section'),
+    dataSection: document.getElementById('data-section'),
+    userDataSection: document.getElementById('userdata-section'),
+    accountBar: document.getElementById('account-bar'),
+    accountPicker: document.getElementById('account-picker'),
+    profileSection: document.getElementById('profile-section')
   };
   
   // Reset welcome message
@@ -365,6 +709,13 @@ export function showUnauthenticatedState() {
     elements.welcomeMessage.innerHTML = `
       <p>Welcome, please sign in</p>
     `;
+    
+    if (notice) {
+      const noticeMessage = document.createElement('p');
+      noticeMessage.className = 'user-info';
+      noticeMessage.textContent = notice;
+      elements.welcomeMessage.appendChild(noticeMessage);
+    }
   }
   
   // Update button visibility
@@ -389,29 +740,229 @@ export function showUnauthenticatedState() {
     elements.userDataSection.style.display = 'none';
   }
   
+  if (elements.accountBar) {
+    elements.accountBar.style.display = 'none';
+  }
+  
+  if (elements.accountPicker) {
+    elements.accountPicker.style.display = 'none';
+  }
+  
+  if (elements.profileSection) {
+    elements.profileSection.style.display = 'none';
+  }
+  
+  // Admin tools are never available without an authenticated user
+  toggleAdminSection(false);
+  
   // Update body class
   document.body.classList.add(UI_CLASSES.unauthenticated);
   document.body.classList.remove(UI_CLASSES.authenticated);
 }
 
 /**
- * Display data in the API data textarea
- * @param {Object} data - The data to display
+ * Display the extended directory profile (photo, department, manager, groups) in the welcome area
+ * @param {Object|null} profile - The extended profile, or null to clear the details
+ */
+export function displayProfileDetails(profile) {
+  const profileDetails = document.getElementById('profile-details');
+  if (!profileDetails) {
+    return;
+  }
+  
+  profileDetails.innerHTML = '';
+  if (!profile) {
+    return;
+  }
+  
+  if (profile.photoUrl) {
+    const photo = document.createElement('img');
+    photo.className = 'profile-photo';
+    photo.src = profile.photoUrl;
+    photo.alt = 'Profile photo';
+    profileDetails.appendChild(photo);
+  }
+  
+  // Label/value rows; values are set as text so directory data is never interpreted as HTML
+  const rows = [
+    ['Job title', profile.jobTitle],
+    ['Department', profile.department],
+    ['Office', profile.officeLocation],
+    ['Manager', profile.manager ? profile.manager.displayName : null],
+    ['Groups', profile.groups ? profile.groups.map(group => group.displayName).join(', ') : null]
+  ];
+  
+  const details = document.createElement('div');
+  rows.filter(([, value]) => value).forEach(([label, value]) => {
+    const row = document.createElement('p');
+    const labelElement = document.createElement('strong');
+    labelElement.textContent = `${label}: `;
+    row.appendChild(labelElement);
+    row.appendChild(document.createTextNode(value));
+    details.appendChild(row);
+  });
+  
+  if (profile.unavailable && profile.unavailable.length > 0) {
+    const note = document.createElement('p');
+    note.className = 'profile-note';
+    note.textContent = `Not available (permission not granted): ${profile.unavailable.join(', ')}`;
+    details.appendChild(note);
+  }
+  
+  profileDetails.appendChild(details);
+}
+
+/**
+ * Show a picker listing the cached accounts, so the user can choose which one to use
+ * @param {Object[]} accounts - The cached MSAL accounts
+ * @param {Function} selectAccountCallback - Function to call with the chosen account
  */
-export function displayData(data) {
+export function showAccountPicker(accounts, selectAccountCallback) {
   const elements = {
-    apiData: document.getElementById('api-data')
+    welcomeMessage: document.getElementById('welcome-message'),
+    signInButton: document.getElementById('signin-button'),
+    signOutButton: document.getElementById('signout-button'),
+    accountPicker: document.getElementById('account-picker'),
+    accountList: document.getElementById('account-list')
   };
   
-  if (elements.apiData && data) {
-    // Format the data as pretty JSON
-    const formattedData = JSON.stringify(data, null, 2);
-    elements.apiData.value = formattedData;
-    
-    // Show success status
+  if (!elements.accountPicker || !elements.accountList) {
+    return;
+  }
+  
+  if (elements.welcomeMessage) {
+    elements.welcomeMessage.innerHTML = `
+      <p>You are signed in with more than one account</p>
+    `;
+  }
+  
+  // Clear previous list
+  elements.accountList.innerHTML = '';
+  
+  // One button per account; textContent keeps account names from being interpreted as HTML
+  accounts.forEach(account => {
+    const accountButton = document.createElement('button');
+    accountButton.textContent = account.name ? `${account.name} (${account.username})` : account.username;
+    accountButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      elements.accountPicker.style.display = 'none';
+      if (typeof selectAccountCallback === 'function') {
+        selectAccountCallback(account);
+      }
+    });
+    elements.accountList.appendChild(accountButton);
+  });
+  
+  elements.accountPicker.style.display = 'block';
+  
+  // Signing in with yet another account remains possible
+  if (elements.signInButton) {
+    elements.signInButton.style.display = 'inline-block';
+  }
+  
+  if (elements.signOutButton) {
+    elements.signOutButton.style.display = 'none';
+  }
+}
+
+/**
+ * Clear all data displayed for the previous account
+ */
+export function clearDataDisplay() {
+  const elements = {
+    tokenData: document.getElementById('token-data'),
+    apiUserData: document.getElementById('api-user-data'),
+    deltaListContainer: document.getElementById('delta-list-container'),
+    deltaFilesList: document.getElementById('delta-files-list'),
+    deltaFileContentContainer: document.getElementById('delta-file-content-container'),
+    deltaFileContent: document.getElementById('delta-file-content')
+  };
+  
+  [elements.tokenData, elements.apiUserData, elements.deltaFileContent].forEach(textarea => {
+    if (textarea) {
+      textarea.value = '';
+    }
+  });
+  
+  if (elements.deltaFilesList) {
+    elements.deltaFilesList.innerHTML = '';
+  }
+  
+  speakerBrowser.clearSpeakers();
+  displayProfileDetails(null);
+  hideMergeConflict();
+  clearValidationIssues();
+  savedUserDataText = '';
+  refreshProfileForm();
+  showPendingSaves(0);
+  hideDraftOffer();
+  hideUserDataDiff();
+  hideProfileImport();
+  hideProfileHistory();
+  
+  if (elements.deltaListContainer) {
+    elements.deltaListContainer.style.display = 'none';
+  }
+  
+  if (elements.deltaFileContentContainer) {
+    elements.deltaFileContentContainer.style.display = 'none';
+  }
+  
+  showDataStatus('');
+  showDeltaStatus('');
+}
+
+/**
+ * Render the speaker pool resource in the speaker browser (see speakerBrowser.js)
+ * 
+ * app.js subscribes this to RESOURCES.pool (see resourceStore.js), so the data is shown
+ * whenever it is fetched, restored from the persistent cache or revalidated. Errors are
+ * shown by app.js.
+ * @param {Object} resource - State of the resource from resourceStore.js
+ */
+export function renderPoolData(resource) {
+  if (!resource.value) {
+    return;
+  }
+  
+  speakerBrowser.showSpeakers(resource.value);
+  
+  if (resource.source === RESOURCE_SOURCES.cache) {
+    const savedAgo = formatAge(Date.now() - resource.updatedAt.getTime());
+    if (resource.status === RESOURCE_STATUS.loading) {
+      showDataStatus(`Showing data saved ${savedAgo}; checking for updates...`, UI_CLASSES.loading);
+    } else {
+      showDataStatus(`Showing data saved ${savedAgo}; it could not be updated`, UI_CLASSES.warning);
+    }
+    return;
+  }
+  
+  // Show success status
+  if (resource.status === RESOURCE_STATUS.success) {
     showDataStatus('Data fetched successfully', UI_CLASSES.success);
   }
 }
+
+/**
+ * Describe how long ago something happened
+ * @param {number} ageMs - Age in milliseconds
+ * @returns {string} E.g. 'just now', '5 minutes ago' or '2 days ago'
+ */
+function formatAge(ageMs) {
+  const minutes = Math.floor(ageMs / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
 /**
  * Display data in the API data textarea
  * @param {Object} data - The data to display
@@ -425,12 +976,683 @@ export function displayUserData(data) {
     // Format the data as pretty JSON
     const formattedData = JSON.stringify(data, null, 2);
     elements.apiUserData.value = formattedData;
+    savedUserDataText = formattedData;
+    refreshProfileForm();
+    
+    // A conflict or validation issues shown for earlier edits no longer apply
+    hideMergeConflict();
+    clearValidationIssues();
     
     // Show success status
     showDataStatus('User Data fetched successfully', UI_CLASSES.success);
   }
 }
 
+/**
+ * Show user data that was prefilled (but not yet saved) in the user data textarea
+ * @param {Object} data - The prefilled user data
+ * @param {string[]} filledFields - Names of the fields that were filled in
+ */
+export function displayPrefilledUserData(data, filledFields) {
+  const apiUserData = document.getElementById('api-user-data');
+  if (!apiUserData) {
+    return;
+  }
+  
+  // The saved baseline is left alone: prefilled values count as unsaved edits
+  apiUserData.value = JSON.stringify(data, null, 2);
+  refreshProfileForm();
+  
+  if (filledFields.length === 0) {
+    showDataStatus('No empty fields could be filled from the directory', UI_CLASSES.success);
+  } else {
+    showDataStatus(`Prefilled from directory: ${filledFields.join(', ')}. Review and save to keep them.`, UI_CLASSES.success);
+  }
+}
+
+/**
+ * Show a save conflict as a three-way merge, so the user can choose a value for each conflicting field
+ * @param {Object} conflict - The conflict from dataService.saveUserData
+ * @param {Function} applyCallback - Function to call with the conflicting fields for which the saved version was chosen
+ */
+export function showMergeConflict(conflict, applyCallback) {
+  const elements = {
+    mergeConflict: document.getElementById('merge-conflict'),
+    summary: document.getElementById('merge-conflict-summary'),
+    fields: document.getElementById('merge-conflict-fields'),
+    applyButton: document.getElementById('apply-merge'),
+    cancelButton: document.getElementById('cancel-merge')
+  };
+  
+  if (!elements.mergeConflict) {
+    return;
+  }
+  
+  const { conflicts, mergedFromServer } = conflict.merge;
+  const summary = [];
+  if (conflicts.length > 0) {
+    summary.push(`Your changes were not saved: ${conflicts.length} field(s) were also changed elsewhere. Choose the value to keep for each.`);
+  } else {
+    summary.push('Your changes were not saved because the profile was changed elsewhere, but they do not overlap.');
+  }
+  if (mergedFromServer.length > 0) {
+    summary.push(`Changes made elsewhere to ${mergedFromServer.join(', ')} are taken over.`);
+  }
+  elements.summary.textContent = summary.join(' ');
+  
+  // One row per conflicting field with a choice between your value and the saved value;
+  // textContent keeps the values from being interpreted as HTML
+  elements.fields.innerHTML = '';
+  const serverChoices = new Map();
+  conflicts.forEach(({ field, base, local, server }) => {
+    const row = document.createElement('tr');
+    
+    const fieldCell = document.createElement('td');
+    fieldCell.textContent = field;
+    
+    const baseCell = document.createElement('td');
+    baseCell.className = 'merge-base';
+    baseCell.textContent = formatMergeValue(base);
+    
+    const serverCell = createMergeChoice(field, 'server', server, false);
+    serverChoices.set(field, serverCell.querySelector('input'));
+    
+    row.append(fieldCell, baseCell, createMergeChoice(field, 'local', local, true), serverCell);
+    elements.fields.appendChild(row);
+  });
+  
+  // onclick (rather than addEventListener) so repeated conflicts do not stack handlers
+  elements.applyButton.onclick = (event) => {
+    event.preventDefault();
+    const serverFields = Array.from(serverChoices.entries())
+      .filter(([, serverChoice]) => serverChoice.checked)
+      .map(([field]) => field);
+    hideMergeConflict();
+    if (typeof applyCallback === 'function') {
+      applyCallback(serverFields);
+    }
+  };
+  
+  elements.cancelButton.onclick = (event) => {
+    event.preventDefault();
+    hideMergeConflict();
+    showDataStatus('Your changes are not saved. Saving them again will report the same conflict.', UI_CLASSES.error);
+  };
+  
+  elements.mergeConflict.style.display = 'block';
+  elements.mergeConflict.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Create the table cell with the option to keep one side's value of a conflicting field
+ * @param {string} field - The field name
+ * @param {string} side - 'local' or 'server'
+ * @param {*} value - That side's value
+ * @param {boolean} checked - Whether this option is selected initially
+ * @returns {HTMLTableCellElement} The cell
+ */
+function createMergeChoice(field, side, value, checked) {
+  const cell = document.createElement('td');
+  const label = document.createElement('label');
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = `merge-${field}`;
+  radio.value = side;
+  radio.checked = checked;
+  
+  const valueText = document.createElement('span');
+  valueText.textContent = formatMergeValue(value);
+  
+  label.append(radio, valueText);
+  cell.appendChild(label);
+  return cell;
+}
+
+/**
+ * Format a field value for the merge table
+ * @param {*} value - The value
+ * @returns {string} The value as text
+ */
+function formatMergeValue(value) {
+  if (value === undefined) {
+    return '(not set)';
+  }
+  
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Hide the save conflict
+ */
+export function hideMergeConflict() {
+  const mergeConflict = document.getElementById('merge-conflict');
+  if (mergeConflict) {
+    mergeConflict.style.display = 'none';
+  }
+}
+
+/**
+ * Show how the user data differs from the user's record in the speaker pool
+ * @param {{record: Object|null, changes: Array}} comparison - From dataService.compareWithSpeakerRecord
+ */
+export function showUserDataDiff(comparison) {
+  const elements = {
+    diffPanel: document.getElementById('user-data-diff'),
+    summary: document.getElementById('user-data-diff-summary'),
+    changes: document.getElementById('user-data-diff-changes')
+  };
+  
+  if (!elements.diffPanel) {
+    return;
+  }
+  
+  const { record, changes } = comparison;
+  if (!record) {
+    elements.summary.textContent = 'You have no record in the speaker pool yet: everything in your profile is new.';
+  } else if (changes.length === 0) {
+    elements.summary.textContent = 'Your profile matches your record in the speaker pool.';
+  } else {
+    elements.summary.textContent = `Compared to your record in the speaker pool: ${countChanges(changes)}.`;
+  }
+  
+  fillChangesTable(elements.changes, changes);
+  
+  showDataStatus('', null);
+  elements.diffPanel.style.display = 'block';
+  elements.diffPanel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Fill the body of a diff table with one row per change
+ * @param {HTMLTableSectionElement} tableBody - The table body
+ * @param {Array} changes - The changes (see jsonDiff.diffJson)
+ */
+function fillChangesTable(tableBody, changes) {
+  // textContent keeps the values from being interpreted as HTML
+  tableBody.innerHTML = '';
+  changes.forEach(change => {
+    const row = document.createElement('tr');
+    row.className = `diff-${change.type}`;
+    [change.path, change.type, formatMergeValue(change.before), formatMergeValue(change.after)].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * Count the changes of each type, e.g. for a summary
+ * @param {Array} changes - The changes (see jsonDiff.diffJson)
+ * @returns {string} E.g. '2 added, 1 changed'
+ */
+function countChanges(changes) {
+  return ['added', 'changed', 'removed']
+    .map(type => ({ type, count: changes.filter(change => change.type === type).length }))
+    .filter(({ count }) => count > 0)
+    .map(({ type, count }) => `${count} ${type}`)
+    .join(', ');
+}
+
+/**
+ * List the saved versions of the user's profile
+ * @param {{versions: Array, serverError: string|null}} history - From dataService.getProfileHistory
+ * @param {Function} showChangesCallback - Function to call with a version and the version before it (or null) to show what it changed
+ * @param {Function} restoreCallback - Function to call with a version to restore it
+ */
+export function showProfileHistory(history, showChangesCallback, restoreCallback) {
+  const elements = {
+    historyPanel: document.getElementById('profile-history'),
+    summary: document.getElementById('profile-history-summary'),
+    versionList: document.getElementById('profile-history-versions'),
+    diff: document.getElementById('profile-history-diff')
+  };
+  
+  if (!elements.historyPanel) {
+    return;
+  }
+  
+  const { versions, serverError } = history;
+  const summary = [versions.length === 0
+    ? 'Your profile has no saved versions yet. Every save from now on is kept here.'
+    : `${versions.length} saved version(s), newest first.`];
+  if (serverError) {
+    summary.push(`Versions saved in other browsers could not be loaded: ${serverError}`);
+  }
+  elements.summary.textContent = summary.join(' ');
+  
+  elements.versionList.innerHTML = '';
+  versions.forEach((version, index) => {
+    const previous = versions[index + 1] || null;
+    const item = document.createElement('li');
+    
+    const savedAt = document.createElement('span');
+    savedAt.className = 'history-saved-at';
+    savedAt.textContent = new Date(version.savedAt).toLocaleString() + (index === 0 ? ' (latest)' : '');
+    
+    const location = document.createElement('span');
+    location.className = 'history-location';
+    location.textContent = version.local ? 'this browser' : 'server only';
+    
+    const changesButton = document.createElement('button');
+    changesButton.textContent = 'Show changes';
+    changesButton.addEventListener('click', () => showChangesCallback(version, previous));
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.textContent = 'Restore this version';
+    restoreButton.addEventListener('click', () => restoreCallback(version));
+    
+    item.append(savedAt, location, changesButton, restoreButton);
+    elements.versionList.appendChild(item);
+  });
+  
+  showDataStatus('', null);
+  elements.diff.style.display = 'none';
+  elements.historyPanel.style.display = 'block';
+  elements.historyPanel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Show what a saved version of the profile changed compared to the version before it
+ * @param {Object} version - The version, from the history
+ * @param {Object|null} previous - The version before it; null for the oldest
+ * @param {Array} changes - The changes from the previous version (dataService.diffProfiles)
+ */
+export function showProfileVersionChanges(version, previous, changes) {
+  const elements = {
+    diff: document.getElementById('profile-history-diff'),
+    summary: document.getElementById('profile-history-diff-summary'),
+    changes: document.getElementById('profile-history-changes')
+  };
+  
+  if (!elements.diff) {
+    return;
+  }
+  
+  const savedAt = new Date(version.savedAt).toLocaleString();
+  if (!previous) {
+    elements.summary.textContent = `The version of ${savedAt} is the oldest kept: everything in it is shown as added.`;
+  } else if (changes.length === 0) {
+    elements.summary.textContent = `The version of ${savedAt} has the same content as the one before it.`;
+  } else {
+    elements.summary.textContent = `Changes in the version of ${savedAt} compared to ${new Date(previous.savedAt).toLocaleString()}: ${countChanges(changes)}.`;
+  }
+  fillChangesTable(elements.changes, changes);
+  
+  showDataStatus('', null);
+  elements.diff.style.display = 'block';
+  elements.diff.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Hide the version history
+ */
+export function hideProfileHistory() {
+  const historyPanel = document.getElementById('profile-history');
+  if (historyPanel) {
+    historyPanel.style.display = 'none';
+  }
+}
+
+/**
+ * Show what importing a profile file would change, for the user to confirm
+ * @param {string} fileName - Name of the imported file
+ * @param {Object} preview - From dataService.prepareProfileImport
+ * @param {Function} applyCallback - Function to call when the user takes over the imported profile
+ * @param {Object} [options]
+ * @param {boolean} [options.basedOnUnsavedEdits=false] - The preview compares with the unsaved edits in the editor, which are kept
+ * @param {boolean} [options.replacesUnsavedEdits=false] - The editor has unsaved edits that are not valid JSON, which the import replaces
+ */
+export function showProfileImport(fileName, preview, applyCallback, { basedOnUnsavedEdits = false, replacesUnsavedEdits = false } = {}) {
+  const elements = {
+    importPanel: document.getElementById('profile-import'),
+    title: document.getElementById('profile-import-title'),
+    summary: document.getElementById('profile-import-summary'),
+    notes: document.getElementById('profile-import-notes'),
+    changes: document.getElementById('profile-import-changes'),
+    applyButton: document.getElementById('apply-profile-import')
+  };
+  
+  if (!elements.importPanel) {
+    return;
+  }
+  
+  const { changes, unmappedFields, validation } = preview;
+  elements.title.textContent = `Import from ${fileName}`;
+  elements.summary.textContent = changes.length === 0
+    ? 'The file holds nothing that is not already in your profile.'
+    : `Importing changes your profile: ${countChanges(changes)}. Nothing is saved until you save your profile.`;
+  
+  const notes = [];
+  if (basedOnUnsavedEdits) {
+    notes.push('Compared with your unsaved edits, which are kept.');
+  }
+  if (replacesUnsavedEdits) {
+    notes.push('Your unsaved edits are not valid JSON, so importing replaces them.');
+  }
+  if (unmappedFields.length > 0) {
+    notes.push(`Not imported, as they do not fit a profile field: ${unmappedFields.join(', ')}.`);
+  }
+  if (!validation.valid) {
+    notes.push(`To fix before saving: ${validation.errors.map(issue => issue.message).join('; ')}.`);
+  }
+  elements.notes.textContent = notes.join(' ');
+  elements.notes.style.display = notes.length > 0 ? 'block' : 'none';
+  
+  fillChangesTable(elements.changes, changes);
+  
+  // onclick (rather than addEventListener) so repeated imports do not stack handlers
+  elements.applyButton.disabled = changes.length === 0;
+  elements.applyButton.onclick = (event) => {
+    event.preventDefault();
+    hideProfileImport();
+    applyCallback();
+  };
+  
+  showDataStatus('', null);
+  elements.importPanel.style.display = 'block';
+  elements.importPanel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Hide the preview of a profile import
+ */
+export function hideProfileImport() {
+  const importPanel = document.getElementById('profile-import');
+  if (importPanel) {
+    importPanel.style.display = 'none';
+  }
+}
+
+/**
+ * Show imported user data (not yet saved) in the user data textarea
+ * @param {Object} data - The user data after the import
+ * @param {string} fileName - Name of the imported file
+ */
+export function displayImportedUserData(data, fileName) {
+  const apiUserData = document.getElementById('api-user-data');
+  if (!apiUserData) {
+    return;
+  }
+  
+  // The saved baseline is left alone: imported values count as unsaved edits
+  apiUserData.value = JSON.stringify(data, null, 2);
+  refreshProfileForm();
+  showDataStatus(`Imported from ${fileName}. Review and save to keep it.`, UI_CLASSES.success);
+}
+
+/**
+ * Hide the comparison with the speaker pool
+ */
+export function hideUserDataDiff() {
+  const diffPanel = document.getElementById('user-data-diff');
+  if (diffPanel) {
+    diffPanel.style.display = 'none';
+  }
+}
+
+/**
+ * Show the reconciled user data of a save conflict (not yet saved) in the user data textarea
+ * @param {Object} data - The reconciled user data
+ * @param {Object} savedData - The version on the server, which becomes the saved baseline
+ */
+export function displayMergedUserData(data, savedData) {
+  const apiUserData = document.getElementById('api-user-data');
+  if (!apiUserData) {
+    return;
+  }
+  
+  apiUserData.value = JSON.stringify(data, null, 2);
+  savedUserDataText = JSON.stringify(savedData, null, 2);
+  refreshProfileForm();
+  showDataStatus('Merged with the saved version. Review and save to keep your changes.', UI_CLASSES.success);
+}
+
+/**
+ * List the validation errors and warnings of the user data below the editor
+ * 
+ * Each issue shows the line it was found on; clicking it selects that line in the JSON editor,
+ * or focuses the field in the form, where the fields with issues are marked as well.
+ * @param {{errors: Array, warnings: Array}} validation - The validation from dataService
+ */
+export function showValidationIssues(validation) {
+  const elements = {
+    issueList: document.getElementById('user-data-issues'),
+    apiUserData: document.getElementById('api-user-data'),
+    profileForm: document.getElementById('profile-form')
+  };
+  
+  if (!elements.issueList) {
+    return;
+  }
+  
+  elements.issueList.innerHTML = '';
+  const issues = [
+    ...validation.errors.map(issue => ({ ...issue, severity: UI_CLASSES.error })),
+    ...validation.warnings.map(issue => ({ ...issue, severity: UI_CLASSES.warning }))
+  ].sort((a, b) => (a.line || 0) - (b.line || 0));
+  
+  // textContent keeps field names from being interpreted as HTML
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = issue.severity;
+    const location = issue.line ? `Line ${issue.line}: ` : '';
+    const label = issue.severity === UI_CLASSES.warning ? 'Warning' : 'Error';
+    item.textContent = `${location}${label}: ${issue.path} ${issue.message}`;
+    if (userDataView === 'form' && elements.profileForm) {
+      item.title = 'Go to this field';
+      item.addEventListener('click', () => profileForm.focusField(elements.profileForm, issue.path));
+    } else if (issue.line && elements.apiUserData) {
+      item.title = 'Go to this line';
+      item.addEventListener('click', () => selectLine(elements.apiUserData, issue.line));
+    }
+    elements.issueList.appendChild(item);
+  });
+  
+  if (elements.profileForm) {
+    profileForm.markInvalidFields(elements.profileForm, issues);
+  }
+  
+  elements.issueList.style.display = issues.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Remove the validation issues below the editor
+ */
+export function clearValidationIssues() {
+  const issueList = document.getElementById('user-data-issues');
+  if (issueList) {
+    issueList.innerHTML = '';
+    issueList.style.display = 'none';
+  }
+  
+  const form = document.getElementById('profile-form');
+  if (form) {
+    profileForm.markInvalidFields(form, []);
+  }
+}
+
+/**
+ * Select a line of a textarea and scroll it into view
+ * @param {HTMLTextAreaElement} textarea - The textarea
+ * @param {number} line - The line number, 1-based
+ */
+function selectLine(textarea, line) {
+  const lines = textarea.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+  const end = start + (lines[line - 1] || '').length;
+  
+  textarea.focus();
+  textarea.setSelectionRange(start, end);
+  
+  // Scroll the selected line to the middle of the textarea
+  const lineHeight = textarea.scrollHeight / Math.max(lines.length, 1);
+  textarea.scrollTop = Math.max(0, (line - 1) * lineHeight - textarea.clientHeight / 2);
+}
+
+/**
+ * Record the current content of the user data textarea as saved
+ */
+export function markUserDataSaved() {
+  const apiUserData = document.getElementById('api-user-data');
+  if (apiUserData) {
+    savedUserDataText = apiUserData.value;
+  }
+  clearValidationIssues();
+}
+
+/**
+ * Get the content of the user data textarea if it has been edited since it was last fetched or saved
+ * @returns {string|null} The edited text or null when there are no unsaved edits
+ */
+export function getUnsavedUserDataEdits() {
+  const apiUserData = document.getElementById('api-user-data');
+  if (!apiUserData || apiUserData.value.trim() === '' || apiUserData.value === savedUserDataText) {
+    return null;
+  }
+  
+  return apiUserData.value;
+}
+
+/**
+ * Get the content of the user data textarea
+ * @returns {string} The text, '' when the textarea is not there
+ */
+export function getUserDataText() {
+  const apiUserData = document.getElementById('api-user-data');
+  return apiUserData ? apiUserData.value : '';
+}
+
+/**
+ * Offer to restore the autosaved draft of the user data
+ * @param {string} savedAt - ISO timestamp of when the draft was saved
+ * @param {{valid: boolean, changedFields: string[]}} comparison - How the draft differs from the saved profile (dataService.compareDraft)
+ * @param {Function} restoreCallback - Function to call when the user restores the draft
+ * @param {Function} discardCallback - Function to call when the user discards the draft
+ */
+export function showDraftOffer(savedAt, comparison, restoreCallback, discardCallback) {
+  const elements = {
+    draftOffer: document.getElementById('draft-offer'),
+    summary: document.getElementById('draft-offer-summary'),
+    restoreButton: document.getElementById('restore-draft'),
+    discardButton: document.getElementById('discard-draft')
+  };
+  
+  if (!elements.draftOffer) {
+    return;
+  }
+  
+  const details = comparison.valid
+    ? `It changes ${comparison.changedFields.join(', ')} compared to your saved profile.`
+    : 'It is not valid JSON yet.';
+  elements.summary.textContent = `You have an unsaved draft from ${new Date(savedAt).toLocaleString()}. ${details}`;
+  elements.restoreButton.textContent = `Restore draft from ${new Date(savedAt).toLocaleString()}`;
+  
+  // onclick (rather than addEventListener) so repeated offers do not stack handlers
+  elements.restoreButton.onclick = (event) => {
+    event.preventDefault();
+    hideDraftOffer();
+    restoreCallback();
+  };
+  elements.discardButton.onclick = (event) => {
+    event.preventDefault();
+    hideDraftOffer();
+    discardCallback();
+  };
+  
+  elements.draftOffer.style.display = 'block';
+}
+
+/**
+ * Hide the offer to restore a draft
+ */
+export function hideDraftOffer() {
+  const draftOffer = document.getElementById('draft-offer');
+  if (draftOffer) {
+    draftOffer.style.display = 'none';
+  }
+}
+
+/**
+ * Put a draft or other earlier edits back into the user data textarea
+ * @param {string} text - The edited text
+ * @param {string} savedAt - ISO timestamp of when the edits were made
+ */
+export function restoreUserDataEdits(text, savedAt) {
+  const apiUserData = document.getElementById('api-user-data');
+  if (!apiUserData) {
+    return;
+  }
+  
+  apiUserData.value = text;
+  refreshProfileForm();
+  showDataStatus(`Restored unsaved edits from ${new Date(savedAt).toLocaleString()}. Save to keep them.`, UI_CLASSES.success);
+}
+
+/**
+ * Show how many profile saves are waiting in the outbox to be sent
+ * @param {number} pendingCount - Number of queued saves; the indicator is hidden for 0
+ */
+export function showPendingSaves(pendingCount) {
+  const outboxStatus = document.getElementById('outbox-status');
+  if (!outboxStatus) {
+    return;
+  }
+  
+  outboxStatus.textContent = `${pendingCount} save${pendingCount === 1 ? '' : 's'} waiting to be sent`;
+  outboxStatus.style.display = pendingCount > 0 ? 'inline-block' : 'none';
+}
+
+/**
+ * Show the idle warning dialog with the time left before automatic sign-out
+ * @param {number} secondsLeft - Seconds until the user is signed out
+ * @param {Function} staySignedInCallback - Function to call when the user chooses to stay signed in
+ */
+export function showIdleWarning(secondsLeft, staySignedInCallback) {
+  const elements = {
+    idleWarningDialog: document.getElementById('idle-warning-dialog'),
+    idleCountdown: document.getElementById('idle-countdown'),
+    staySignedInButton: document.getElementById('stay-signed-in-button')
+  };
+  
+  if (!elements.idleWarningDialog) {
+    return;
+  }
+  
+  if (elements.idleCountdown) {
+    elements.idleCountdown.textContent = secondsLeft;
+  }
+  
+  if (elements.staySignedInButton) {
+    // onclick (rather than addEventListener) so repeated calls do not stack handlers
+    elements.staySignedInButton.onclick = (event) => {
+      event.preventDefault();
+      hideIdleWarning();
+      if (typeof staySignedInCallback === 'function') {
+        staySignedInCallback();
+      }
+    };
+  }
+  
+  if (elements.idleWarningDialog.style.display === 'none') {
+    elements.idleWarningDialog.style.display = 'flex';
+    if (elements.staySignedInButton) {
+      elements.staySignedInButton.focus();
+    }
+  }
+}
+
+/**
+ * Hide the idle warning dialog
+ */
+export function hideIdleWarning() {
+  const idleWarningDialog = document.getElementById('idle-warning-dialog');
+  if (idleWarningDialog) {
+    idleWarningDialog.style.display = 'none';
+  }
+}
+
 /**
  * Show a data status message
  * @param {string} message - The status message to display
@@ -446,7 +1668,8 @@ export function showDataStatus(message, statusClass) {
     elements.dataStatus.classList.remove(
       UI_CLASSES.loading, 
       UI_CLASSES.error, 
-      UI_CLASSES.success
+      UI_CLASSES.success,
+      UI_CLASSES.warning
     );
     
     // Add specific status class if provided
@@ -476,14 +1699,50 @@ export function showError(message) {
     welcomeMessage: document.getElementById('welcome-message')
   };
   
+  // The message may come from the server, so it is set as text
   if (elements.welcomeMessage) {
-    elements.welcomeMessage.innerHTML = `
-      <p class="error-message">Error: ${message}</p>
-      <p>Please try again or contact support if the issue persists.</p>
-    `;
+    const errorMessage = document.createElement('p');
+    errorMessage.className = 'error-message';
+    errorMessage.textContent = `Error: ${message}`;
+    
+    const advice = document.createElement('p');
+    advice.textContent = 'Please try again or contact support if the issue persists.';
+    
+    elements.welcomeMessage.replaceChildren(errorMessage, advice);
   }
 }
 
+/**
+ * Replace the page content with a startup error, e.g. when the environment configuration is missing or invalid
+ * @param {string} message - What went wrong
+ * @param {string[]} [details=[]] - Individual problems to list
+ */
+export function showStartupError(message, details = []) {
+  const elements = {
+    startupError: document.getElementById('startup-error'),
+    startupErrorMessage: document.getElementById('startup-error-message'),
+    startupErrorDetails: document.getElementById('startup-error-details')
+  };
+  
+  if (!elements.startupError) {
+    showError(message);
+    return;
+  }
+  
+  // Hide everything else on the page: none of it can be used without a configuration
+  Array.from(elements.startupError.parentElement.children).forEach(element => {
+    element.style.display = element === elements.startupError ? 'block' : 'none';
+  });
+  
+  elements.startupErrorMessage.textContent = message;
+  elements.startupErrorDetails.innerHTML = '';
+  details.forEach(detail => {
+    const item = document.createElement('li');
+    item.textContent = detail;
+    elements.startupErrorDetails.appendChild(item);
+  });
+}
+
 /**
  * Toggle the visibility of the token content section
  * @param {boolean} show - Whether to show or hide the token content
@@ -0,0 +1,135 @@
+/**
+ * zipWriter.js
+ * Minimal ZIP archive writer
+ *
+ * Writes the files uncompressed ('stored'), which every ZIP reader supports and needs no
+ * compression library; speakerExport.js uses it for XLSX files, which are ZIP archives
+ * of XML parts. No ZIP64, so archives stay below 4 GB, far above any speaker pool.
+ */
+
+// Signatures of the ZIP records
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0 of the format, needed to extract; bit 11 of the flags marks UTF-8 file names
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table (polynomial 0xEDB88320), computed on first use
+let crcTable = null;
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - The files; text is encoded as UTF-8
+ * @param {Date} [modified=new Date()] - Modification time of the files
+ * @returns {Uint8Array} The archive
+ */
+export function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+        localHeader.setUint16(4, VERSION, true);
+        localHeader.setUint16(6, UTF8_FLAG, true);
+        localHeader.setUint16(8, 0, true); // stored
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, name.length, true);
+        localHeader.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(localHeader.buffer), name, data);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+        centralHeader.setUint16(4, VERSION, true);
+        centralHeader.setUint16(6, VERSION, true);
+        centralHeader.setUint16(8, UTF8_FLAG, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, name.length, true);
+        // Extra field and comment lengths, disk number and attributes stay 0
+        centralHeader.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(centralHeader.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatenate([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Compute the CRC-32 checksum of data, as ZIP requires
+ * @param {Uint8Array} data - The data
+ * @returns {number} The checksum (unsigned)
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields of ZIP (local time, two-second precision)
+ * @param {Date} value - The date
+ * @returns {{time: number, date: number}} The fields
+ */
+function toDosDateTime(value) {
+    // MS-DOS dates start in 1980
+    const year = Math.max(value.getFullYear(), 1980);
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} parts - The arrays
+ * @returns {Uint8Array} Their bytes in order
+ */
+function concatenate(parts) {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
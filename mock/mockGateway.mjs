@@ -0,0 +1,541 @@
+/**
+ * mockGateway.mjs
+ * Local mock of the OCI API Gateway deployments, for offline development
+ *
+ * Emulates the routes the application uses, backed by files instead of OCI
+ * Object Storage (see "Configuration OCI API Gateway" in architecture.md):
+ *
+ * - GET /conclusion-proxy/speakerpool-data returns conclusion-assets/Sprekerpool.json
+ * - GET/PUT /conclusion-proxy/speakerpool-delta reads/writes conclusion-assets/deltas/<name>,
+ *   where <name> is the `name` claim of the caller's token (request.auth[name] on the gateway)
+ * - GET/PUT /conclusion-proxy/speakerpool-history reads/writes the version named by the
+ *   Version-Id header under conclusion-assets/history/<name>/; without Version-Id a GET
+ *   lists the caller's versions as {objects: [{name}]}
+ * - GET/PUT /conclusion-admin-proxy/speakerpool-admin reads/writes the object named by the
+ *   Asset-Path header; an empty Asset-Path lists all objects as {objects: [{name}]}. Like the
+ *   permissions in js/accessConfig.js, reading needs the admin or superadmin role (`roles`
+ *   claim) and writing the superadmin role; other callers get 403
+ *
+ * PUTs honour If-Match, If-None-Match: * and If-Unmodified-Since like Object Storage does,
+ * answering 412 when the stored object does not match. GETs honour If-None-Match and
+ * If-Modified-Since, answering 304 when the object has not changed.
+ *
+ * Like the gateway, every route requires a bearer token. Tokens are decoded but not
+ * verified, so the unsigned tokens of the fake identity provider are accepted. That is
+ * why the mock only listens on the loopback interface, and only answers cross-origin
+ * requests from the application's origins (like the gateway's allowed-origins).
+ *
+ * Objects are stored under mock/data/, which is created from mock/seed/ on first start.
+ * Requires Node.js 18 or later; has no dependencies.
+ *
+ * Usage: node mock/mockGateway.mjs [--port 3001] [--host 127.0.0.1] [--origin http://localhost:5501]...
+ *        [--data-dir mock/data] [--reset]
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Directory of this script
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Defaults, overridable on the command line
+const DEFAULT_PORT = 3001;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_ORIGINS = ['http://localhost:5501', 'http://127.0.0.1:5501'];
+const DEFAULT_DATA_DIR = path.join(MOCK_DIR, 'data');
+const SEED_DIR = path.join(MOCK_DIR, 'seed');
+
+// Object names used by the gateway routes
+const DATA_OBJECT = 'conclusion-assets/Sprekerpool.json';
+const DELTA_PREFIX = 'conclusion-assets/deltas/';
+const HISTORY_PREFIX = 'conclusion-assets/history/';
+
+// Version IDs of the history route: the save time in milliseconds since the epoch
+const VERSION_ID_PATTERN = /^[0-9]{1,16}$/;
+
+// Name of the emulated bucket, used in error messages
+const BUCKET_NAME = 'laptop-extension-drive';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// App roles (`roles` claim) allowed on the admin route, as rolePermissions in js/accessConfig.js maps them
+const ADMIN_READ_ROLES = ['admin', 'superadmin'];
+const ADMIN_WRITE_ROLES = ['superadmin'];
+
+// Request headers the browser may send cross-origin
+const ALLOWED_HEADERS = 'Authorization, Content-Type, Asset-Path, If-Match, If-None-Match, If-Modified-Since, If-Unmodified-Since, Version-Id';
+
+const options = parseArguments(process.argv.slice(2));
+
+// Route handlers by gateway path
+const ROUTES = {
+    '/conclusion-proxy/speakerpool-data': handleDataRoute,
+    '/conclusion-proxy/speakerpool-delta': handleDeltaRoute,
+    '/conclusion-proxy/speakerpool-history': handleHistoryRoute,
+    '/conclusion-admin-proxy/speakerpool-admin': handleAdminRoute
+};
+
+await prepareDataDir(options.dataDir, options.reset);
+
+http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+
+    // Browsers send Origin on cross-origin requests; tools such as curl do not
+    const origin = request.headers.origin;
+    if (origin && !options.origins.includes(origin)) {
+        sendJson(response, 403, { code: 'Forbidden', message: `Origin ${origin} is not allowed` });
+        logRequest(request, pathname, response.statusCode);
+        return;
+    }
+
+    setCorsHeaders(request, response);
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+
+    const route = ROUTES[pathname];
+    if (!route) {
+        sendJson(response, 404, { code: 'NotFound', message: `No route for ${pathname}` });
+        logRequest(request, pathname, response.statusCode);
+        return;
+    }
+
+    const claims = authenticate(request);
+    if (!claims) {
+        sendJson(response, 401, { code: 401, message: 'Unauthorized' });
+        logRequest(request, pathname, response.statusCode);
+        return;
+    }
+
+    try {
+        await route(request, response, claims);
+    } catch (error) {
+        console.error(error);
+        if (!response.headersSent) {
+            sendJson(response, 500, { code: 'InternalServerError', message: error.message });
+        }
+    }
+    logRequest(request, pathname, response.statusCode, claims.name);
+}).listen(options.port, options.host, () => {
+    console.log(`Mock gateway listening on http://${options.host}:${options.port} for ${options.origins.join(', ')}, storing objects in ${options.dataDir}`);
+});
+
+/**
+ * GET the speaker pool data
+ */
+async function handleDataRoute(request, response) {
+    if (request.method !== 'GET') {
+        sendMethodNotAllowed(response, 'GET');
+        return;
+    }
+    await sendObject(request, response, DATA_OBJECT);
+}
+
+/**
+ * GET or PUT the delta file of the calling user
+ */
+async function handleDeltaRoute(request, response, claims) {
+    if (!claims.name) {
+        sendJson(response, 400, { code: 'InvalidParameter', message: "The token has no 'name' claim" });
+        return;
+    }
+
+    const objectName = DELTA_PREFIX + claims.name;
+    switch (request.method) {
+        case 'GET':
+            await sendObject(request, response, objectName);
+            break;
+        case 'PUT':
+            await storeObject(request, response, objectName);
+            break;
+        default:
+            sendMethodNotAllowed(response, 'GET, PUT');
+    }
+}
+
+/**
+ * GET or PUT a version of the calling user's profile, or list the versions when no Version-Id is given
+ */
+async function handleHistoryRoute(request, response, claims) {
+    if (!claims.name) {
+        sendJson(response, 400, { code: 'InvalidParameter', message: "The token has no 'name' claim" });
+        return;
+    }
+
+    const historyPrefix = `${HISTORY_PREFIX}${claims.name}/`;
+    const versionId = request.headers['version-id'] || '';
+    if (request.method === 'GET' && versionId === '') {
+        const historyDir = resolveObjectPath(historyPrefix.slice(0, -1));
+        if (!historyDir) {
+            sendJson(response, 400, { code: 'InvalidParameter', message: `Invalid object name '${historyPrefix}'` });
+            return;
+        }
+
+        // A user who never saved has no history directory yet
+        const names = await listObjects(historyDir, historyPrefix).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return [];
+        });
+        sendJson(response, 200, { objects: names.sort().map(name => ({ name })) });
+        return;
+    }
+
+    if (!VERSION_ID_PATTERN.test(versionId)) {
+        sendJson(response, 400, { code: 'InvalidParameter', message: `Invalid Version-Id '${versionId}'` });
+        return;
+    }
+
+    switch (request.method) {
+        case 'GET':
+            await sendObject(request, response, historyPrefix + versionId);
+            break;
+        case 'PUT':
+            await storeObject(request, response, historyPrefix + versionId);
+            break;
+        default:
+            sendMethodNotAllowed(response, 'GET, PUT');
+    }
+}
+
+/**
+ * GET or PUT any object named by the Asset-Path header, or list all objects when it is empty
+ */
+async function handleAdminRoute(request, response, claims) {
+    const allowedRoles = request.method === 'PUT' ? ADMIN_WRITE_ROLES : ADMIN_READ_ROLES;
+    if (!hasRole(claims, allowedRoles)) {
+        sendJson(response, 403, { code: 'Forbidden', message: `Requires one of the roles: ${allowedRoles.join(', ')}` });
+        return;
+    }
+
+    const assetPath = request.headers['asset-path'] || '';
+
+    if (request.method === 'GET' && assetPath === '') {
+        const names = await listObjects(options.dataDir);
+        sendJson(response, 200, { objects: names.sort().map(name => ({ name })) });
+        return;
+    }
+
+    switch (request.method) {
+        case 'GET':
+            await sendObject(request, response, assetPath);
+            break;
+        case 'PUT':
+            await storeObject(request, response, assetPath);
+            break;
+        default:
+            sendMethodNotAllowed(response, 'GET, PUT');
+    }
+}
+
+/**
+ * Check whether the token grants one of the roles; roles are matched case-insensitively, like accessConfig.js does
+ */
+function hasRole(claims, roles) {
+    const tokenRoles = Array.isArray(claims.roles) ? claims.roles : [];
+    return tokenRoles.some(role => typeof role === 'string' && roles.includes(role.toLowerCase()));
+}
+
+/**
+ * Decode the bearer token of a request, without verifying its signature
+ * @returns {Object|null} The token claims, or null when the token is missing, malformed or expired
+ */
+function authenticate(request) {
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!match) {
+        return null;
+    }
+
+    try {
+        const payload = match[1].split('.')[1];
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (typeof claims.exp === 'number' && claims.exp * 1000 < Date.now()) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Send a stored object, like an Object Storage GET
+ */
+async function sendObject(request, response, objectName) {
+    const filePath = resolveObjectPath(objectName);
+    if (!filePath) {
+        sendJson(response, 400, { code: 'InvalidParameter', message: `Invalid object name '${objectName}'` });
+        return;
+    }
+
+    let content;
+    let stats;
+    try {
+        [content, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+    } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+            throw error;
+        }
+        sendJson(response, 404, {
+            code: 'ObjectNotFound',
+            message: `The object '${objectName}' was not found in the bucket '${BUCKET_NAME}'`
+        });
+        return;
+    }
+
+    const etag = createEtag(content);
+    const headers = { 'ETag': etag, 'Last-Modified': stats.mtime.toUTCString() };
+    if (isNotModified(request, etag, stats)) {
+        response.writeHead(304, headers);
+        response.end();
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+    response.end(content);
+}
+
+/**
+ * Store the request body as an object, like an Object Storage PUT
+ */
+async function storeObject(request, response, objectName) {
+    const filePath = resolveObjectPath(objectName);
+    if (!filePath) {
+        sendJson(response, 400, { code: 'InvalidParameter', message: `Invalid object name '${objectName}'` });
+        return;
+    }
+
+    const content = await readBody(request);
+    if (content === null) {
+        sendJson(response, 413, { code: 'RequestEntityTooLarge', message: `The body exceeds ${MAX_BODY_BYTES} bytes` });
+        return;
+    }
+
+    const failedPrecondition = await checkPreconditions(request, filePath);
+    if (failedPrecondition) {
+        sendJson(response, 412, { code: 'PreconditionFailed', message: `${failedPrecondition} does not match the object '${objectName}'` });
+        return;
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    const stats = await fs.stat(filePath);
+
+    response.writeHead(200, {
+        'ETag': createEtag(content),
+        'Last-Modified': stats.mtime.toUTCString()
+    });
+    response.end();
+}
+
+/**
+ * Check the conditional request headers of a GET against the stored object
+ * @returns {boolean} True when the caller's copy is current and 304 can be answered
+ */
+function isNotModified(request, etag, stats) {
+    const ifNoneMatch = request.headers['if-none-match'];
+    const ifModifiedSince = request.headers['if-modified-since'];
+    // If-Modified-Since is ignored when If-None-Match is present
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag);
+    }
+    // HTTP dates have a resolution of one second
+    return Boolean(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= Date.parse(ifModifiedSince);
+}
+
+/**
+ * Check the conditional request headers of a PUT against the stored object
+ * @returns {Promise<string|null>} The name of the header that failed, or null when the PUT may proceed
+ */
+async function checkPreconditions(request, filePath) {
+    const ifMatch = request.headers['if-match'];
+    const ifNoneMatch = request.headers['if-none-match'];
+    const ifUnmodifiedSince = request.headers['if-unmodified-since'];
+    if (!ifMatch && !ifNoneMatch && !ifUnmodifiedSince) {
+        return null;
+    }
+
+    let content = null;
+    let stats = null;
+    try {
+        [content, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+    } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+            throw error;
+        }
+    }
+
+    if (ifMatch && (content === null || (ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(createEtag(content))))) {
+        return 'If-Match';
+    }
+    if (ifNoneMatch && ifNoneMatch.trim() === '*' && content !== null) {
+        return 'If-None-Match';
+    }
+    // HTTP dates have a resolution of one second
+    if (ifUnmodifiedSince && content !== null && Math.floor(stats.mtimeMs / 1000) * 1000 > Date.parse(ifUnmodifiedSince)) {
+        return 'If-Unmodified-Since';
+    }
+    return null;
+}
+
+/**
+ * Read a request body
+ * @returns {Promise<Buffer|null>} The body, or null when it is too large
+ */
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Map an object name onto a file in the data directory
+ * @returns {string|null} The file path, or null when the name would escape the data directory
+ */
+function resolveObjectPath(objectName) {
+    if (!objectName || objectName.includes('\0') || objectName.includes('\\')) {
+        return null;
+    }
+
+    const segments = objectName.split('/');
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        return null;
+    }
+
+    return path.join(options.dataDir, ...segments);
+}
+
+/**
+ * List the names of all stored objects
+ * @returns {Promise<string[]>} Object names, with '/' as separator
+ */
+async function listObjects(directory, prefix = '') {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const names = [];
+    for (const entry of entries) {
+        if (entry.isDirectory()) {
+            names.push(...await listObjects(path.join(directory, entry.name), `${prefix}${entry.name}/`));
+        } else {
+            names.push(prefix + entry.name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Create the data directory from the seed data when it does not exist (or when resetting)
+ */
+async function prepareDataDir(dataDir, reset) {
+    if (reset) {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+
+    try {
+        await fs.access(dataDir);
+    } catch (error) {
+        await fs.cp(SEED_DIR, dataDir, { recursive: true });
+        console.log(`Created ${dataDir} from the seed data`);
+    }
+}
+
+/**
+ * Allow the application to call the mock with credentials, like the gateway's CORS policy
+ * 
+ * Only called for requests without an Origin or from one of the allowed origins.
+ */
+function setCorsHeaders(request, response) {
+    if (request.headers.origin) {
+        response.setHeader('Access-Control-Allow-Origin', request.headers.origin);
+        response.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+    response.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
+    response.setHeader('Vary', 'Origin');
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Reject a request with a method the route does not support
+ */
+function sendMethodNotAllowed(response, allowedMethods) {
+    response.setHeader('Allow', allowedMethods);
+    sendJson(response, 405, { code: 'MethodNotAllowed', message: `Allowed methods: ${allowedMethods}` });
+}
+
+/**
+ * Create an entity tag for object content, as Object Storage does (MD5 of the content)
+ */
+function createEtag(content) {
+    return `"${createHash('md5').update(content).digest('hex')}"`;
+}
+
+/**
+ * Log a handled request
+ */
+function logRequest(request, pathname, status, user) {
+    const assetPath = request.headers['asset-path'];
+    const details = [user && `user=${user}`, assetPath !== undefined && `Asset-Path=${assetPath}`].filter(Boolean).join(' ');
+    console.log(`${request.method} ${pathname} ${status} ${details}`);
+}
+
+/**
+ * Parse the command line options
+ */
+function parseArguments(args) {
+    const parsed = {
+        port: Number(process.env.PORT) || DEFAULT_PORT,
+        host: DEFAULT_HOST,
+        origins: [],
+        dataDir: DEFAULT_DATA_DIR,
+        reset: false
+    };
+
+    for (let index = 0; index < args.length; index++) {
+        switch (args[index]) {
+            case '--port':
+                parsed.port = Number(args[++index]);
+                break;
+            case '--host':
+                parsed.host = args[++index];
+                break;
+            case '--origin':
+                parsed.origins.push(args[++index]);
+                break;
+            case '--data-dir':
+                parsed.dataDir = path.resolve(args[++index]);
+                break;
+            case '--reset':
+                parsed.reset = true;
+                break;
+            default:
+                console.error(`Unknown option ${args[index]}`);
+                process.exit(1);
+        }
+    }
+
+    if (parsed.origins.length === 0) {
+        parsed.origins = DEFAULT_ORIGINS;
+    }
+    return parsed;
+}